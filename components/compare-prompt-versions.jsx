@@ -0,0 +1,227 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { ApiClient, ViewHelpers } from 'adminjs';
+import {
+  Badge,
+  Box,
+  H3,
+  Label,
+  Link,
+  Loader,
+  MessageBox,
+  Select,
+  Text,
+} from '@adminjs/design-system';
+
+const api = new ApiClient();
+const h = new ViewHelpers();
+
+const ROW_COLORS = {
+  removed: '#fdecec',
+  added: '#e8f6ec',
+};
+
+// Line diff of two texts by their longest common subsequence of lines
+const diffLines = (before, after) => {
+  const left = before.split('\n');
+  const right = after.split('\n');
+  const lengths = Array.from({ length: left.length + 1 }, () => new Uint32Array(right.length + 1));
+  for (let i = left.length - 1; i >= 0; i--) {
+    for (let j = right.length - 1; j >= 0; j--) {
+      lengths[i][j] = left[i] === right[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length || j < right.length) {
+    if (i < left.length && j < right.length && left[i] === right[j]) {
+      operations.push({ type: 'same', left: i++, right: j++ });
+    } else if (j < right.length && (i === left.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      operations.push({ type: 'added', right: j++ });
+    } else {
+      operations.push({ type: 'removed', left: i++ });
+    }
+  }
+  return { left, right, operations };
+};
+
+// Side-by-side rows: unchanged lines face each other, runs of removed and added lines are paired up
+const sideBySideRows = ({ left, right, operations }) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    for (let index = 0; index < Math.max(removed.length, added.length); index++) {
+      rows.push({
+        left: removed[index] === undefined ? null : { number: removed[index] + 1, text: left[removed[index]] },
+        right: added[index] === undefined ? null : { number: added[index] + 1, text: right[added[index]] },
+        changed: true,
+      });
+    }
+    removed = [];
+    added = [];
+  };
+
+  operations.forEach((operation) => {
+    if (operation.type === 'removed') {
+      removed.push(operation.left);
+    } else if (operation.type === 'added') {
+      added.push(operation.right);
+    } else {
+      flush();
+      rows.push({
+        left: { number: operation.left + 1, text: left[operation.left] },
+        right: { number: operation.right + 1, text: right[operation.right] },
+        changed: false,
+      });
+    }
+  });
+  flush();
+  return rows;
+};
+
+const versionLabel = (version) => `${version.version || '(no version)'}${version.is_active ? ' (active)' : ''}`;
+
+const cellStyle = {
+  fontFamily: 'monospace',
+  fontSize: 13,
+  whiteSpace: 'pre-wrap',
+  wordBreak: 'break-word',
+  verticalAlign: 'top',
+  padding: '2px 8px',
+};
+
+const numberStyle = { ...cellStyle, color: '#898a9a', textAlign: 'right', userSelect: 'none', width: 40 };
+
+const DiffSide = ({ line, kind, changed }) => [
+  <td key="number" style={{ ...numberStyle, background: changed && line ? ROW_COLORS[kind] : undefined }}>
+    {line ? line.number : ''}
+  </td>,
+  <td key="text" style={{ ...cellStyle, width: '50%', background: changed && line ? ROW_COLORS[kind] : undefined }}>
+    {line ? line.text : ''}
+  </td>,
+];
+
+/**
+ * Side-by-side line diff between this system prompt and another version of
+ * the same platform and search type (?with=<id>, by default the version
+ * below this one).
+ */
+const ComparePromptVersions = ({ resource, record }) => {
+  const [versions, setVersions] = useState(null);
+  const [otherId, setOtherId] = useState(() => new URLSearchParams(window.location.search).get('with'));
+  const [other, setOther] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = (withId) => api.recordAction({
+    resourceId: resource.id,
+    recordId: record.id,
+    actionName: 'compare',
+    params: withId ? { with: withId } : {},
+  }).then(({ data }) => data);
+
+  useEffect(() => {
+    load(otherId)
+      .then((data) => {
+        setVersions(data.versions);
+        if (data.other) {
+          setOther(data.other);
+          return;
+        }
+        const others = data.versions.filter(version => version.id !== record.id);
+        const index = data.versions.findIndex(version => version.id === record.id);
+        const below = data.versions.slice(index + 1).find(version => version.id !== record.id);
+        setOtherId((below || others[0])?.id || null);
+      })
+      .catch(loadError => setError(loadError.message));
+  }, [record.id]);
+
+  useEffect(() => {
+    if (!otherId || other?.id === otherId) {
+      return;
+    }
+    load(otherId)
+      .then(data => setOther(data.other))
+      .catch(loadError => setError(loadError.message));
+  }, [otherId]);
+
+  const rows = useMemo(() => (other
+    ? sideBySideRows(diffLines(other.params.prompt_text || '', record.params.prompt_text || ''))
+    : []), [other, record.params.prompt_text]);
+
+  if (error) {
+    return <MessageBox variant="danger" message={error} />;
+  }
+  if (!versions) {
+    return <Loader />;
+  }
+
+  const options = versions
+    .filter(version => version.id !== record.id)
+    .map(version => ({ value: version.id, label: versionLabel(version) }));
+  const current = versions.find(version => version.id === record.id) || { version: record.params.version, is_active: record.params.is_active };
+  const changedLines = rows.filter(row => row.changed).length;
+
+  return (
+    <Box variant="container">
+      <H3>Compare versions</H3>
+      {!options.length ? (
+        <Text>There is no other version of this prompt yet. Use New version to create one.</Text>
+      ) : (
+        <>
+          <Box flex flexDirection="row" alignItems="center" mb="xl" style={{ gap: 12 }}>
+            <Label htmlFor="compare-with" mb={0}>Compare with</Label>
+            <Box width={240}>
+              <Select
+                inputId="compare-with"
+                value={options.find(option => option.value === otherId) || null}
+                options={options}
+                onChange={selected => selected && setOtherId(selected.value)}
+              />
+            </Box>
+            {other && (
+              <Text color="grey60">
+                {changedLines ? `${changedLines} changed line(s)` : 'The texts are identical'}
+              </Text>
+            )}
+          </Box>
+          {other ? (
+            <table style={{ width: '100%', borderCollapse: 'collapse', tableLayout: 'fixed' }}>
+              <colgroup>
+                <col style={{ width: 48 }} />
+                <col />
+                <col style={{ width: 48 }} />
+                <col />
+              </colgroup>
+              <thead>
+                <tr>
+                  <th colSpan={2} style={{ textAlign: 'left', padding: 8 }}>
+                    <Link href={h.showUrl(resource.id, other.id)}>{versionLabel({ version: other.params.version, is_active: other.params.is_active })}</Link>
+                  </th>
+                  <th colSpan={2} style={{ textAlign: 'left', padding: 8 }}>
+                    {versionLabel(current)}
+                    {' '}
+                    <Badge size="sm" variant="primary">this version</Badge>
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, index) => (
+                  <tr key={index}>
+                    <DiffSide line={row.left} kind="removed" changed={row.changed} />
+                    <DiffSide line={row.right} kind="added" changed={row.changed} />
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : <Loader />}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default ComparePromptVersions;
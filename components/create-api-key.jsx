@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { ApiClient } from 'adminjs';
+import {
+  Box,
+  Button,
+  CheckBox,
+  FormGroup,
+  FormMessage,
+  H3,
+  Input,
+  Label,
+  MessageBox,
+  Text,
+} from '@adminjs/design-system';
+
+const SCOPES = [
+  { value: 'read', label: 'read', description: 'Statistics and /api/v1 reads' },
+  { value: 'export', label: 'export', description: 'Search query exports' },
+  { value: 'write', label: 'write', description: 'Search query imports and /api/v1 writes' },
+];
+
+const api = new ApiClient();
+
+const CreateApiKey = ({ resource }) => {
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['read']);
+  const [rateLimitMax, setRateLimitMax] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+  const [errors, setErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [created, setCreated] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const toggleScope = (scope) => {
+    setScopes(scopes.includes(scope) ? scopes.filter(item => item !== scope) : [...scopes, scope]);
+  };
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+    setError(null);
+    setErrors({});
+
+    const data = new FormData();
+    data.set('name', name);
+    scopes.forEach((scope, index) => data.set(`scopes.${index}`, scope));
+    data.set('rate_limit_max', rateLimitMax);
+    data.set('expires_at', expiresAt ? new Date(expiresAt).toISOString() : '');
+
+    try {
+      const response = await api.resourceAction({
+        resourceId: resource.id,
+        actionName: 'new',
+        method: 'post',
+        data,
+      });
+
+      if (response.data.notice?.type === 'error' || !response.data.token) {
+        setErrors(response.data.record?.errors || {});
+        setError(response.data.notice?.message || 'The API key could not be created');
+        return;
+      }
+
+      setCreated({ token: response.data.token, record: response.data.record });
+    } catch (requestError) {
+      setError(requestError.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (created) {
+    return (
+      <Box variant="container">
+        <H3>API key created</H3>
+        <MessageBox mb="xl" variant="info" message="Copy the key now. It is not stored and cannot be shown again." />
+        <FormGroup>
+          <Label htmlFor="api-key-token">{created.record.params.name}</Label>
+          <Input
+            id="api-key-token"
+            readOnly
+            width={1}
+            value={created.token}
+            onFocus={(event) => event.target.select()}
+          />
+        </FormGroup>
+        <Text mb="xl">
+          Send it as <code>Authorization: Bearer &lt;key&gt;</code> when calling the /api endpoints.
+        </Text>
+        <Button
+          as="a"
+          variant="outlined"
+          href={`/admin/resources/${resource.id}/records/${created.record.id}/show`}
+        >
+          View key details
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box variant="container" as="form" onSubmit={submit}>
+      <H3>New API key</H3>
+      <Text mb="xl">
+        The key is shown once after it is created; only a hash is stored.
+      </Text>
+      <FormGroup error={Boolean(errors.name)}>
+        <Label required htmlFor="api-key-name">Name</Label>
+        <Input
+          id="api-key-name"
+          width={1}
+          value={name}
+          placeholder="e.g. BI tool"
+          onChange={(event) => setName(event.target.value)}
+        />
+        <FormMessage>{errors.name?.message}</FormMessage>
+      </FormGroup>
+      <FormGroup error={Boolean(errors.scopes)}>
+        <Label required>Scopes</Label>
+        {SCOPES.map(scope => (
+          <Box key={scope.value} mb="sm">
+            <CheckBox
+              id={`api-key-scope-${scope.value}`}
+              checked={scopes.includes(scope.value)}
+              onChange={() => toggleScope(scope.value)}
+            />
+            <Label inline htmlFor={`api-key-scope-${scope.value}`} ml="default">
+              {scope.label} — {scope.description}
+            </Label>
+          </Box>
+        ))}
+        <FormMessage>{errors.scopes?.message}</FormMessage>
+      </FormGroup>
+      <FormGroup error={Boolean(errors.rate_limit_max)}>
+        <Label htmlFor="api-key-rate-limit">Requests per rate limit window</Label>
+        <Input
+          id="api-key-rate-limit"
+          type="number"
+          min="1"
+          value={rateLimitMax}
+          placeholder="Server default"
+          onChange={(event) => setRateLimitMax(event.target.value)}
+        />
+        <FormMessage>{errors.rate_limit_max?.message}</FormMessage>
+      </FormGroup>
+      <FormGroup error={Boolean(errors.expires_at)}>
+        <Label htmlFor="api-key-expires">Expires at</Label>
+        <Input
+          id="api-key-expires"
+          type="datetime-local"
+          value={expiresAt}
+          onChange={(event) => setExpiresAt(event.target.value)}
+        />
+        <FormMessage>{errors.expires_at?.message}</FormMessage>
+      </FormGroup>
+      {error && <MessageBox mb="xl" variant="danger" message={error} />}
+      <Button variant="contained" type="submit" disabled={loading}>
+        {loading ? 'Creating…' : 'Create key'}
+      </Button>
+    </Box>
+  );
+};
+
+export default CreateApiKey;
@@ -0,0 +1,76 @@
+import React, { useMemo, useState } from 'react';
+import { Box, Button, FormGroup, H3, Input, Label, Text } from '@adminjs/design-system';
+
+const FORMATS = ['csv', 'json', 'ndjson'];
+
+// Map AdminJS list filters (?filters.field=...) to export query parameters
+const initialFilters = () => {
+  const params = new URLSearchParams(window.location.search);
+  const toDate = (value) => (value ? value.slice(0, 10) : '');
+
+  return {
+    from: toDate(params.get('filters.created_at~~from')),
+    to: toDate(params.get('filters.created_at~~to')),
+    platform_name: params.get('filters.platform_name') || '',
+    search_type: params.get('filters.search_type') || '',
+  };
+};
+
+const ExportSearchQueries = () => {
+  const [filters, setFilters] = useState(initialFilters);
+
+  const query = useMemo(() => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value.trim()) {
+        params.set(key, value.trim());
+      }
+    });
+    return params;
+  }, [filters]);
+
+  const exportUrl = (format) => {
+    const params = new URLSearchParams(query);
+    params.set('format', format);
+    return `/api/search-queries/export?${params.toString()}`;
+  };
+
+  const handleChange = (key) => (event) => {
+    setFilters({ ...filters, [key]: event.target.value });
+  };
+
+  return (
+    <Box variant="container">
+      <H3>Export search queries</H3>
+      <Text mb="xl">
+        Download every search query matching these filters. Large exports are streamed, so the
+        download starts immediately.
+      </Text>
+      <FormGroup>
+        <Label htmlFor="export-from">From</Label>
+        <Input id="export-from" type="date" value={filters.from} onChange={handleChange('from')} />
+      </FormGroup>
+      <FormGroup>
+        <Label htmlFor="export-to">To</Label>
+        <Input id="export-to" type="date" value={filters.to} onChange={handleChange('to')} />
+      </FormGroup>
+      <FormGroup>
+        <Label htmlFor="export-platform">Platform</Label>
+        <Input id="export-platform" value={filters.platform_name} onChange={handleChange('platform_name')} />
+      </FormGroup>
+      <FormGroup>
+        <Label htmlFor="export-search-type">Search type</Label>
+        <Input id="export-search-type" value={filters.search_type} onChange={handleChange('search_type')} />
+      </FormGroup>
+      <Box flex flexDirection="row" style={{ gap: 12 }}>
+        {FORMATS.map((format) => (
+          <Button key={format} as="a" href={exportUrl(format)} variant={format === 'csv' ? 'contained' : 'outlined'}>
+            {`Download ${format.toUpperCase()}`}
+          </Button>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default ExportSearchQueries;
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  CheckBox,
+  FormGroup,
+  H3,
+  Input,
+  Label,
+  MessageBox,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Text,
+} from '@adminjs/design-system';
+
+const isNdjson = (file) => /\.(ndjson|jsonl)$/i.test(file.name);
+
+const ImportSearchQueries = () => {
+  const [file, setFile] = useState(null);
+  const [atomic, setAtomic] = useState(true);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const runImport = async (dryRun) => {
+    if (!file) {
+      setError('Choose a CSV or NDJSON file first');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ dryRun: String(dryRun), atomic: String(atomic) });
+      const response = await fetch(`/api/search-queries/import?${params.toString()}`, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': isNdjson(file) ? 'application/x-ndjson' : 'text/csv' },
+        body: await file.text(),
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error?.message || result.error || 'Import failed');
+      }
+
+      setReport(result.data);
+    } catch (importError) {
+      setReport(null);
+      setError(importError.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box variant="container">
+      <H3>Import search queries</H3>
+      <Text mb="xl">
+        Upload a CSV (with a header row) or NDJSON file with the columns keyword, platform_name,
+        search_type and created_at. Validate it with a dry run before importing.
+      </Text>
+      <FormGroup>
+        <Label htmlFor="import-file">File</Label>
+        <Input
+          id="import-file"
+          type="file"
+          accept=".csv,.ndjson,.jsonl,text/csv"
+          onChange={(event) => {
+            setFile(event.target.files[0] || null);
+            setReport(null);
+          }}
+        />
+      </FormGroup>
+      <FormGroup>
+        <CheckBox id="import-atomic" checked={atomic} onChange={() => setAtomic(!atomic)} />
+        <Label inline htmlFor="import-atomic" ml="default">
+          All or nothing (import nothing if any row is rejected)
+        </Label>
+      </FormGroup>
+      <Box flex flexDirection="row" style={{ gap: 12 }} mb="xl">
+        <Button variant="outlined" disabled={loading} onClick={() => runImport(true)}>Dry run</Button>
+        <Button variant="contained" disabled={loading || !report || report.dryRun === false} onClick={() => runImport(false)}>
+          Import
+        </Button>
+      </Box>
+      {error && <MessageBox variant="danger" message={error} mb="xl" />}
+      {report && (
+        <Box>
+          <MessageBox
+            variant={report.rejectedRows || report.failedBatches.length ? 'warning' : 'success'}
+            message={report.dryRun
+              ? `Dry run: ${report.validRows} of ${report.totalRows} rows are valid, ${report.rejectedRows} rejected.`
+              : `Imported ${report.inserted} of ${report.totalRows} rows in ${report.batches} batch(es). ${report.message || ''}`}
+            mb="xl"
+          />
+          {report.unknownColumns.length > 0 && (
+            <Text mb="lg">{`Ignored columns: ${report.unknownColumns.join(', ')}`}</Text>
+          )}
+          {report.failedBatches.map((batch) => (
+            <Text key={batch.batch || 'transaction'} mb="default">
+              {`${batch.batch ? `Batch ${batch.batch}` : 'Transaction'} failed: ${batch.message}`}
+            </Text>
+          ))}
+          {report.rejected.length > 0 && (
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Line</TableCell>
+                  <TableCell>Reasons</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {report.rejected.map((row) => (
+                  <TableRow key={row.line}>
+                    <TableCell>{row.line}</TableCell>
+                    <TableCell>{row.reasons.join('; ')}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ImportSearchQueries;
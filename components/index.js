@@ -0,0 +1,18 @@
+import { ComponentLoader } from 'adminjs';
+
+// Custom AdminJS components, bundled by AdminJS at startup
+const componentLoader = new ComponentLoader();
+
+const Components = {
+  ExportSearchQueries: componentLoader.add('ExportSearchQueries', './export-search-queries'),
+  ImportSearchQueries: componentLoader.add('ImportSearchQueries', './import-search-queries'),
+  CreateApiKey: componentLoader.add('CreateApiKey', './create-api-key'),
+  RelatedRecords: componentLoader.add('RelatedRecords', './related-records'),
+  ResponseInspector: componentLoader.add('ResponseInspector', './response-inspector'),
+  NewPromptVersion: componentLoader.add('NewPromptVersion', './new-prompt-version'),
+  ComparePromptVersions: componentLoader.add('ComparePromptVersions', './compare-prompt-versions'),
+  JsonProperty: componentLoader.add('JsonProperty', './json-property'),
+  ScreenshotGallery: componentLoader.add('ScreenshotGallery', './screenshot-gallery'),
+};
+
+export { componentLoader, Components };
@@ -0,0 +1,429 @@
+import React, { useId, useMemo, useState } from 'react';
+import { flat } from 'adminjs';
+import {
+  Box,
+  Button,
+  CheckBox,
+  FormGroup,
+  FormMessage,
+  Input,
+  Label,
+  Text,
+  TextArea,
+  ValueGroup,
+} from '@adminjs/design-system';
+import {
+  childSchema,
+  emptyJsonValue,
+  findUnsafeKey,
+  isUnsafeKey,
+  jsonType,
+  parseJsonText,
+  schemaTypes,
+  validateJson,
+} from '../utils/json-schema.js';
+
+// Tree levels open when a value is first shown
+const OPEN_DEPTH = 2;
+
+// Children shown per object or array before "Show all"
+const MAX_CHILDREN = 100;
+
+// Characters of JSON shown in a list cell
+const LIST_LENGTH = 80;
+
+const VALUE_COLORS = {
+  string: '#0a7d38',
+  number: '#1d4ed8',
+  boolean: '#9333ea',
+  null: '#6b7280',
+};
+
+const monospace = { fontFamily: 'SFMono-Regular, Menlo, Consolas, monospace', fontSize: 13 };
+
+const selectStyle = { ...monospace, padding: '4px 6px', border: '1px solid #c0c0ca', borderRadius: 4, background: '#fff' };
+
+// JSON text of the property: the text param set by withJsonProperties, else rebuilt from the flattened params
+const propertyText = (params, path) => {
+  const value = params[path];
+  if (typeof value === 'string' || value === null) {
+    return value ?? '';
+  }
+  const nested = flat.get(params, path);
+  return nested === undefined ? '' : JSON.stringify(nested);
+};
+
+const pretty = (value) => JSON.stringify(value, null, 2);
+
+// One-line description of an object or array: {3 keys} / [5 items]
+const sizeLabel = (value) => (Array.isArray(value)
+  ? `[${value.length} ${value.length === 1 ? 'item' : 'items'}]`
+  : `{${Object.keys(value).length} ${Object.keys(value).length === 1 ? 'key' : 'keys'}}`);
+
+const ScalarValue = ({ value }) => (
+  <span style={{ color: VALUE_COLORS[jsonType(value)], wordBreak: 'break-word' }}>{JSON.stringify(value)}</span>
+);
+
+// Read-only node of the tree: scalars inline, objects and arrays collapsible
+const TreeNode = ({ name, value, depth, openDepth }) => {
+  const [open, setOpen] = useState(depth < openDepth);
+  const [showAll, setShowAll] = useState(false);
+  const label = name === undefined ? null : <span style={{ color: '#374151' }}>{`${name}: `}</span>;
+
+  if (!value || typeof value !== 'object') {
+    return <div style={{ paddingLeft: 18 }}>{label}<ScalarValue value={value} /></div>;
+  }
+
+  const entries = Array.isArray(value) ? value.map((child, index) => [index, child]) : Object.entries(value);
+  const shown = showAll ? entries : entries.slice(0, MAX_CHILDREN);
+  return (
+    <div>
+      <div
+        role="button"
+        tabIndex={0}
+        style={{ cursor: 'pointer', userSelect: 'none' }}
+        onClick={() => setOpen(!open)}
+        onKeyDown={(event) => (event.key === 'Enter' || event.key === ' ') && setOpen(!open)}
+      >
+        <span style={{ display: 'inline-block', width: 18, color: '#6b7280' }}>{entries.length ? (open ? '▾' : '▸') : ''}</span>
+        {label}
+        <span style={{ color: '#6b7280' }}>{sizeLabel(value)}</span>
+      </div>
+      {open && entries.length > 0 && (
+        <div style={{ marginLeft: 8, borderLeft: '1px solid #e5e7eb', paddingLeft: 8 }}>
+          {shown.map(([key, child]) => (
+            <TreeNode key={key} name={key} value={child} depth={depth + 1} openDepth={openDepth} />
+          ))}
+          {shown.length < entries.length && (
+            <Button type="button" variant="text" size="sm" onClick={() => setShowAll(true)}>
+              {`Show all ${entries.length}`}
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Collapsible tree of a JSON text with expand/collapse all and a raw view
+const JsonTree = ({ text }) => {
+  const parsed = useMemo(() => parseJsonText(text), [text]);
+  const [view, setView] = useState({ openDepth: OPEN_DEPTH, generation: 0 });
+  const [raw, setRaw] = useState(false);
+
+  if (!String(text).trim()) {
+    return <Text color="grey60">null</Text>;
+  }
+  if (parsed.error) {
+    return <pre style={{ ...monospace, whiteSpace: 'pre-wrap', margin: 0 }}>{text}</pre>;
+  }
+
+  const nested = parsed.value && typeof parsed.value === 'object';
+  return (
+    <Box>
+      {nested && (
+        <Box flex flexDirection="row" mb="sm" style={{ gap: 8 }}>
+          <Button type="button" variant="outlined" size="sm" disabled={raw}
+            onClick={() => setView({ openDepth: Infinity, generation: view.generation + 1 })}>
+            Expand all
+          </Button>
+          <Button type="button" variant="outlined" size="sm" disabled={raw}
+            onClick={() => setView({ openDepth: 1, generation: view.generation + 1 })}>
+            Collapse all
+          </Button>
+          <Button type="button" variant="outlined" size="sm" onClick={() => setRaw(!raw)}>
+            {raw ? 'Tree' : 'Raw JSON'}
+          </Button>
+        </Box>
+      )}
+      <Box style={{ ...monospace, maxHeight: 600, overflow: 'auto' }}>
+        {raw
+          ? <pre style={{ ...monospace, whiteSpace: 'pre-wrap', margin: 0 }}>{pretty(parsed.value)}</pre>
+          : <TreeNode key={view.generation} value={parsed.value} depth={0} openDepth={view.openDepth} />}
+      </Box>
+    </Box>
+  );
+};
+
+// Number input that keeps what is typed, passing it on whenever it is a number
+const NumberInput = ({ value, onChange }) => {
+  const [draft, setDraft] = useState(String(value));
+  const isNumber = (text) => Boolean(text.trim()) && Number.isFinite(Number(text));
+  // A number that no longer matches the value was replaced from outside (e.g. a removed item before it)
+  const shown = isNumber(draft) && Number(draft) !== value ? String(value) : draft;
+  return (
+    <Input
+      style={{ ...monospace, width: 160, ...(isNumber(shown) ? {} : { borderColor: '#c20012' }) }}
+      value={shown}
+      onChange={(event) => {
+        setDraft(event.target.value);
+        if (isNumber(event.target.value)) {
+          onChange(Number(event.target.value));
+        }
+      }}
+    />
+  );
+};
+
+// Input for a scalar value of the node's current type, or a choice of the schema's enum
+const ScalarEditor = ({ value, schema, onChange }) => {
+  if (schema?.enum) {
+    const index = schema.enum.findIndex(option => JSON.stringify(option) === JSON.stringify(value));
+    return (
+      <select style={selectStyle} value={index} onChange={(event) => onChange(schema.enum[Number(event.target.value)])}>
+        {index === -1 && <option value={-1}>{JSON.stringify(value)}</option>}
+        {schema.enum.map((option, optionIndex) => (
+          <option key={JSON.stringify(option)} value={optionIndex}>{JSON.stringify(option)}</option>
+        ))}
+      </select>
+    );
+  }
+  switch (jsonType(value)) {
+    case 'string':
+      return <Input style={{ ...monospace, flex: 1, minWidth: 200 }} value={value} onChange={(event) => onChange(event.target.value)} />;
+    case 'number':
+      return <NumberInput value={value} onChange={onChange} />;
+    case 'boolean':
+      return <CheckBox checked={value} onChange={() => onChange(!value)} />;
+    default:
+      return <ScalarValue value={value} />;
+  }
+};
+
+// Type of a node; changing it starts the node over with an empty value of the new type
+const TypeSelect = ({ value, schema, onChange }) => {
+  const current = jsonType(value);
+  const types = schemaTypes(schema);
+  if (types.length === 1 && types[0] === current) {
+    return null;
+  }
+  const options = types.includes(current) ? types : [current, ...types];
+  return (
+    <select
+      style={selectStyle}
+      value={current}
+      onChange={(event) => onChange(emptyJsonValue({ ...schema, enum: undefined, type: event.target.value }))}
+    >
+      {options.map(type => <option key={type} value={type}>{type}</option>)}
+    </select>
+  );
+};
+
+// Key of a new object entry: a free name, or one of the schema's properties the object lacks
+const AddKey = ({ value, schema, onAdd }) => {
+  const [key, setKey] = useState('');
+  const listId = useId();
+  const missing = Object.keys(schema?.properties || {}).filter(name => !(name in value));
+  const closed = schema?.additionalProperties === false;
+  if (closed && !missing.length) {
+    return null;
+  }
+  const name = closed ? key || missing[0] : key;
+  const usable = Boolean(name) && !isUnsafeKey(name) && !(name in value);
+  const add = () => {
+    if (usable) {
+      onAdd(name);
+      setKey('');
+    }
+  };
+  return (
+    <Box flex flexDirection="row" alignItems="center" mt="sm" style={{ gap: 8 }}>
+      {closed
+        ? (
+          <select style={selectStyle} value={key || missing[0]} onChange={(event) => setKey(event.target.value)}>
+            {missing.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        )
+        : (
+          <>
+            <Input
+              style={{ ...monospace, width: 200 }}
+              placeholder="New key"
+              list={missing.length ? listId : undefined}
+              value={key}
+              onChange={(event) => setKey(event.target.value)}
+              onKeyDown={(event) => {
+                if (event.key === 'Enter') {
+                  event.preventDefault();
+                  add();
+                }
+              }}
+            />
+            {missing.length > 0 && (
+              <datalist id={listId}>
+                {missing.map(name => <option key={name} value={name} />)}
+              </datalist>
+            )}
+          </>
+        )}
+      <Button type="button" variant="outlined" size="sm" disabled={!usable} onClick={add}>Add key</Button>
+      {key && !usable && <Text variant="sm" color="error">{key in value ? 'Already set' : 'Keys cannot be numbers, blank or contain "."'}</Text>}
+    </Box>
+  );
+};
+
+// Editable node of the tree; `onChange` receives the node's new value
+const EditNode = ({ value, schema, onChange }) => {
+  const type = jsonType(value);
+
+  if (type !== 'object' && type !== 'array') {
+    return (
+      <Box flex flexDirection="row" alignItems="center" style={{ gap: 8, flex: 1 }}>
+        <TypeSelect value={value} schema={schema} onChange={onChange} />
+        <ScalarEditor value={value} schema={schema} onChange={onChange} />
+      </Box>
+    );
+  }
+
+  const isArray = type === 'array';
+  const entries = isArray ? value.map((child, index) => [index, child]) : Object.entries(value);
+  const required = isArray ? [] : schema?.required || [];
+
+  const setChild = (key, child) => onChange(isArray
+    ? value.map((item, index) => (index === key ? child : item))
+    : { ...value, [key]: child });
+  const removeChild = (key) => onChange(isArray
+    ? value.filter((item, index) => index !== key)
+    : Object.fromEntries(Object.entries(value).filter(([name]) => name !== key)));
+
+  return (
+    <Box style={{ flex: 1 }}>
+      <Box flex flexDirection="row" alignItems="center" style={{ gap: 8 }}>
+        <TypeSelect value={value} schema={schema} onChange={onChange} />
+        <span style={{ ...monospace, color: '#6b7280' }}>{sizeLabel(value)}</span>
+      </Box>
+      <Box style={{ marginLeft: 8, borderLeft: '1px solid #e5e7eb', paddingLeft: 12 }}>
+        {entries.map(([key, child]) => (
+          <Box key={key} flex flexDirection="row" alignItems="flex-start" mt="sm" style={{ gap: 8 }}>
+            <span style={{ ...monospace, paddingTop: 6, minWidth: 40 }} title={childSchema(schema, key)?.description}>
+              {isArray ? `${key}` : `${key}:`}
+            </span>
+            <EditNode value={child} schema={childSchema(schema, key)} onChange={(next) => setChild(key, next)} />
+            {!required.includes(key) && (
+              <Button type="button" variant="text" size="sm" title="Remove" onClick={() => removeChild(key)}>✕</Button>
+            )}
+          </Box>
+        ))}
+        {isArray
+          ? (
+            <Button type="button" variant="outlined" size="sm" mt="sm"
+              onClick={() => onChange([...value, emptyJsonValue(schema?.items)])}>
+              Add item
+            </Button>
+          )
+          : <AddKey value={value} schema={schema} onAdd={(key) => setChild(key, emptyJsonValue(childSchema(schema, key)))} />}
+      </Box>
+    </Box>
+  );
+};
+
+// Form field: a tree editor and a JSON text editor over the same JSON text
+const JsonEditor = ({ property, record, onChange }) => {
+  const schema = property.custom?.schema;
+  const required = Boolean(property.custom?.required || property.isRequired);
+  const [text, setText] = useState(() => {
+    const initial = propertyText(record.params, property.path);
+    const parsed = parseJsonText(initial);
+    return parsed.error || parsed.value === null ? initial : pretty(parsed.value);
+  });
+  const parsed = useMemo(() => parseJsonText(text), [text]);
+  const [mode, setMode] = useState(parsed.error ? 'text' : 'tree');
+
+  const update = (nextText) => {
+    setText(nextText);
+    onChange(property.path, nextText);
+  };
+
+  let problems = [];
+  if (parsed.error) {
+    problems = [parsed.error];
+  } else if (parsed.value === null) {
+    problems = required ? ['A value is required'] : [];
+  } else {
+    const unsafeKey = findUnsafeKey(parsed.value, property.path);
+    problems = [
+      ...validateJson(parsed.value, schema, property.path).map(problem => problem.message),
+      ...(unsafeKey ? [unsafeKey.message] : []),
+    ];
+  }
+  const serverError = record.errors?.[property.path]?.message;
+
+  return (
+    <FormGroup error={Boolean(serverError || problems.length)}>
+      <Label required={required}>{property.label}</Label>
+      <Box flex flexDirection="row" mb="default" style={{ gap: 8 }}>
+        <Button type="button" size="sm" variant={mode === 'tree' ? 'contained' : 'outlined'}
+          disabled={Boolean(parsed.error)} onClick={() => setMode('tree')}>
+          Tree
+        </Button>
+        <Button type="button" size="sm" variant={mode === 'text' ? 'contained' : 'outlined'} onClick={() => setMode('text')}>
+          JSON
+        </Button>
+        {mode === 'text' && !parsed.error && parsed.value !== null && (
+          <Button type="button" size="sm" variant="text" onClick={() => update(pretty(parsed.value))}>Format</Button>
+        )}
+      </Box>
+      {mode === 'tree' && !parsed.error
+        ? (
+          <Box style={{ maxHeight: 600, overflow: 'auto' }}>
+            <EditNode
+              value={parsed.value}
+              schema={required ? schema : { ...schema, type: [...schemaTypes(schema).filter(type => type !== 'null'), 'null'] }}
+              onChange={(next) => update(pretty(next))}
+            />
+          </Box>
+        )
+        : (
+          <TextArea
+            width={1}
+            rows={Math.min(Math.max(text.split('\n').length + 1, 6), 30)}
+            style={monospace}
+            value={text}
+            spellCheck={false}
+            onChange={(event) => update(event.target.value)}
+          />
+        )}
+      {schema && <Text variant="sm" color="grey60" mt="sm">Checked against this field's schema on save</Text>}
+      <FormMessage>
+        {serverError || problems.slice(0, 5).join('; ')}
+        {!serverError && problems.length > 5 ? `; and ${problems.length - 5} more` : ''}
+      </FormMessage>
+    </FormGroup>
+  );
+};
+
+/**
+ * JSONB property (see services/json-properties.js): a compact summary on
+ * lists, a collapsible tree on show pages and a tree/JSON text editor on
+ * forms. The editor follows the property's `custom.schema` when it has one:
+ * the types a value may take, enum choices, known and required keys and the
+ * empty value of new items; problems are listed as the value is edited.
+ */
+const JsonProperty = (props) => {
+  const { property, record, where } = props;
+
+  if (where === 'edit') {
+    return <JsonEditor {...props} />;
+  }
+
+  const text = propertyText(record.params, property.path);
+  if (where === 'list') {
+    const parsed = parseJsonText(text);
+    const summary = parsed.value && typeof parsed.value === 'object'
+      ? `${sizeLabel(parsed.value)} ${JSON.stringify(parsed.value)}`
+      : text;
+    return (
+      <span style={monospace} title={text.length > LIST_LENGTH ? text.slice(0, 2000) : undefined}>
+        {summary.length > LIST_LENGTH ? `${summary.slice(0, LIST_LENGTH)}…` : summary}
+      </span>
+    );
+  }
+
+  return (
+    <ValueGroup label={property.label}>
+      <JsonTree text={text} />
+    </ValueGroup>
+  );
+};
+
+export default JsonProperty;
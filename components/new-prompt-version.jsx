@@ -0,0 +1,146 @@
+import React, { useEffect, useState } from 'react';
+import { ApiClient, ViewHelpers } from 'adminjs';
+import {
+  Box,
+  Button,
+  CheckBox,
+  FormGroup,
+  FormMessage,
+  H3,
+  Input,
+  Label,
+  MessageBox,
+  Text,
+  TextArea,
+} from '@adminjs/design-system';
+
+const api = new ApiClient();
+const h = new ViewHelpers();
+
+// Create a new version of a system prompt from this one; the record itself is left unchanged
+const NewPromptVersion = ({ resource, record }) => {
+  const [version, setVersion] = useState('');
+  const [promptText, setPromptText] = useState(record.params.prompt_text || '');
+  const [activate, setActivate] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [created, setCreated] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // Suggest the version after the highest existing one
+  useEffect(() => {
+    api.recordAction({ resourceId: resource.id, recordId: record.id, actionName: 'newVersion' })
+      .then(({ data }) => setVersion(current => current || data.suggestedVersion || ''))
+      .catch(() => {});
+  }, [resource.id, record.id]);
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+    setError(null);
+    setErrors({});
+
+    const data = new FormData();
+    data.set('prompt_text', promptText);
+    data.set('version', version);
+    data.set('activate', String(activate));
+
+    try {
+      const response = await api.recordAction({
+        resourceId: resource.id,
+        recordId: record.id,
+        actionName: 'newVersion',
+        method: 'post',
+        data,
+      });
+
+      if (response.data.notice?.type === 'error') {
+        const fieldErrors = response.data.record?.errors || {};
+        setErrors(fieldErrors);
+        setError(Object.keys(fieldErrors).length ? null : response.data.notice.message);
+        return;
+      }
+
+      setCreated(response.data.record);
+    } catch (requestError) {
+      setError(requestError.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (created) {
+    return (
+      <Box variant="container">
+        <H3>{`Version ${created.params.version} created`}</H3>
+        <MessageBox
+          mb="xl"
+          variant="success"
+          message={created.params.is_active
+            ? 'It is now the active prompt; the previous active version was deactivated.'
+            : 'It is not active yet. Use Activate on the new version when it should be used.'}
+        />
+        <Box flex flexDirection="row" style={{ gap: 12 }}>
+          <Button as="a" variant="contained" href={h.showUrl(resource.id, created.id)}>
+            View the new version
+          </Button>
+          <Button
+            as="a"
+            variant="outlined"
+            href={h.recordActionUrl({
+              resourceId: resource.id,
+              recordId: created.id,
+              actionName: 'compare',
+              search: `?${new URLSearchParams({ with: record.id })}`,
+            })}
+          >
+            {`Compare with ${record.params.version || 'this version'}`}
+          </Button>
+        </Box>
+      </Box>
+    );
+  }
+
+  return (
+    <Box variant="container" as="form" onSubmit={submit}>
+      <H3>New version</H3>
+      <Text mb="xl">
+        {`Creates a new version of the ${record.params.platform}${record.params.search_type ? ` / ${record.params.search_type}` : ''} prompt, starting from version ${record.params.version || '(none)'}. This version is kept unchanged.`}
+      </Text>
+      {error && <MessageBox variant="danger" message={error} mb="xl" />}
+      <FormGroup error={Boolean(errors.version)}>
+        <Label required htmlFor="prompt-version">Version</Label>
+        <Input
+          id="prompt-version"
+          maxLength={10}
+          value={version}
+          placeholder="e.g. v2"
+          onChange={(event) => setVersion(event.target.value)}
+        />
+        <FormMessage>{errors.version?.message}</FormMessage>
+      </FormGroup>
+      <FormGroup error={Boolean(errors.prompt_text)}>
+        <Label required htmlFor="prompt-text">Prompt text</Label>
+        <TextArea
+          id="prompt-text"
+          width={1}
+          rows={20}
+          value={promptText}
+          onChange={(event) => setPromptText(event.target.value)}
+        />
+        <FormMessage>{errors.prompt_text?.message}</FormMessage>
+      </FormGroup>
+      <FormGroup>
+        <CheckBox id="prompt-activate" checked={activate} onChange={() => setActivate(!activate)} />
+        <Label inline htmlFor="prompt-activate" ml="default">
+          Activate it now (deactivates the current active version)
+        </Label>
+      </FormGroup>
+      <Button variant="contained" type="submit" disabled={loading}>
+        {loading ? 'Creating…' : 'Create version'}
+      </Button>
+    </Box>
+  );
+};
+
+export default NewPromptVersion;
@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from 'react';
+import { ApiClient, ViewHelpers } from 'adminjs';
+import {
+  Box,
+  Link,
+  Loader,
+  MessageBox,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Text,
+  ValueGroup,
+} from '@adminjs/design-system';
+
+const api = new ApiClient();
+const h = new ViewHelpers();
+
+/**
+ * Show-page list of the records on another resource that point at this one,
+ * e.g. a user's searches. Configured through the property's `custom` options:
+ *   resourceId - the child resource (table name)
+ *   foreignKey - the child column holding the reference
+ *   sourceKey  - the column of this record it references
+ *   columns    - child columns to show
+ *   sortBy     - child column to sort by, newest first (optional)
+ *   perPage    - rows to show before linking to the full list (default 10)
+ */
+const RelatedRecords = ({ property, record }) => {
+  const { resourceId, foreignKey, sourceKey, columns = [], sortBy, perPage = 10 } = property.custom;
+  const value = record.params[sourceKey];
+  const [state, setState] = useState({ loading: true });
+
+  useEffect(() => {
+    if (value === undefined || value === null) {
+      setState({ records: [], total: 0 });
+      return undefined;
+    }
+
+    let cancelled = false;
+    setState({ loading: true });
+    api.resourceAction({
+      resourceId,
+      actionName: 'list',
+      params: {
+        [`filters.${foreignKey}`]: value,
+        perPage,
+        ...(sortBy && { sortBy, direction: 'desc' }),
+      },
+    })
+      .then(({ data }) => {
+        if (!cancelled) {
+          setState({ records: data.records, total: data.meta.total });
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          setState({ error: error.message || 'Could not load related records' });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [resourceId, foreignKey, value, sortBy, perPage]);
+
+  const listUrl = h.listUrl(resourceId, `?${new URLSearchParams({ [`filters.${foreignKey}`]: value ?? '' })}`);
+
+  let content;
+  if (state.loading) {
+    content = <Loader />;
+  } else if (state.error) {
+    content = <MessageBox variant="danger" message={state.error} />;
+  } else if (!state.records.length) {
+    content = <Text>None</Text>;
+  } else {
+    content = (
+      <Box>
+        <Table>
+          <TableHead>
+            <TableRow>
+              {columns.map(column => <TableCell key={column}>{column}</TableCell>)}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {state.records.map(child => (
+              <TableRow key={child.id}>
+                {columns.map((column, index) => (
+                  <TableCell key={column}>
+                    {index === 0
+                      ? <Link href={h.showUrl(resourceId, child.id)}>{String(child.params[column] ?? child.id)}</Link>
+                      : String(child.params[column] ?? '')}
+                  </TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+        {state.total > state.records.length && (
+          <Text mt="default">
+            <Link href={listUrl}>{`View all ${state.total}`}</Link>
+          </Text>
+        )}
+      </Box>
+    );
+  }
+
+  return <ValueGroup label={property.label}>{content}</ValueGroup>;
+};
+
+export default RelatedRecords;
@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from 'react';
+import { ViewHelpers } from 'adminjs';
+import {
+  Badge,
+  Box,
+  CheckBox,
+  H3,
+  H4,
+  Label,
+  Link,
+  Loader,
+  MessageBox,
+  Text,
+  ValueGroup,
+} from '@adminjs/design-system';
+
+const h = new ViewHelpers();
+
+const SECTIONS = [
+  { kind: 'web', title: 'Web results' },
+  { kind: 'image', title: 'Image results' },
+  { kind: 'video', title: 'Video results' },
+];
+
+// Only link to and load images from http(s) URLs stored with the results
+const isHttpUrl = (value) => /^https?:\/\//i.test(value || '');
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const formatKeywords = (keywords) => {
+  if (Array.isArray(keywords)) {
+    return keywords.join(', ');
+  }
+  return keywords ? JSON.stringify(keywords) : '—';
+};
+
+const ResultDetails = ({ result }) => {
+  const details = result.kind === 'video'
+    ? [
+      result.publishDate && `Published ${result.publishDate}`,
+      result.views !== null && `${result.views.toLocaleString()} views`,
+      result.likes !== null && `${result.likes.toLocaleString()} likes`,
+    ]
+    : [result.source];
+  const line = details.filter(Boolean).join(' · ');
+  return line ? <Text variant="sm" color="grey60">{line}</Text> : null;
+};
+
+const ResultItem = ({ result }) => {
+  const title = result.title || result.url || result.videoId;
+  return (
+    <Box flex flexDirection="row" py="default" style={{ gap: 16, borderBottom: '1px solid #eeeeef' }}>
+      <Box width={32} flexShrink={0}>
+        <Text fontWeight="bold">{result.seqNo ?? '–'}</Text>
+      </Box>
+      <Box width={result.kind === 'web' ? 32 : 120} flexShrink={0}>
+        {isHttpUrl(result.thumbnail) && (
+          <img
+            src={result.thumbnail}
+            alt=""
+            loading="lazy"
+            style={{ maxWidth: '100%', maxHeight: result.kind === 'web' ? 32 : 90, objectFit: 'cover' }}
+          />
+        )}
+      </Box>
+      <Box flexGrow={1} style={{ minWidth: 0 }}>
+        <Box flex flexDirection="row" alignItems="center" style={{ gap: 8 }}>
+          {isHttpUrl(result.url)
+            ? <Link href={result.url} target="_blank" rel="noopener noreferrer">{title}</Link>
+            : <Text fontWeight="bold">{title}</Text>}
+          {result.isCitation && <Badge variant="success" size="sm">Cited</Badge>}
+        </Box>
+        <ResultDetails result={result} />
+        {result.snippet && <Text mt="sm">{result.snippet}</Text>}
+        {result.aiOverview && <Text mt="sm" color="grey60">{result.aiOverview}</Text>}
+      </Box>
+    </Box>
+  );
+};
+
+/**
+ * Record action page for a search response: the AI summary next to the web,
+ * image and video results attached to it, in seq_no order, with their
+ * metadata and thumbnails. Data comes from GET /api/responses/:responseId.
+ */
+const ResponseInspector = ({ record }) => {
+  const [state, setState] = useState({ loading: true });
+  const [citedOnly, setCitedOnly] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setState({ loading: true });
+    fetch(`/api/responses/${encodeURIComponent(record.id)}`)
+      .then(async (response) => {
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+          throw new Error(result.error?.message || result.error || 'Could not load the response');
+        }
+        return result.data;
+      })
+      .then((data) => {
+        if (!cancelled) {
+          setState({ data });
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          setState({ error: error.message });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [record.id]);
+
+  if (state.loading) {
+    return <Loader />;
+  }
+  if (state.error) {
+    return <MessageBox variant="danger" message={state.error} />;
+  }
+
+  const { data } = state;
+  const { search } = data;
+
+  return (
+    <Box variant="container">
+      <H3>Search response</H3>
+      <Box flex flexDirection="row" flexWrap="wrap" style={{ columnGap: 48 }}>
+        <ValueGroup label="Response">{data.responseId}</ValueGroup>
+        <ValueGroup label="Created at">{formatDate(data.createdAt)}</ValueGroup>
+        <ValueGroup label="Search">
+          {search
+            ? <Link href={h.showUrl('searches', search.searchId)}>{formatKeywords(search.keywords)}</Link>
+            : (data.searchId || '—')}
+        </ValueGroup>
+        {search && (
+          <ValueGroup label="User">
+            <Link href={h.showUrl('users', search.userId)}>{search.userId}</Link>
+          </ValueGroup>
+        )}
+        {search?.systemPromptId && (
+          <ValueGroup label="System prompt">
+            <Link href={h.showUrl('system_prompt', search.systemPromptId)}>{search.systemPromptId}</Link>
+          </ValueGroup>
+        )}
+      </Box>
+
+      <Box flex flexDirection="row" flexWrap="wrap" mt="xl" style={{ gap: 32 }}>
+        <Box flexGrow={1} flexBasis={360}>
+          <H4>AI summary</H4>
+          <Text style={{ whiteSpace: 'pre-wrap' }}>{data.aiSummary || 'No summary'}</Text>
+        </Box>
+
+        <Box flexGrow={2} flexBasis={480}>
+          <Box flex flexDirection="row" alignItems="center" mb="lg">
+            <CheckBox id="cited-only" checked={citedOnly} onChange={() => setCitedOnly(!citedOnly)} />
+            <Label inline htmlFor="cited-only" ml="default">Citations only</Label>
+          </Box>
+          {SECTIONS.map(({ kind, title }) => {
+            const results = data.results[kind].filter(result => !citedOnly || result.isCitation);
+            return (
+              <Box key={kind} mb="xl">
+                <H4>{`${title} (${data.citationCounts[kind]} cited of ${data.results[kind].length})`}</H4>
+                {results.length
+                  ? results.map(result => <ResultItem key={`${result.url || result.videoId}-${result.seqNo}`} result={result} />)
+                  : <Text color="grey60">None</Text>}
+              </Box>
+            );
+          })}
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+export default ResponseInspector;
@@ -0,0 +1,273 @@
+import React, { useEffect, useState } from 'react';
+import { ViewHelpers } from 'adminjs';
+import {
+  Badge,
+  Box,
+  Button,
+  FormGroup,
+  H3,
+  Input,
+  Label,
+  Link,
+  Loader,
+  MessageBox,
+  Text,
+} from '@adminjs/design-system';
+
+const h = new ViewHelpers();
+
+const PER_PAGE = 24;
+const FILTER_KEYS = ['url', 'from', 'to'];
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Why a file cannot be shown, by the status GET /api/screenshots gives it
+const FILE_PROBLEMS = {
+  missing: 'File missing',
+  outside: 'Outside storage',
+  unsupported: 'Not an image',
+  none: 'No file',
+};
+
+const isHttpUrl = (value) => /^https?:\/\//i.test(value || '');
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const imageUrl = (id) => `/screenshots/${encodeURIComponent(id)}/image`;
+const sliceUrl = (id, index) => `/screenshots/${encodeURIComponent(id)}/slices/${index}`;
+
+// Filters from the page URL: the gallery's own, else those of the AdminJS list it was opened from
+const initialFilters = () => {
+  const params = new URLSearchParams(window.location.search);
+  const toDate = (value) => (value ? value.slice(0, 10) : '');
+
+  return {
+    url: params.get('url') || params.get('filters.url') || '',
+    from: params.get('from') || toDate(params.get('filters.created_at~~from')),
+    to: params.get('to') || toDate(params.get('filters.created_at~~to')),
+    page: Number(params.get('page')) || 1,
+  };
+};
+
+// Keep the applied filters in the page URL so the gallery can be reloaded and shared
+const setUrlFilters = (filters) => {
+  const params = new URLSearchParams();
+  FILTER_KEYS.forEach((key) => {
+    if (filters[key]) {
+      params.set(key, filters[key]);
+    }
+  });
+  if (filters.page > 1) {
+    params.set('page', filters.page);
+  }
+  const query = params.toString();
+  window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+};
+
+const Placeholder = ({ status, height }) => (
+  <Box
+    flex
+    alignItems="center"
+    justifyContent="center"
+    style={{ height, background: '#f4f4f6', color: '#6b7280', fontSize: 12, textAlign: 'center' }}
+  >
+    {FILE_PROBLEMS[status] || status}
+  </Box>
+);
+
+const SliceStrip = ({ screenshot }) => {
+  if (!screenshot.slices.length) {
+    return null;
+  }
+  const missing = screenshot.slices.filter(slice => slice.status !== 'ok').length;
+  return (
+    <Box mt="default">
+      <Text variant="sm" color="grey60" mb="sm">
+        {`${screenshot.slices.length} ${screenshot.slices.length === 1 ? 'slice' : 'slices'}${missing ? `, ${missing} not available` : ''}`}
+      </Text>
+      <Box flex flexDirection="row" style={{ gap: 4, overflowX: 'auto' }}>
+        {screenshot.slices.map(slice => (slice.status === 'ok'
+          ? (
+            <a key={slice.index} href={sliceUrl(screenshot.id, slice.index)} target="_blank" rel="noopener noreferrer"
+              title={`Slice ${slice.index + 1}: ${slice.path}`}>
+              <img
+                src={sliceUrl(screenshot.id, slice.index)}
+                alt={`Slice ${slice.index + 1}`}
+                loading="lazy"
+                style={{ height: 64, width: 48, objectFit: 'cover', objectPosition: 'top', border: '1px solid #e5e7eb' }}
+              />
+            </a>
+          )
+          : (
+            <Box key={slice.index} title={`Slice ${slice.index + 1}: ${slice.path || 'no path'}`}
+              style={{ width: 48, flexShrink: 0, border: '1px dashed #d1d5db' }}>
+              <Placeholder status={slice.status} height={64} />
+            </Box>
+          )))}
+      </Box>
+    </Box>
+  );
+};
+
+const ScreenshotCard = ({ screenshot }) => (
+  <Box
+    style={{ border: '1px solid #e5e7eb', borderRadius: 6, overflow: 'hidden', background: '#fff' }}
+    data-status={screenshot.status}
+  >
+    {screenshot.status === 'ok'
+      ? (
+        <a href={imageUrl(screenshot.id)} target="_blank" rel="noopener noreferrer">
+          <img
+            src={imageUrl(screenshot.id)}
+            alt={screenshot.url}
+            loading="lazy"
+            style={{ display: 'block', width: '100%', height: 180, objectFit: 'cover', objectPosition: 'top' }}
+          />
+        </a>
+      )
+      : <Placeholder status={screenshot.status} height={180} />}
+    <Box p="default">
+      <Box flex flexDirection="row" alignItems="center" style={{ gap: 8 }}>
+        {screenshot.status !== 'ok' && (
+          <Badge variant={screenshot.status === 'missing' ? 'danger' : 'secondary'} size="sm">
+            {FILE_PROBLEMS[screenshot.status]}
+          </Badge>
+        )}
+        <Text variant="sm" color="grey60">{formatDate(screenshot.createdAt)}</Text>
+      </Box>
+      <Text mt="sm" style={{ wordBreak: 'break-all' }}>
+        {isHttpUrl(screenshot.url)
+          ? <Link href={screenshot.url} target="_blank" rel="noopener noreferrer">{screenshot.url}</Link>
+          : screenshot.url}
+      </Text>
+      <Text variant="sm" color="grey60" mt="sm" style={{ wordBreak: 'break-all' }} title="output_path">
+        {screenshot.outputPath || 'No output_path'}
+      </Text>
+      <SliceStrip screenshot={screenshot} />
+      <Text variant="sm" mt="default">
+        <Link href={h.showUrl('screenshots', screenshot.id)}>Details</Link>
+      </Text>
+    </Box>
+  </Box>
+);
+
+/**
+ * Resource action page for screenshots: a gallery of the screenshot images
+ * with thumbnails of their slices, filtered by URL and creation date.
+ * Screenshots whose output_path is gone from the storage root are flagged.
+ * Data comes from GET /api/screenshots and the files from /screenshots.
+ */
+const ScreenshotGallery = () => {
+  const [filters, setFilters] = useState(initialFilters);
+  const [form, setForm] = useState(filters);
+  const [state, setState] = useState({ loading: true });
+
+  useEffect(() => {
+    let cancelled = false;
+    setUrlFilters(filters);
+    setState(current => ({ ...current, loading: true, error: null }));
+
+    const params = new URLSearchParams({ tz: TIME_ZONE, page: filters.page, perPage: PER_PAGE });
+    FILTER_KEYS.forEach((key) => {
+      if (filters[key]) {
+        params.set(key, filters[key]);
+      }
+    });
+    fetch(`/api/screenshots?${params}`)
+      .then(async (response) => {
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+          const details = result.error?.details ? `: ${result.error.details.map(detail => detail.message).join(', ')}` : '';
+          throw new Error((result.error?.message || result.error || 'Could not load screenshots') + details);
+        }
+        return result.data;
+      })
+      .then((data) => {
+        if (!cancelled) {
+          setState({ data });
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          setState(current => ({ ...current, loading: false, error: error.message }));
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [filters]);
+
+  const apply = (event) => {
+    event.preventDefault();
+    setFilters({ ...form, url: form.url.trim(), page: 1 });
+  };
+  const reset = () => {
+    const empty = { url: '', from: '', to: '', page: 1 };
+    setForm(empty);
+    setFilters(empty);
+  };
+  const handleChange = (key) => (event) => setForm({ ...form, [key]: event.target.value });
+
+  const { data } = state;
+  const pages = data ? Math.max(Math.ceil(data.total / data.perPage), 1) : 1;
+
+  return (
+    <Box variant="container">
+      <H3>Screenshot gallery</H3>
+      <Box as="form" onSubmit={apply} flex flexDirection="row" flexWrap="wrap" alignItems="flex-end" style={{ columnGap: 16 }}>
+        <FormGroup>
+          <Label htmlFor="gallery-url">URL contains</Label>
+          <Input id="gallery-url" value={form.url} placeholder="example.com" onChange={handleChange('url')} />
+        </FormGroup>
+        <FormGroup>
+          <Label htmlFor="gallery-from">From</Label>
+          <Input id="gallery-from" type="date" value={form.from} onChange={handleChange('from')} />
+        </FormGroup>
+        <FormGroup>
+          <Label htmlFor="gallery-to">To</Label>
+          <Input id="gallery-to" type="date" value={form.to} onChange={handleChange('to')} />
+        </FormGroup>
+        <Box flex flexDirection="row" mb="xl" style={{ gap: 8 }}>
+          <Button variant="contained" type="submit">Apply</Button>
+          <Button variant="outlined" type="button" onClick={reset}>Reset</Button>
+        </Box>
+      </Box>
+
+      {state.error && <MessageBox variant="danger" message={state.error} mb="xl" />}
+      {state.loading && !data && <Loader />}
+      {data && (
+        <Box style={{ opacity: state.loading ? 0.5 : 1 }}>
+          <Text mb="xl">
+            {`${data.total.toLocaleString()} ${data.total === 1 ? 'screenshot' : 'screenshots'}`}
+            {data.missing > 0 && (
+              <Badge variant="danger" size="sm" ml="default">
+                {`${data.missing} on this page missing from storage`}
+              </Badge>
+            )}
+          </Text>
+          {!data.screenshots.length
+            ? <Text>No screenshots match these filters.</Text>
+            : (
+              <Box style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))', gap: 16 }}>
+                {data.screenshots.map(screenshot => <ScreenshotCard key={screenshot.id} screenshot={screenshot} />)}
+              </Box>
+            )}
+          {pages > 1 && (
+            <Box flex flexDirection="row" alignItems="center" mt="xl" style={{ gap: 12 }}>
+              <Button variant="outlined" size="sm" type="button" disabled={filters.page <= 1}
+                onClick={() => setFilters({ ...filters, page: filters.page - 1 })}>
+                Previous
+              </Button>
+              <Text>{`Page ${filters.page} of ${pages}`}</Text>
+              <Button variant="outlined" size="sm" type="button" disabled={filters.page >= pages}
+                onClick={() => setFilters({ ...filters, page: filters.page + 1 })}>
+                Next
+              </Button>
+            </Box>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ScreenshotGallery;
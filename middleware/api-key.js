@@ -0,0 +1,122 @@
+import { flat, paramConverter, ValidationError } from 'adminjs';
+import { findActiveApiKey, generateApiKey, touchApiKey } from '../services/api-keys.js';
+import { recordAuditEntry } from '../services/audit.js';
+import logger from '../utils/logger.js';
+
+const BEARER_PATTERN = /^Bearer\s+(\S+)\s*$/i;
+
+/**
+ * Authenticate `Authorization: Bearer <key>` requests. A valid key is stored
+ * on `req.apiKey`; an invalid, revoked or expired key is rejected with 401.
+ * Requests without a bearer token continue to the session checks untouched.
+ */
+export const authenticateApiKey = async (req, res, next) => {
+  const header = req.get('authorization');
+  if (!header) {
+    return next();
+  }
+
+  const match = BEARER_PATTERN.exec(header);
+  if (!match) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Malformed Authorization header' });
+  }
+
+  try {
+    const apiKey = await findActiveApiKey(match[1]);
+    if (!apiKey) {
+      logger.warn(`Rejected API key for ${req.method} ${req.originalUrl} from ${req.ip}`);
+      return res.status(401).json({ error: 'Unauthorized', message: 'Invalid, revoked or expired API key' });
+    }
+
+    req.apiKey = apiKey;
+    touchApiKey(apiKey);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Fields of an API key that can never be set from the admin
+const PROTECTED_FIELDS = ['key_hash', 'key_prefix', 'created_by', 'last_used_at', 'revoked_at', 'created_at'];
+
+const withoutProtectedFields = (payload = {}) => Object.fromEntries(
+  Object.entries(payload).filter(([field]) => !PROTECTED_FIELDS.includes(field.split('.')[0]))
+);
+
+/**
+ * AdminJS handler for creating an API key. The key is generated here and
+ * returned once as `token` alongside the record; only its hash is stored.
+ */
+export const createApiKeyAction = async (request, response, context) => {
+  const { resource, currentAdmin } = context;
+
+  if (request.method !== 'post') {
+    return {};
+  }
+
+  const params = paramConverter.prepareParams(withoutProtectedFields(request.payload), resource);
+  const { scopes } = flat.unflatten(params);
+
+  if (!Array.isArray(scopes) || !scopes.filter(Boolean).length) {
+    throw new ValidationError({ scopes: { message: 'Select at least one scope' } });
+  }
+
+  const { token, keyPrefix, keyHash } = generateApiKey();
+  let record = await resource.build({
+    ...params,
+    key_prefix: keyPrefix,
+    key_hash: keyHash,
+    created_by: currentAdmin?.email || null
+  });
+  record = await record.create(context);
+  context.record = record;
+
+  if (!record.isValid()) {
+    return {
+      record: record.toJSON(currentAdmin),
+      notice: { message: 'thereWereValidationErrors', type: 'error' }
+    };
+  }
+
+  logger.info(`API key ${record.id()} (${record.param('name')}) created by ${currentAdmin?.email}`);
+
+  return {
+    record: record.toJSON(currentAdmin),
+    token,
+    notice: { message: 'API key created', type: 'success' }
+  };
+};
+
+// AdminJS before hook for ApiKey edit: only name, scopes, limit and expiry can change
+export const protectApiKeyFields = async (request) => {
+  if (request.method === 'post' && request.payload) {
+    request.payload = withoutProtectedFields(request.payload);
+  }
+  return request;
+};
+
+// AdminJS handler for revoking an API key; revoked keys are kept for the record
+export const revokeApiKeyAction = async (request, response, context) => {
+  const { record, currentAdmin } = context;
+
+  if (!record.param('revoked_at')) {
+    const before = { ...record.params };
+    await record.update({ revoked_at: new Date() }, context);
+
+    await recordAuditEntry({
+      actor: currentAdmin,
+      action: 'revoke',
+      resource: 'api_keys',
+      recordId: record.id(),
+      before,
+      after: record.params
+    });
+
+    logger.info(`API key ${record.id()} (${record.param('name')}) revoked by ${currentAdmin?.email}`);
+  }
+
+  return {
+    record: record.toJSON(currentAdmin),
+    notice: { message: 'API key revoked', type: 'success' }
+  };
+};
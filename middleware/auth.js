@@ -1,44 +1,68 @@
 import { Router } from 'express';
 import argon2 from 'argon2';
+import { ValidationError } from 'adminjs';
+import AdminUser from '../models/AdminUser.js';
+import { createMemoryCache } from '../services/cache.js';
 import logger from '../utils/logger.js';
 
-// Admin user model (simplified - in production, store in database)
-const adminUsers = [];
+// Minimum password length for admin accounts (matches ADMIN_PASSWORD validation)
+const MIN_PASSWORD_LENGTH = 8;
 
-// Initialize admin user from environment variables
+// How long the account state behind a session is reused before admin_users is read again
+const SESSION_ACCOUNT_TTL_MS = 5000;
+
+const sessionAccounts = createMemoryCache({ ttlMs: SESSION_ACCOUNT_TTL_MS, maxEntries: 1000 });
+
+// Hash an admin password for storage in admin_users
+export const hashAdminPassword = (password) => argon2.hash(password);
+
+// Bootstrap the first admin account from environment variables when admin_users is empty
 export const initializeAdminUser = async () => {
+  const existingUsers = await AdminUser.count();
+
+  if (existingUsers > 0) {
+    logger.info(`Admin users loaded from database (${existingUsers} account(s))`);
+    return;
+  }
+
   const adminEmail = process.env.ADMIN_EMAIL;
   const adminPassword = process.env.ADMIN_PASSWORD;
 
   if (!adminEmail || !adminPassword) {
-    logger.error('Admin credentials not set in environment variables');
+    logger.error('No admin users exist and ADMIN_EMAIL/ADMIN_PASSWORD are not set');
     throw new Error('Admin credentials not configured');
   }
 
-  // Hash the password
-  const hashedPassword = await argon2.hash(adminPassword);
-
-  adminUsers.push({
+  await AdminUser.create({
     email: adminEmail,
-    password: hashedPassword,
+    password_hash: await hashAdminPassword(adminPassword),
     role: 'admin'
   });
 
-  logger.info('Admin user initialized');
+  logger.info(`Bootstrapped initial admin user ${adminEmail.trim().toLowerCase()}`);
 };
 
 // Authenticate admin user
 export const authenticate = async (email, password) => {
-  const user = adminUsers.find(u => u.email === email);
-  
-  if (!user) {
+  if (!email || !password) {
+    return null;
+  }
+
+  const user = await AdminUser.findOne({
+    where: { email: String(email).trim().toLowerCase() }
+  });
+
+  if (!user || user.is_disabled) {
     return null;
   }
 
   try {
-    const isValid = await argon2.verify(user.password, password);
+    const isValid = await argon2.verify(user.password_hash, password);
     if (isValid) {
+      await user.update({ last_login_at: new Date() });
+
       return {
+        id: user.id,
         email: user.email,
         role: user.role
       };
@@ -50,6 +74,50 @@ export const authenticate = async (email, password) => {
   return null;
 };
 
+// AdminJS before hook for AdminUser new/edit: hashes `newPassword` into password_hash
+// and stops admins from disabling or demoting their own account
+export const prepareAdminUserPayload = async (request, context) => {
+  if (request.method !== 'post' || !request.payload) {
+    return request;
+  }
+
+  const { newPassword, password_hash: ignoredHash, ...payload } = request.payload;
+  const isNew = !context.record;
+
+  if (isNew && !newPassword) {
+    throw new ValidationError({ newPassword: { message: 'Password is required' } });
+  }
+
+  if (newPassword && newPassword.length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError({
+      newPassword: { message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` }
+    });
+  }
+
+  const isSelf = !isNew && context.record.param('email') === context.currentAdmin?.email;
+  if (isSelf && (payload.is_disabled === true || payload.is_disabled === 'true')) {
+    throw new ValidationError({ is_disabled: { message: 'You cannot disable your own account' } });
+  }
+  if (isSelf && payload.role && payload.role !== context.record.param('role')) {
+    throw new ValidationError({ role: { message: 'You cannot change your own role' } });
+  }
+
+  if (newPassword) {
+    payload.password_hash = await hashAdminPassword(newPassword);
+  }
+
+  request.payload = payload;
+  return request;
+};
+
+// AdminJS before hook for AdminUser delete: prevents removing your own account
+export const preventSelfDelete = async (request, context) => {
+  if (request.method === 'post' && context.record?.param('email') === context.currentAdmin?.email) {
+    throw new ValidationError({}, { message: 'You cannot delete your own account' });
+  }
+  return request;
+};
+
 // Build authentication configuration for AdminJS
 export const buildAuthConfig = () => {
   return {
@@ -59,6 +127,47 @@ export const buildAuthConfig = () => {
   };
 };
 
+// Current state of the account behind a session, or null when it no longer exists
+const loadSessionAccount = async (email) => {
+  const cached = await sessionAccounts.get(email);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const user = await AdminUser.findOne({ where: { email }, attributes: ['role', 'is_disabled'] });
+  const account = user ? { role: user.role, isDisabled: user.is_disabled } : null;
+  await sessionAccounts.set(email, account);
+  return account;
+};
+
+/**
+ * Check the account behind a signed-in session on every request (AdminJS
+ * included). Sessions of accounts that were disabled or removed are ended,
+ * and a changed role replaces the one stored at sign in, so both take
+ * effect within SESSION_ACCOUNT_TTL_MS instead of at the next sign in.
+ */
+export const checkSessionAccount = async (req, res, next) => {
+  const sessionUser = req.session?.adminUser;
+  if (!sessionUser?.email) {
+    return next();
+  }
+
+  try {
+    const account = await loadSessionAccount(sessionUser.email);
+    if (!account || account.isDisabled) {
+      logger.warn(`Ending session of ${sessionUser.email}: account ${account ? 'disabled' : 'removed'}`);
+      return req.session.regenerate(next);
+    }
+    if (account.role !== sessionUser.role) {
+      logger.info(`Role of ${sessionUser.email} changed from ${sessionUser.role} to ${account.role}; updating session`);
+      req.session.adminUser = { ...sessionUser, role: account.role };
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Helper to check if user is authenticated via session
 const checkAuth = (req) => {
   if (!req.session) {
@@ -79,9 +188,10 @@ const checkAuth = (req) => {
   return isAuthenticated;
 };
 
-// Middleware to check if user is authenticated (for API routes)
+// Middleware to check if user is authenticated (for API routes).
+// Accepts a session or an API key already verified by authenticateApiKey.
 export const requireAuth = (req, res, next) => {
-  if (checkAuth(req)) {
+  if (req.apiKey || checkAuth(req)) {
     return next();
   }
   res.status(401).json({ error: 'Unauthorized' });
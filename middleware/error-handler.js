@@ -43,7 +43,7 @@ export const errorHandler = (err, req, res, next) => {
       message: isProduction && statusCode === 500 ? 'Internal Server Error' : message,
       status: statusCode,
       ...(isProduction
-        ? {}
+        ? (statusCode < 500 && err.details ? { details: err.details } : {})
         : {
             stack: err.stack,
             details: err.details,
@@ -60,6 +60,25 @@ export const errorHandler = (err, req, res, next) => {
   });
 };
 
+// Build an error carrying an HTTP status (and optional details) for errorHandler
+export const createHttpError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+// Convert a Joi validation error into a 400 error for errorHandler
+export const joiValidationError = (joiError, message = 'Invalid request parameters') => {
+  return createHttpError(400, message, joiError.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message,
+    value: detail.context?.value
+  })));
+};
+
 // Async handler wrapper to catch async errors
 export const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
@@ -0,0 +1,160 @@
+import { ADMIN_ROLES } from '../models/AdminUser.js';
+import { hasScope } from '../services/api-keys.js';
+import logger from '../utils/logger.js';
+
+// Built-in AdminJS actions and the minimum role needed for them on ordinary resources
+const DEFAULT_ACTION_ROLES = {
+  list: 'viewer',
+  show: 'viewer',
+  search: 'viewer',
+  new: 'editor',
+  edit: 'editor',
+  delete: 'editor',
+  bulkDelete: 'editor'
+};
+
+// Per-resource overrides, keyed by AdminJS resource id (the table name).
+// '*' applies to every action of that resource.
+const RESOURCE_ACTION_ROLES = {
+  search_queries: { export: 'analyst', import: 'editor' },
+  // Contains end-user emails and device ids
+  users: { list: 'analyst', show: 'analyst', search: 'analyst' },
+  search_response: { inspect: 'viewer' },
+  screenshots: { gallery: 'viewer' },
+  // Prompts are versioned by editors, compared by anyone, and only removed by admins
+  system_prompt: { newVersion: 'editor', activate: 'editor', compare: 'viewer', delete: 'admin', bulkDelete: 'admin' },
+  admin_users: { '*': 'admin' },
+  audit_log: { '*': 'admin' },
+  api_keys: { '*': 'admin' },
+  session: { '*': 'admin' }
+};
+
+// Role an API key acts with for each scope when resource roles apply (/api/v1)
+const API_KEY_SCOPE_ROLES = {
+  read: 'analyst',
+  export: 'analyst',
+  write: 'editor'
+};
+
+const roleRank = (role) => ADMIN_ROLES.indexOf(role);
+
+// True when the user holds at least `minRole`
+export const hasRole = (user, minRole) => {
+  if (!user || roleRank(user.role) === -1) {
+    return false;
+  }
+  return roleRank(user.role) >= roleRank(minRole);
+};
+
+// Minimum role for an action on a resource; unknown custom actions default to admin
+export const getRequiredRole = (resourceId, actionName) => {
+  const overrides = RESOURCE_ACTION_ROLES[resourceId] || {};
+  return overrides[actionName] || overrides['*'] || DEFAULT_ACTION_ROLES[actionName] || 'admin';
+};
+
+export const canPerform = (user, resourceId, actionName) => {
+  return hasRole(user, getRequiredRole(resourceId, actionName));
+};
+
+// Combine the role check with an isAccessible option the resource already declares
+const accessibleFor = (resourceId, actionName, existing) => {
+  if (existing === false) {
+    return false;
+  }
+
+  return (context) => {
+    if (!canPerform(context.currentAdmin, resourceId, actionName)) {
+      return false;
+    }
+    return typeof existing === 'function' ? existing(context) : true;
+  };
+};
+
+/**
+ * Add role-based isAccessible hooks to every action of the given AdminJS
+ * resource definitions (built-in and custom). Existing isAccessible settings
+ * are kept and must also pass.
+ */
+export const withAccessControl = (resources) => {
+  return resources.map(({ resource, options = {}, ...rest }) => {
+    const resourceId = options.id || resource.tableName;
+    const actionNames = new Set([
+      ...Object.keys(DEFAULT_ACTION_ROLES),
+      ...Object.keys(options.actions || {})
+    ]);
+
+    const actions = {};
+    actionNames.forEach(actionName => {
+      const action = options.actions?.[actionName] || {};
+      actions[actionName] = {
+        ...action,
+        isAccessible: accessibleFor(resourceId, actionName, action.isAccessible)
+      };
+    });
+
+    return { resource, ...rest, options: { ...options, actions } };
+  });
+};
+
+// Signed-in user; checkSessionAccount (middleware/auth.js) keeps its role current
+const sessionUser = (req) => req.session?.adminUser;
+
+// The user or API key behind a request, in the `{ email, role }` shape used for logs and audit entries
+export const requestActor = (req) => {
+  if (req.apiKey) {
+    return { email: `api-key:${req.apiKey.name}`, role: 'api-key' };
+  }
+  return sessionUser(req) || null;
+};
+
+// True when the request's API key may perform an action on a resource with the given scope
+export const apiKeyCanPerform = (apiKey, scope, resourceId, actionName) => {
+  if (!hasScope(apiKey, scope)) {
+    return false;
+  }
+  return canPerform({ role: API_KEY_SCOPE_ROLES[scope] }, resourceId, actionName);
+};
+
+/**
+ * Middleware to require a minimum role (for API routes). API keys are
+ * accepted only when `scope` is given and the key was granted it; routes
+ * without a scope stay session-only.
+ */
+export const requireRole = (minRole, { scope } = {}) => (req, res, next) => {
+  if (req.apiKey) {
+    if (scope && hasScope(req.apiKey, scope)) {
+      return next();
+    }
+    logger.warn(`Access denied for API key ${req.apiKey.id} (${req.apiKey.name}) to ${req.method} ${req.originalUrl}; requires ${scope ? `scope ${scope}` : 'a session'}`);
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const user = sessionUser(req);
+
+  if (!user) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!hasRole(user, minRole)) {
+    logger.warn(`Access denied for ${user.email} (${user.role}) to ${req.method} ${req.originalUrl}; requires ${minRole}`);
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  next();
+};
+
+// Middleware to require a minimum role (for HTML pages)
+export const requireRoleWeb = (minRole) => (req, res, next) => {
+  const user = sessionUser(req);
+
+  if (!user) {
+    return res.redirect('/admin/login');
+  }
+
+  if (!hasRole(user, minRole)) {
+    logger.warn(`Access denied for ${user.email} (${user.role}) to ${req.originalUrl}; requires ${minRole}`);
+    return res.status(403).send('You do not have permission to view this page.');
+  }
+
+  next();
+};
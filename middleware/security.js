@@ -35,7 +35,7 @@ export const configureHelmet = ({ isSecureOrigin = false } = {}) => {
     contentSecurityPolicy: {
       directives: {
         defaultSrc: ["'self'"],
-        scriptSrc: ["'self'", "'unsafe-inline'", "'unsafe-eval'", "https://cdn.jsdelivr.net"],
+        scriptSrc: ["'self'", "'unsafe-inline'", "'unsafe-eval'"],
         styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
         fontSrc: ["'self'", "https://fonts.gstatic.com"],
         imgSrc: ["'self'", "data:", "https:"],
@@ -61,10 +61,30 @@ export const configureHelmet = ({ isSecureOrigin = false } = {}) => {
   });
 };
 
-// API Rate limiter
+// Strict Content Security Policy for the dashboard page, which only loads its own
+// scripts and styles (Chart.js is served locally) and never needs inline code
+export const dashboardCsp = helmet.contentSecurityPolicy({
+  useDefaults: false,
+  directives: {
+    defaultSrc: ["'self'"],
+    scriptSrc: ["'self'"],
+    styleSrc: ["'self'"],
+    imgSrc: ["'self'", "data:"],
+    fontSrc: ["'self'"],
+    connectSrc: ["'self'"],
+    objectSrc: ["'none'"],
+    baseUri: ["'self'"],
+    formAction: ["'self'"],
+    frameAncestors: ["'none'"]
+  }
+});
+
+// API Rate limiter. Requests made with an API key are counted per key and use the
+// key's own limit when it has one; everything else is counted per IP.
 export const apiLimiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+  max: (req) => req.apiKey?.rate_limit_max || parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+  keyGenerator: (req) => (req.apiKey ? `api-key:${req.apiKey.id}` : req.ip),
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
@@ -77,6 +97,26 @@ export const apiLimiter = rateLimit({
   }
 });
 
+// Rate limiter for API key attempts, mounted before the key lookup: rejected keys
+// are counted per IP, and once the limit is hit further Bearer requests from that IP
+// are refused without querying the database. Valid keys are not counted here.
+export const apiKeyAttemptLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 rejected keys per windowMs
+  skip: (req) => !req.get('authorization'),
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Too many requests',
+      message: 'Too many invalid API keys from this IP. Please try again later.',
+      retryAfter: req.rateLimit.resetTime
+    });
+  }
+});
+
 // Stricter rate limiter for authentication endpoints
 export const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -0,0 +1,74 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../database.js';
+
+// Roles an admin account can hold, lowest privilege first
+export const ADMIN_ROLES = ['viewer', 'analyst', 'editor', 'admin'];
+
+// Define the AdminUser model for the admin_users table
+const AdminUser = sequelize.define('AdminUser', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    field: 'id'
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true,
+    validate: { isEmail: true },
+    comment: 'Login email (stored lowercase)',
+    field: 'email',
+    set(value) {
+      this.setDataValue('email', typeof value === 'string' ? value.trim().toLowerCase() : value);
+    }
+  },
+  password_hash: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'Argon2 password hash',
+    field: 'password_hash'
+  },
+  role: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'viewer',
+    validate: { isIn: [ADMIN_ROLES] },
+    comment: 'Access role',
+    field: 'role'
+  },
+  is_disabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Disabled accounts cannot sign in',
+    field: 'is_disabled'
+  },
+  last_login_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Last successful sign in',
+    field: 'last_login_at'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'admin_users',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true
+});
+
+export default AdminUser;
@@ -0,0 +1,101 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../database.js';
+
+// Scopes an API key can be granted:
+// read = statistics and /api/v1 reads, export = search query exports,
+// write = search query imports and /api/v1 writes
+export const API_KEY_SCOPES = ['read', 'export', 'write'];
+
+// Define the ApiKey model for the api_keys table
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    field: 'id'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    },
+    comment: 'Human-readable label, e.g. the script or tool using the key',
+    field: 'name'
+  },
+  key_prefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    comment: 'First characters of the key, shown to help identify it',
+    field: 'key_prefix'
+  },
+  key_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 hex digest of the full key; the key itself is never stored',
+    field: 'key_hash'
+  },
+  scopes: {
+    type: DataTypes.ARRAY(DataTypes.STRING(20)),
+    allowNull: false,
+    defaultValue: ['read'],
+    validate: {
+      isKnownScopes(value) {
+        if (!Array.isArray(value) || !value.length) {
+          throw new Error('At least one scope is required');
+        }
+        const unknown = value.filter(scope => !API_KEY_SCOPES.includes(scope));
+        if (unknown.length) {
+          throw new Error(`Unknown scope(s): ${unknown.join(', ')}`);
+        }
+      }
+    },
+    comment: `Granted scopes (${API_KEY_SCOPES.join(', ')})`,
+    field: 'scopes'
+  },
+  rate_limit_max: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Requests allowed per rate limit window; defaults to RATE_LIMIT_MAX_REQUESTS',
+    field: 'rate_limit_max'
+  },
+  created_by: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Admin user who created the key',
+    field: 'created_by'
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_used_at'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'The key is rejected after this time; empty for no expiry',
+    field: 'expires_at'
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'revoked_at'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  }
+}, {
+  tableName: 'api_keys',
+  timestamps: false,
+  underscored: true
+});
+
+export default ApiKey;
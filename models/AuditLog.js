@@ -0,0 +1,66 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../database.js';
+
+// Define the AuditLog model for the audit_log table
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    field: 'id'
+  },
+  actor_email: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Admin user who performed the action',
+    field: 'actor_email'
+  },
+  actor_role: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Role of the admin user at the time of the action',
+    field: 'actor_role'
+  },
+  action: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'AdminJS action name (new, edit, delete, bulkDelete, ...)',
+    field: 'action'
+  },
+  resource: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'AdminJS resource id (table name)',
+    field: 'resource'
+  },
+  record_id: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Primary key of the affected record',
+    field: 'record_id'
+  },
+  changes: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Changed fields as { field: { before, after } }',
+    field: 'changes'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  }
+}, {
+  tableName: 'audit_log',
+  timestamps: false,
+  underscored: true,
+  indexes: [
+    { fields: ['created_at'] },
+    { fields: ['actor_email'] },
+    { fields: ['resource', 'record_id'] }
+  ]
+});
+
+export default AuditLog;
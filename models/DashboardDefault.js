@@ -0,0 +1,34 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../database.js';
+
+// Define the DashboardDefault model for the dashboard_defaults table (the saved dashboard
+// each admin user opens by default; may be another user's shared dashboard)
+const DashboardDefault = sequelize.define('DashboardDefault', {
+  admin_user_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+    references: {
+      model: 'admin_users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    field: 'admin_user_id'
+  },
+  dashboard_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'saved_dashboards',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    field: 'dashboard_id'
+  }
+}, {
+  tableName: 'dashboard_defaults',
+  timestamps: false,
+  underscored: true
+});
+
+export default DashboardDefault;
@@ -0,0 +1,31 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../database.js';
+
+// Define the RollupState model for the rollup_state table (progress of each rollup job)
+const RollupState = sequelize.define('RollupState', {
+  name: {
+    type: DataTypes.STRING(100),
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Rollup table name',
+    field: 'name'
+  },
+  completed_through: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Every day before this date is complete in the rollup',
+    field: 'completed_through'
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'rollup_state',
+  timestamps: false,
+  underscored: true
+});
+
+export default RollupState;
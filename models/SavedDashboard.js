@@ -0,0 +1,76 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../database.js';
+
+// Define the SavedDashboard model for the saved_dashboards table (dashboard layouts saved by admin users)
+const SavedDashboard = sequelize.define('SavedDashboard', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    field: 'id'
+  },
+  owner_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'admin_users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Admin user who created the dashboard',
+    field: 'owner_id'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    },
+    field: 'name'
+  },
+  widgets: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Ids of the shown widgets from the dashboard layout, in display order',
+    field: 'widgets'
+  },
+  filters: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Dashboard filters as URL parameters (from, to, platform_name, search_type, granularity, tz, compare)',
+    field: 'filters'
+  },
+  is_shared: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Visible to every admin user, not only the owner',
+    field: 'is_shared'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'saved_dashboards',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['owner_id'] }
+  ]
+});
+
+export default SavedDashboard;
@@ -0,0 +1,49 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../database.js';
+
+// Define the SearchQueryDaily model for the search_queries_daily rollup table.
+// One row per (day, platform_name, search_type); missing values are stored as ''.
+const SearchQueryDaily = sequelize.define('SearchQueryDaily', {
+  day: {
+    type: DataTypes.DATEONLY,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'UTC day of search_queries.created_at',
+    field: 'day'
+  },
+  platform_name: {
+    type: DataTypes.TEXT,
+    primaryKey: true,
+    allowNull: false,
+    defaultValue: '',
+    comment: 'Trimmed platform name, or empty when not set',
+    field: 'platform_name'
+  },
+  search_type: {
+    type: DataTypes.TEXT,
+    primaryKey: true,
+    allowNull: false,
+    defaultValue: '',
+    comment: 'Search type, or empty when not set',
+    field: 'search_type'
+  },
+  query_count: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Number of search queries in the group',
+    field: 'query_count'
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'search_queries_daily',
+  timestamps: false,
+  underscored: true
+});
+
+export default SearchQueryDaily;
@@ -0,0 +1,449 @@
+import { createWidget } from './widgets.js';
+import { SELECTORS } from './selectors.js';
+import { createDashboardControls } from './saved-dashboards.js';
+
+const FILTER_KEYS = ['from', 'to', 'platform_name', 'search_type', 'granularity', 'tz', 'compare'];
+const LAYOUT_URL = '/dashboard/assets/layout.json';
+const RECENT_LIMIT = 10;
+const MISSING_PLATFORMS = ['', 'null', '[null]'];
+
+const filtersForm = document.getElementById('filtersForm');
+const filterError = document.getElementById('filterError');
+const widgetGrid = document.getElementById('widgets');
+const knownOptions = { platformOptions: new Set(), searchTypeOptions: new Set() };
+
+// Latest API response per data source; the stats entry is kept current by the live stream
+const sources = { stats: null, keywords: null, keywordDetail: null, responses: null, users: null, userDetail: null, prompts: null };
+let widgets = [];
+let selectedKeyword = null;
+let selectedUser = null;
+
+// Widget entries of the layout, and the ids of those shown in display order
+let catalog = [];
+let shownWidgets = [];
+let dashboardControls = null;
+
+// Read the current filters from the page URL
+function currentFilters() {
+    const params = new URLSearchParams(window.location.search);
+    const filters = new URLSearchParams();
+    FILTER_KEYS.forEach(key => {
+        const value = params.get(key);
+        if (value) filters.set(key, value);
+    });
+    return filters;
+}
+
+function withQuery(path, params) {
+    const query = params.toString();
+    return path + (query ? '?' + query : '');
+}
+
+// Put filters in the page URL, after the open saved dashboard if there is one
+function setUrlFilters(filters) {
+    const params = new URLSearchParams();
+    const dashboard = dashboardControls && dashboardControls.active();
+    if (dashboard) params.set('dashboard', dashboard.id);
+    filters.forEach((value, key) => params.set(key, value));
+    window.history.replaceState(null, '', withQuery(window.location.pathname, params));
+}
+
+// Filters saved with a dashboard ({ from: '2024-05-01', ... }) as URL parameters
+function savedFilters(filters) {
+    const params = new URLSearchParams();
+    FILTER_KEYS.forEach(key => {
+        if (filters && filters[key]) params.set(key, filters[key]);
+    });
+    return params;
+}
+
+// Point the export link at the current filters and chosen format
+function updateExportLink() {
+    const params = currentFilters();
+    params.set('format', document.getElementById('exportFormat').value);
+    document.getElementById('exportLink').href = withQuery('/api/search-queries/export', params);
+}
+
+function fillFilterForm(filters) {
+    FILTER_KEYS.forEach(key => {
+        const field = filtersForm.elements[key];
+        field.value = filters.get(key) || '';
+        // A select falls back to its default when the URL holds another spelling (e.g. tz=UTC)
+        if (field.tagName === 'SELECT' && field.selectedIndex === -1) field.value = '';
+    });
+}
+
+// Time zone choices: the browser's own zone first, then every zone it knows
+function fillTimeZoneOptions() {
+    const select = document.getElementById('filterTimeZone');
+    const local = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const zones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+    const seen = new Set(['UTC']);
+    [local, currentFilters().get('tz')].concat(zones).forEach(zone => {
+        if (!zone || seen.has(zone)) return;
+        seen.add(zone);
+        const option = document.createElement('option');
+        option.value = zone;
+        option.textContent = zone === local ? zone + ' (local)' : zone;
+        select.appendChild(option);
+    });
+}
+
+function addOptions(listId, values) {
+    const list = document.getElementById(listId);
+    values.forEach(value => {
+        if (knownOptions[listId].has(value)) return;
+        knownOptions[listId].add(value);
+        const option = document.createElement('option');
+        option.value = value;
+        list.appendChild(option);
+    });
+}
+
+function showError(result) {
+    const error = result.error || {};
+    const message = typeof error === 'string' ? error : error.message || 'Failed to load data';
+    const details = error.details
+        ? ': ' + error.details.map(detail => detail.message).join(', ')
+        : '';
+    filterError.textContent = message + details;
+    filterError.style.display = 'block';
+    return new Error(message);
+}
+
+async function fetchData(url) {
+    const response = await fetch(url);
+    const result = await response.json();
+    if (!result.success) throw showError(result);
+    return result.data;
+}
+
+// Redraw every widget fed by a source; widgets without data are hidden
+function renderSource(name) {
+    const context = { filters: currentFilters() };
+    widgets.filter(widget => widget.config.source === name).forEach(widget => {
+        const data = sources[name];
+        widget.element.hidden = !data;
+        if (!data) {
+            if (widget.destroy) widget.destroy();
+            return;
+        }
+        const select = SELECTORS[widget.config.data];
+        try {
+            widget.render(select ? select(data, context) : data[widget.config.data]);
+        } catch (error) {
+            console.error('Error rendering widget ' + widget.config.id + ':', error);
+        }
+    });
+}
+
+async function loadKeywords() {
+    try {
+        sources.keywords = await fetchData(withQuery('/api/keywords', currentFilters()));
+        renderSource('keywords');
+        if (selectedKeyword) selectKeyword(selectedKeyword);
+    } catch (error) {
+        console.error('Error loading keywords:', error);
+    }
+}
+
+// Response analytics only take the date range, granularity and time zone; other filters are ignored
+async function loadResponses() {
+    try {
+        sources.responses = await fetchData(withQuery('/api/responses/stats', currentFilters()));
+        renderSource('responses');
+    } catch (error) {
+        console.error('Error loading response analytics:', error);
+    }
+}
+
+// User activity takes the dates, platform, granularity and time zone; search_type is ignored
+async function loadUsers() {
+    try {
+        sources.users = await fetchData(withQuery('/api/users/activity', currentFilters()));
+        renderSource('users');
+        if (selectedUser) selectUser(selectedUser);
+    } catch (error) {
+        console.error('Error loading user activity:', error);
+    }
+}
+
+// Prompt performance takes every filter; platform and search type are those of the prompt
+async function loadPrompts() {
+    try {
+        sources.prompts = await fetchData(withQuery('/api/prompts/performance', currentFilters()));
+        renderSource('prompts');
+    } catch (error) {
+        console.error('Error loading prompt performance:', error);
+    }
+}
+
+async function selectUser(userId) {
+    selectedUser = userId;
+    try {
+        const detail = await fetchData(withQuery('/api/users/' + encodeURIComponent(userId) + '/activity', currentFilters()));
+        if (selectedUser !== userId) return;
+        sources.userDetail = detail;
+        renderSource('userDetail');
+    } catch (error) {
+        console.error('Error loading user activity:', error);
+    }
+}
+
+async function selectKeyword(keyword) {
+    selectedKeyword = keyword;
+    const params = currentFilters();
+    params.set('keyword', keyword);
+    try {
+        const detail = await fetchData(withQuery('/api/keywords/detail', params));
+        if (selectedKeyword !== keyword) return;
+        sources.keywordDetail = detail;
+        renderSource('keywordDetail');
+    } catch (error) {
+        console.error('Error loading keyword detail:', error);
+    }
+}
+
+function dismiss(source) {
+    if (source === 'keywordDetail') selectedKeyword = null;
+    if (source === 'userDetail') selectedUser = null;
+    sources[source] = null;
+    renderSource(source);
+}
+
+async function loadDashboard() {
+    updateExportLink();
+    try {
+        const data = await fetchData(withQuery('/api/stats', currentFilters()));
+        filterError.style.display = 'none';
+        sources.stats = data;
+        addOptions('platformOptions', Object.keys(data.platformBreakdown || {}));
+        addOptions('searchTypeOptions', Object.keys(data.searchTypeBreakdown || {}).filter(type => type !== 'Unknown'));
+        renderSource('stats');
+        loadKeywords();
+        loadResponses();
+        loadUsers();
+        loadPrompts();
+
+        document.getElementById('loading').style.display = 'none';
+        widgetGrid.hidden = false;
+    } catch (error) {
+        console.error('Error loading dashboard:', error);
+        document.getElementById('loading').textContent = 'Error loading dashboard data';
+    }
+}
+
+// Timeline key of a created_at value, bucketed like /api/stats does it:
+// the local start of its hour, day, week (from Monday) or month in the chosen zone
+function timelineBucket(createdAt) {
+    if (!createdAt) return 'null';
+    const filters = currentFilters();
+    const granularity = filters.get('granularity') || 'day';
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: filters.get('tz') || 'UTC',
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit'
+    }).formatToParts(new Date(createdAt)).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+    const start = new Date(Date.UTC(parts.year, parts.month - 1, parts.day, granularity === 'hour' ? parts.hour : 0));
+    if (granularity === 'week') start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+    if (granularity === 'month') start.setUTCDate(1);
+    const iso = start.toISOString();
+    return granularity === 'hour' ? iso.slice(0, 13) + ':00' : iso.slice(0, 10);
+}
+
+// Fold newly inserted rows into the loaded stats, as /api/stats would count them
+function applyNewQueries(data, rows) {
+    rows.forEach(row => {
+        data.total += 1;
+
+        const type = row.search_type || 'Unknown';
+        data.searchTypeBreakdown[type] = (data.searchTypeBreakdown[type] || 0) + 1;
+
+        const platform = (row.platform_name || '').trim();
+        if (!MISSING_PLATFORMS.includes(platform)) {
+            data.platformBreakdown[platform] = (data.platformBreakdown[platform] || 0) + 1;
+        }
+
+        const bucket = timelineBucket(row.created_at);
+        data.timelineData[bucket] = (data.timelineData[bucket] || 0) + 1;
+
+        if (row.created_at) {
+            const createdAt = new Date(row.created_at);
+            if (!data.dateRange.earliest || createdAt < new Date(data.dateRange.earliest)) {
+                data.dateRange.earliest = row.created_at;
+            }
+            if (!data.dateRange.latest || createdAt > new Date(data.dateRange.latest)) {
+                data.dateRange.latest = row.created_at;
+            }
+        }
+    });
+
+    // Keep the timeline in order when a new bucket appears
+    data.timelineData = Object.fromEntries(Object.entries(data.timelineData).sort(([a], [b]) => {
+        if (a === 'null' || b === 'null') return a === 'null' ? 1 : -1;
+        return a < b ? -1 : a > b ? 1 : 0;
+    }));
+
+    const newest = rows.filter(row => row.created_at)
+        .sort((a, b) => (a.created_at < b.created_at ? -1 : 1))
+        .reverse();
+    data.recentQueries = newest.concat(data.recentQueries).slice(0, RECENT_LIMIT);
+}
+
+// Live updates over Server-Sent Events; the browser reconnects on its own.
+// Without a stream (unsupported or refused) fall back to polling.
+let stream = null;
+let streamDropped = false;
+let pollTimer = null;
+
+function startPolling() {
+    if (!pollTimer) pollTimer = setInterval(loadDashboard, 30000);
+}
+
+function connectStream() {
+    if (stream) stream.close();
+    if (!window.EventSource) {
+        startPolling();
+        return;
+    }
+
+    stream = new EventSource(withQuery('/api/stats/stream', currentFilters()));
+
+    stream.addEventListener('ready', () => {
+        clearInterval(pollTimer);
+        pollTimer = null;
+        // Catch up on anything missed while disconnected
+        if (streamDropped) {
+            streamDropped = false;
+            loadDashboard();
+        }
+    });
+
+    stream.addEventListener('queries', event => {
+        if (!sources.stats) return;
+        applyNewQueries(sources.stats, JSON.parse(event.data).rows);
+        renderSource('stats');
+    });
+
+    stream.addEventListener('refresh', () => loadDashboard());
+
+    stream.addEventListener('error', () => {
+        streamDropped = true;
+        if (stream.readyState === EventSource.CLOSED) startPolling();
+    });
+}
+
+async function loadLayout() {
+    const response = await fetch(LAYOUT_URL);
+    if (!response.ok) throw new Error('Failed to load dashboard layout');
+    return response.json();
+}
+
+// (Re)build the grid with the shown widgets and draw whatever data is already loaded
+function buildWidgets() {
+    const context = { actions: { selectKeyword, selectUser }, dismiss };
+    widgets.forEach(widget => {
+        if (widget.destroy) widget.destroy();
+    });
+    widgets = shownWidgets
+        .map(id => catalog.find(config => config.id === id))
+        .map(config => createWidget(config, context));
+    widgetGrid.replaceChildren(...widgets.map(widget => widget.element));
+    widgets.forEach(widget => {
+        widget.element.hidden = true;
+    });
+    Object.keys(sources).forEach(renderSource);
+}
+
+function allWidgets() {
+    return catalog.map(config => config.id);
+}
+
+// Widgets of a saved dashboard that the layout still has
+function dashboardWidgets(dashboard) {
+    const known = dashboard.widgets.filter(id => catalog.some(config => config.id === id));
+    return known.length ? known : allWidgets();
+}
+
+// Show a saved dashboard (or the standard layout for null) with its filters
+function openDashboard(dashboard) {
+    shownWidgets = dashboard ? dashboardWidgets(dashboard) : allWidgets();
+    const filters = dashboard ? savedFilters(dashboard.filters) : currentFilters();
+    setUrlFilters(filters);
+    fillFilterForm(filters);
+    buildWidgets();
+    loadDashboard();
+    connectStream();
+}
+
+filtersForm.addEventListener('submit', event => {
+    event.preventDefault();
+    const filters = new URLSearchParams();
+    FILTER_KEYS.forEach(key => {
+        const value = filtersForm.elements[key].value.trim();
+        if (value) filters.set(key, value);
+    });
+    setUrlFilters(filters);
+    loadDashboard();
+    connectStream();
+});
+
+document.getElementById('resetFilters').addEventListener('click', () => {
+    fillFilterForm(new URLSearchParams());
+    setUrlFilters(new URLSearchParams());
+    loadDashboard();
+    connectStream();
+});
+
+document.getElementById('exportFormat').addEventListener('change', updateExportLink);
+
+fillTimeZoneOptions();
+fillFilterForm(currentFilters());
+
+// Open the saved dashboard named in the URL, else the user's default one when the URL
+// holds no filters of its own, else the standard layout
+async function start() {
+    const layout = await loadLayout();
+    catalog = layout.widgets;
+    shownWidgets = allWidgets();
+
+    dashboardControls = createDashboardControls({
+        catalog,
+        getState: () => ({ widgets: shownWidgets.slice(), filters: Object.fromEntries(currentFilters()) }),
+        onOpen: openDashboard,
+        onWidgets: ids => {
+            shownWidgets = ids;
+            buildWidgets();
+        }
+    });
+
+    const requested = new URLSearchParams(window.location.search).get('dashboard');
+    let dashboard = null;
+    try {
+        dashboard = await dashboardControls.load(requested);
+    } catch (error) {
+        console.error('Error loading saved dashboards:', error);
+    }
+
+    if (dashboard) {
+        shownWidgets = dashboardWidgets(dashboard);
+        const filters = currentFilters().toString() ? currentFilters() : savedFilters(dashboard.filters);
+        setUrlFilters(filters);
+        fillFilterForm(filters);
+    }
+    buildWidgets();
+    loadDashboard();
+    connectStream();
+}
+
+start()
+    .catch(error => {
+        console.error('Error loading dashboard:', error);
+        document.getElementById('loading').textContent = 'Error loading dashboard layout';
+    });
@@ -0,0 +1,221 @@
+import { h } from './widgets.js';
+
+// Saved dashboards (GET/POST/PATCH/DELETE /api/dashboards): the picker above
+// the filters, the buttons that edit the open dashboard and the widget chooser.
+
+const API_URL = '/api/dashboards';
+
+async function request(method, path = '', body) {
+    const response = await fetch(API_URL + path, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+        const error = result.error || {};
+        const message = typeof error === 'string' ? error : error.message || 'Request failed';
+        const details = error.details ? ': ' + error.details.map(detail => detail.message).join(', ') : '';
+        throw new Error(message + details);
+    }
+    return result.data;
+}
+
+function dashboardLabel(dashboard) {
+    const marks = [];
+    if (dashboard.is_default) marks.push('default');
+    if (dashboard.is_owner && dashboard.is_shared) marks.push('shared');
+    return dashboard.name + (marks.length ? ' (' + marks.join(', ') + ')' : '');
+}
+
+/**
+ * Wire up the saved dashboard controls in the page.
+ *   catalog        - widget entries of the layout, in their default order
+ *   getState()     - { widgets, filters } currently shown, as they would be saved
+ *   onOpen(d)      - show dashboard `d`, or the standard layout for null
+ *   onWidgets(ids) - show these widgets, in this order
+ */
+export function createDashboardControls({ catalog, getState, onOpen, onWidgets }) {
+    const select = document.getElementById('dashboardSelect');
+    const status = document.getElementById('dashboardStatus');
+    const buttons = {
+        save: document.getElementById('saveDashboard'),
+        saveAs: document.getElementById('saveDashboardAs'),
+        rename: document.getElementById('renameDashboard'),
+        remove: document.getElementById('deleteDashboard'),
+        widgets: document.getElementById('chooseWidgets')
+    };
+    const shared = document.getElementById('shareDashboard');
+    const byDefault = document.getElementById('defaultDashboard');
+    const picker = document.getElementById('widgetPicker');
+    const pickerList = document.getElementById('widgetPickerList');
+
+    let dashboards = [];
+    let active = null;
+
+    function setStatus(text, isError = false) {
+        status.textContent = text || '';
+        status.classList.toggle('error', isError);
+    }
+
+    function render() {
+        const own = dashboards.filter(dashboard => dashboard.is_owner);
+        const others = dashboards.filter(dashboard => !dashboard.is_owner);
+        const options = dashboards => dashboards.map(dashboard => h('option', {
+            value: dashboard.id,
+            text: dashboard.is_owner ? dashboardLabel(dashboard) : dashboardLabel(dashboard) + ' — ' + dashboard.owner_email
+        }));
+        select.replaceChildren(
+            h('option', { value: '', text: 'Standard layout' }),
+            own.length ? h('optgroup', { label: 'My dashboards' }, options(own)) : null,
+            others.length ? h('optgroup', { label: 'Shared with me' }, options(others)) : null
+        );
+        select.value = active ? String(active.id) : '';
+
+        const isOwner = Boolean(active && active.is_owner);
+        buttons.save.disabled = !isOwner;
+        buttons.rename.disabled = !isOwner;
+        buttons.remove.disabled = !isOwner;
+        shared.disabled = !isOwner;
+        shared.checked = Boolean(active && active.is_shared);
+        byDefault.disabled = !active;
+        byDefault.checked = Boolean(active && active.is_default);
+    }
+
+    // Replace the list entry for a dashboard returned by the API
+    function remember(dashboard) {
+        if (dashboard.is_default) dashboards.forEach(other => { other.is_default = false; });
+        const index = dashboards.findIndex(other => other.id === dashboard.id);
+        if (index === -1) dashboards.push(dashboard);
+        else dashboards[index] = dashboard;
+        if (active && active.id === dashboard.id) active = dashboard;
+    }
+
+    async function run(task, done) {
+        setStatus('');
+        try {
+            await task();
+            render();
+            if (done) setStatus(done);
+        } catch (error) {
+            console.error('Dashboard request failed:', error);
+            setStatus(error.message, true);
+            render();
+        }
+    }
+
+    function open(dashboard) {
+        active = dashboard;
+        setStatus('');
+        render();
+        onOpen(dashboard);
+    }
+
+    select.addEventListener('change', () => {
+        open(dashboards.find(dashboard => String(dashboard.id) === select.value) || null);
+    });
+
+    buttons.saveAs.addEventListener('click', () => {
+        const name = window.prompt('Name of the new dashboard', active ? active.name + ' (copy)' : '');
+        if (!name || !name.trim()) return;
+        run(async () => {
+            const dashboard = await request('POST', '', { name: name.trim(), ...getState() });
+            remember(dashboard);
+            open(dashboard);
+        }, 'Dashboard saved');
+    });
+
+    buttons.save.addEventListener('click', () => run(async () => {
+        remember(await request('PATCH', '/' + active.id, getState()));
+    }, 'Widgets and filters saved'));
+
+    buttons.rename.addEventListener('click', () => {
+        const name = window.prompt('New name of the dashboard', active.name);
+        if (!name || !name.trim() || name.trim() === active.name) return;
+        run(async () => {
+            remember(await request('PATCH', '/' + active.id, { name: name.trim() }));
+        }, 'Dashboard renamed');
+    });
+
+    shared.addEventListener('change', () => run(async () => {
+        remember(await request('PATCH', '/' + active.id, { is_shared: shared.checked }));
+    }, shared.checked ? 'Dashboard shared with every admin user' : 'Dashboard is private again'));
+
+    byDefault.addEventListener('change', () => run(async () => {
+        if (byDefault.checked) {
+            remember(await request('PUT', '/' + active.id + '/default'));
+        } else {
+            await request('DELETE', '/default');
+            dashboards.forEach(dashboard => { dashboard.is_default = false; });
+        }
+    }, byDefault.checked ? 'Opens by default' : 'The standard layout opens by default'));
+
+    buttons.remove.addEventListener('click', () => {
+        if (!window.confirm('Delete the dashboard "' + active.name + '"?')) return;
+        run(async () => {
+            await request('DELETE', '/' + active.id);
+            const removed = active;
+            dashboards = dashboards.filter(dashboard => dashboard.id !== removed.id);
+            open(null);
+        }, 'Dashboard deleted');
+    });
+
+    // Widget chooser: tick the widgets to show and move them into order
+    function pickerItem(config, checked) {
+        const checkbox = h('input', { type: 'checkbox', value: config.id });
+        checkbox.checked = checked;
+        const item = h('li', { className: 'widget-picker-item' });
+        const move = (offset) => {
+            const sibling = offset < 0 ? item.previousElementSibling : item.nextElementSibling;
+            if (!sibling) return;
+            pickerList.insertBefore(item, offset < 0 ? sibling : sibling.nextElementSibling);
+        };
+        item.append(
+            h('label', {}, [checkbox, ' ' + (config.label || config.title || config.id)]),
+            h('button', { type: 'button', className: 'filter-button secondary', title: 'Move up', text: '▲', onClick: () => move(-1) }),
+            h('button', { type: 'button', className: 'filter-button secondary', title: 'Move down', text: '▼', onClick: () => move(1) })
+        );
+        return item;
+    }
+
+    buttons.widgets.addEventListener('click', () => {
+        const shown = getState().widgets;
+        const byId = new Map(catalog.map(config => [config.id, config]));
+        const hidden = catalog.filter(config => !shown.includes(config.id));
+        pickerList.replaceChildren(
+            ...shown.filter(id => byId.has(id)).map(id => pickerItem(byId.get(id), true)),
+            ...hidden.map(config => pickerItem(config, false))
+        );
+        picker.hidden = false;
+    });
+
+    document.getElementById('applyWidgets').addEventListener('click', () => {
+        const ids = Array.from(pickerList.querySelectorAll('input:checked')).map(checkbox => checkbox.value);
+        if (!ids.length) {
+            setStatus('Choose at least one widget', true);
+            return;
+        }
+        picker.hidden = true;
+        onWidgets(ids);
+        setStatus(active && active.is_owner ? 'Widgets changed; Save to keep them' : '');
+    });
+
+    document.getElementById('cancelWidgets').addEventListener('click', () => {
+        picker.hidden = true;
+    });
+
+    return {
+        // Fetch the user's dashboards; returns the one to open: `id` when given, else the user's default
+        async load(id) {
+            dashboards = await request('GET');
+            const wanted = id
+                ? dashboards.find(dashboard => String(dashboard.id) === String(id))
+                : dashboards.find(dashboard => dashboard.is_default);
+            active = wanted || null;
+            render();
+            if (id && !wanted) setStatus('Saved dashboard ' + id + ' was not found', true);
+            return active;
+        },
+        active: () => active
+    };
+}
@@ -0,0 +1,269 @@
+// Data selectors named by the `data` field of layout widgets. Each one picks
+// the value a widget renders out of its source's API response:
+//   stats         -> GET /api/stats
+//   keywords      -> GET /api/keywords
+//   keywordDetail -> GET /api/keywords/detail for the selected keyword
+//   responses     -> GET /api/responses/stats
+//   users         -> GET /api/users/activity
+//   userDetail    -> GET /api/users/:userId/activity for the selected user
+//   prompts       -> GET /api/prompts/performance
+
+const COMPARE_LABELS = { previous: 'previous period', year: 'same period last year' };
+const GRANULARITY_LABELS = { hour: 'Hour', day: 'Day', week: 'Week', month: 'Month' };
+const DAY_MS = 1000 * 60 * 60 * 24;
+const RESULT_KINDS = [['web', 'Web'], ['image', 'Image'], ['video', 'Video']];
+// Prompt versions drawn on the prompt timeline, those with the most searches
+const MAX_PROMPT_SERIES = 8;
+
+export function dateRangeDays(dateRange) {
+    if (!dateRange || !dateRange.earliest || !dateRange.latest) return 0;
+    return Math.ceil((new Date(dateRange.latest) - new Date(dateRange.earliest)) / DAY_MS);
+}
+
+// Trend against the comparison period, when one was requested
+function comparisonTrend(data, current, pick) {
+    if (!data.comparison) return null;
+    return { current, previous: pick(data.comparison), label: COMPARE_LABELS[data.comparison.mode] };
+}
+
+function formatPeriod(period) {
+    const to = new Date(new Date(period.to).getTime() - 1);
+    return new Date(period.from).toLocaleDateString() + ' – ' + to.toLocaleDateString();
+}
+
+function seriesLabel(filters, what = 'Queries') {
+    return what + ' per ' + GRANULARITY_LABELS[filters.get('granularity') || 'day'];
+}
+
+const formatRatio = ratio => (ratio * 100).toFixed(1) + '%';
+
+// Active user count of one window, dated by the end of the windows
+function activeWindow(data, window, days) {
+    const asOf = new Date(data.activeWindows.asOf).toLocaleString();
+    const title = 'Users who searched in the ' + days + ' before ' + asOf;
+    return {
+        value: data.activeWindows[window],
+        title: window === 'monthly' ? title + '; ' + formatRatio(data.activeWindows.stickiness) + ' of them searched in the last day' : title
+    };
+}
+
+// "ios / web v3 (active)"; searches without a known prompt are grouped as "No prompt"
+function promptLabel(version) {
+    if (!version.promptId) return 'No prompt';
+    const group = version.platform + (version.searchType ? ' / ' + version.searchType : '');
+    return group + ' ' + (version.version || '(no version)') + (version.isActive ? ' (active)' : '');
+}
+
+const formatKeywords = keywords => (Array.isArray(keywords) ? keywords.join(', ') : keywords);
+
+export const SELECTORS = {
+    'stats.total': data => ({
+        value: data.total,
+        trend: comparisonTrend(data, data.total, comparison => comparison.total)
+    }),
+
+    'stats.searchTypes': data => {
+        const count = Object.keys(data.searchTypeBreakdown).length;
+        return { value: count, trend: comparisonTrend(data, count, comparison => comparison.searchTypes) };
+    },
+
+    'stats.dateRange': data => {
+        const { earliest, latest } = data.dateRange || {};
+        if (!earliest || !latest) return { display: '-' };
+        const days = dateRangeDays(data.dateRange);
+        return {
+            display: days + ' days',
+            title: 'From ' + new Date(earliest).toLocaleDateString() + ' to ' + new Date(latest).toLocaleDateString(),
+            trend: comparisonTrend(data, days, comparison => comparison.dateRangeDays)
+        };
+    },
+
+    'stats.searchTypeBreakdown': data => data.searchTypeBreakdown,
+
+    'stats.platformBreakdown': data => data.platformBreakdown || {},
+
+    // Timeline with the comparison period drawn over it
+    'stats.timeline': (data, { filters }) => {
+        const comparison = data.comparison;
+        const labels = comparison
+            ? Array.from(new Set(Object.keys(data.timelineData).concat(Object.keys(comparison.timelineData)))).sort()
+            : Object.keys(data.timelineData);
+        const datasets = [{ label: seriesLabel(filters), data: labels.map(key => data.timelineData[key] || 0) }];
+        if (comparison) {
+            datasets.push({
+                label: seriesLabel(filters) + ', ' + COMPARE_LABELS[comparison.mode],
+                data: labels.map(key => comparison.timelineData[key] || 0)
+            });
+        }
+        return { labels, datasets };
+    },
+
+    'stats.recentQueries': data => data.recentQueries,
+
+    'keywords.top': data => data.top.keywords,
+
+    'keywords.trending': data => ({
+        rows: data.trending.keywords,
+        caption: formatPeriod(data.trending.period) + ' compared with ' + formatPeriod(data.trending.previousPeriod)
+    }),
+
+    'keywordDetail.summary': detail => {
+        const details = [];
+        if (detail.firstSeen) {
+            details.push('First searched ' + new Date(detail.firstSeen).toLocaleString());
+            details.push('last searched ' + new Date(detail.lastSeen).toLocaleString());
+        }
+        return { value: detail.total, label: 'Queries for "' + detail.keyword + '"', title: details.join(', ') };
+    },
+
+    'keywordDetail.timeline': (detail, { filters }) => ({
+        title: 'Keyword: ' + detail.keyword,
+        labels: Object.keys(detail.timelineData),
+        datasets: [{ label: seriesLabel(filters), data: Object.values(detail.timelineData) }]
+    }),
+
+    'keywordDetail.platforms': detail => detail.platformBreakdown,
+
+    'keywordDetail.variants': detail => detail.variants,
+
+    'responses.total': data => ({ value: data.responses }),
+
+    'responses.averageResults': data => {
+        const total = RESULT_KINDS.reduce((sum, [kind]) => sum + data.averageResults[kind], 0);
+        return {
+            display: total.toFixed(1),
+            title: RESULT_KINDS.map(([kind, label]) => label + ': ' + data.averageResults[kind].toFixed(2)).join(', ') + ' per response'
+        };
+    },
+
+    'responses.citationRatio': data => ({
+        display: formatRatio(data.citationRatio),
+        title: data.citations.toLocaleString() + ' of ' + data.results.toLocaleString() + ' results cited'
+    }),
+
+    // Results and cited results per response, by kind
+    'responses.resultMix': data => ({
+        labels: data.responses ? RESULT_KINDS.map(([, label]) => label) : [],
+        datasets: [
+            { label: 'Results per response', data: RESULT_KINDS.map(([kind]) => data.averageResults[kind]) },
+            { label: 'Cited per response', data: RESULT_KINDS.map(([kind]) => data.citationCounts[kind] / data.responses) }
+        ]
+    }),
+
+    'responses.timeline': data => {
+        const labels = Object.keys(data.timeline);
+        return {
+            labels,
+            datasets: RESULT_KINDS.map(([kind, label]) => ({
+                label: label + ' results per response',
+                data: labels.map(key => data.timeline[key].averageResults[kind])
+            }))
+        };
+    },
+
+    // Cited results per seq_no position; citations without a position come last
+    'responses.citationPositions': data => ({
+        labels: data.citationPositions.map(position => (position.seqNo === null ? 'None' : '#' + position.seqNo)),
+        datasets: RESULT_KINDS.map(([kind, label]) => ({
+            label,
+            data: data.citationPositions.map(position => position[kind])
+        }))
+    }),
+
+    'responses.topCitedDomains': data => data.topCitedDomains,
+
+    'users.activeDaily': data => activeWindow(data, 'daily', '24 hours'),
+
+    'users.activeWeekly': data => activeWindow(data, 'weekly', '7 days'),
+
+    'users.activeMonthly': data => activeWindow(data, 'monthly', '30 days'),
+
+    // Active users per bucket, split into new users (first seen in the bucket) and returning ones
+    'users.activity': (data, { filters }) => {
+        const { activeUsers } = data;
+        const labels = Object.keys(activeUsers.timeline);
+        return {
+            caption: activeUsers.active.toLocaleString() + ' active users: ' + activeUsers.new.toLocaleString()
+                + ' new, ' + activeUsers.returning.toLocaleString() + ' returning',
+            labels,
+            datasets: [['active', 'Active users'], ['new', 'New users'], ['returning', 'Returning users']].map(([key, label]) => ({
+                label: seriesLabel(filters, label),
+                data: labels.map(bucket => activeUsers.timeline[bucket][key])
+            }))
+        };
+    },
+
+    'users.signupsByPlatform': data => ({
+        caption: data.signups.total.toLocaleString() + ' signups',
+        labels: Object.keys(data.signups.byPlatform),
+        datasets: [{ label: 'Signups', data: Object.values(data.signups.byPlatform) }]
+    }),
+
+    'users.searchesPerUser': data => {
+        const { searchesPerUser } = data;
+        return {
+            caption: searchesPerUser.users
+                ? 'Mean ' + searchesPerUser.mean.toFixed(1) + ', median ' + searchesPerUser.median + ' searches per active user'
+                : '',
+            labels: searchesPerUser.users ? searchesPerUser.bins.map(bin => bin.label) : [],
+            datasets: [{ label: 'Users', data: searchesPerUser.bins.map(bin => bin.users) }]
+        };
+    },
+
+    'users.top': data => data.topUsers,
+
+    'userDetail.summary': detail => {
+        const details = ['Platform ' + (detail.user.platformName || 'N/A')];
+        if (detail.user.signedUpAt) details.push('signed up ' + new Date(detail.user.signedUpAt).toLocaleString());
+        if (detail.lastSearchAt) details.push('last searched ' + new Date(detail.lastSearchAt).toLocaleString());
+        return { value: detail.total, label: 'Searches by ' + (detail.user.email || detail.user.id), title: details.join(', ') };
+    },
+
+    'userDetail.timeline': (detail, { filters }) => ({
+        title: 'User: ' + (detail.user.email || detail.user.id),
+        labels: Object.keys(detail.timeline),
+        datasets: [{ label: seriesLabel(filters, 'Searches'), data: Object.values(detail.timeline) }]
+    }),
+
+    'userDetail.searches': detail => detail.searches.map(search => ({ ...search, keywords: formatKeywords(search.keywords) })),
+
+    'prompts.versions': data => ({
+        caption: data.versions.length
+            ? data.searches.toLocaleString() + ' searches by ' + data.users.toLocaleString() + ' users, '
+                + formatRatio(data.citationRatio) + ' of results cited'
+            : '',
+        rows: data.versions.map(version => ({
+            ...version,
+            label: promptLabel(version),
+            resultsPerResponse: version.responses ? version.resultsPerResponse.toFixed(1) : null
+        }))
+    }),
+
+    // Results and cited results per response of each prompt version
+    'prompts.results': data => {
+        const versions = data.versions.filter(version => version.responses);
+        return {
+            labels: versions.map(promptLabel),
+            datasets: [
+                { label: 'Results per response', data: versions.map(version => version.resultsPerResponse) },
+                { label: 'Cited per response', data: versions.map(version => version.citationsPerResponse) }
+            ]
+        };
+    },
+
+    // Searches per bucket of the busiest prompt versions, to follow a rollout
+    'prompts.timeline': (data, { filters }) => {
+        const versions = data.versions.slice().sort((a, b) => b.searches - a.searches).slice(0, MAX_PROMPT_SERIES);
+        const labels = versions.length ? Object.keys(versions[0].timeline) : [];
+        return {
+            caption: data.versions.length > versions.length
+                ? 'The ' + versions.length + ' of ' + data.versions.length + ' prompt versions with the most searches'
+                : '',
+            labels,
+            datasets: versions.map(version => ({
+                label: seriesLabel(filters, promptLabel(version) + ': searches'),
+                data: labels.map(bucket => version.timeline[bucket])
+            }))
+        };
+    }
+};
@@ -0,0 +1,206 @@
+import { createWidget } from './widgets.js';
+
+// Trends explorer page (/dashboard/trends) over GET /api/trends
+
+const FILTER_KEYS = ['location', 'from', 'to', 'term', 'snapshots'];
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const filtersForm = document.getElementById('filtersForm');
+const filterError = document.getElementById('filterError');
+const widgetGrid = document.getElementById('widgets');
+const locationSelect = document.getElementById('filterLocation');
+
+const formatTime = value => (value ? new Date(value).toLocaleString() : 'N/A');
+
+// Terms with their rank in brackets: "foo (#3), bar (#7)"
+const formatTerms = (terms, rankKey) => terms.map(term => term.term + ' (#' + term[rankKey] + ')').join(', ');
+
+function rankMovement(term) {
+    if (term.isNew) return 'New';
+    if (term.change === null) return '';
+    if (term.change === 0) return '—';
+    return (term.change > 0 ? '▲ ' : '▼ ') + Math.abs(term.change);
+}
+
+// Widgets of the page: the same card types as the dashboard layout, fed by one response
+const WIDGETS = [
+    {
+        config: { id: 'trendSnapshots', type: 'stat', title: 'Snapshots', width: 2 },
+        select: data => ({
+            value: data.snapshots.length,
+            title: data.snapshots.length
+                ? formatTime(data.snapshots[0].createdAt) + ' – ' + formatTime(data.snapshots[data.snapshots.length - 1].createdAt)
+                    + (data.unrecognizedSnapshots ? '; ' + data.unrecognizedSnapshots + ' without recognizable terms left out' : '')
+                : ''
+        })
+    },
+    {
+        config: { id: 'trendEntered', type: 'stat', title: 'Entered in Latest', width: 2 },
+        select: data => ({ value: data.latest ? data.latest.terms.filter(term => term.isNew).length : 0 })
+    },
+    {
+        config: { id: 'trendDropped', type: 'stat', title: 'Dropped in Latest', width: 2 },
+        select: data => ({
+            value: data.latest ? data.latest.dropped.length : 0,
+            title: data.latest ? formatTerms(data.latest.dropped, 'previousRank') : ''
+        })
+    },
+    {
+        config: {
+            id: 'latestTrends',
+            type: 'table',
+            title: '🔥 Latest Trends',
+            width: 3,
+            emptyText: 'No trends for these filters',
+            columns: [
+                { key: 'rank', label: 'Rank' },
+                { key: 'term', label: 'Term', action: 'selectTerm' },
+                { key: 'movement', label: 'Since Previous' },
+                { key: 'searchVolume', label: 'Volume' }
+            ]
+        },
+        select: data => ({
+            caption: data.latest ? data.location + ', ' + formatTime(data.latest.createdAt) : '',
+            rows: data.latest ? data.latest.terms.map(term => ({ ...term, movement: rankMovement(term) })) : []
+        })
+    },
+    {
+        config: {
+            id: 'trendChanges',
+            type: 'table',
+            title: 'Entered and Dropped',
+            width: 3,
+            emptyText: 'Needs at least two snapshots',
+            columns: [
+                { key: 'createdAt', label: 'Snapshot', format: 'datetime' },
+                { key: 'entered', label: 'Entered' },
+                { key: 'dropped', label: 'Dropped' }
+            ]
+        },
+        select: data => data.changes
+            .filter(change => change.entered.length || change.dropped.length)
+            .map(change => ({
+                createdAt: change.createdAt,
+                entered: formatTerms(change.entered, 'rank'),
+                dropped: formatTerms(change.dropped, 'previousRank')
+            }))
+    },
+    {
+        config: { id: 'rankMovement', type: 'line', title: 'Rank Movement', multicolor: true, reverse: true, emptyText: 'No trends for these filters' },
+        select: data => ({
+            caption: 'Rank per snapshot; gaps are snapshots the term was not trending in',
+            labels: data.movement.length ? data.snapshots.map(snapshot => formatTime(snapshot.createdAt)) : [],
+            datasets: data.movement.map(term => ({ label: term.term, data: term.ranks }))
+        })
+    }
+];
+
+let widgets = [];
+
+function currentFilters() {
+    const params = new URLSearchParams(window.location.search);
+    const filters = new URLSearchParams();
+    FILTER_KEYS.forEach(key => {
+        const value = params.get(key);
+        if (value) filters.set(key, value);
+    });
+    return filters;
+}
+
+function setUrlFilters(filters) {
+    const query = filters.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? '?' + query : ''));
+}
+
+function fillFilterForm(filters) {
+    FILTER_KEYS.forEach(key => {
+        filtersForm.elements[key].value = filters.get(key) || '';
+    });
+}
+
+// Location choices from the response; the chosen one stays even when it has no snapshots
+function fillLocations(locations, chosen) {
+    const options = [['', 'Latest updated']].concat(locations.map(location => [
+        location.location,
+        location.location + ' (' + location.snapshots.toLocaleString() + ')'
+    ]));
+    if (chosen && !locations.some(location => location.location === chosen)) options.push([chosen, chosen]);
+    locationSelect.replaceChildren(...options.map(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }));
+    locationSelect.value = chosen || '';
+}
+
+function showError(result) {
+    const error = result.error || {};
+    const message = typeof error === 'string' ? error : error.message || 'Failed to load trends';
+    const details = error.details
+        ? ': ' + error.details.map(detail => detail.message).join(', ')
+        : '';
+    filterError.textContent = message + details;
+    filterError.style.display = 'block';
+    return new Error(message);
+}
+
+async function loadTrends() {
+    const filters = currentFilters();
+    filters.set('tz', TIME_ZONE);
+    try {
+        const response = await fetch('/api/trends?' + filters);
+        const result = await response.json();
+        if (!result.success) throw showError(result);
+        filterError.style.display = 'none';
+
+        const data = result.data;
+        fillLocations(data.locations, currentFilters().get('location'));
+        widgets.forEach((widget, index) => {
+            widget.element.hidden = false;
+            try {
+                widget.render(WIDGETS[index].select(data));
+            } catch (error) {
+                console.error('Error rendering widget ' + widget.config.id + ':', error);
+            }
+        });
+        document.getElementById('loading').style.display = 'none';
+        widgetGrid.hidden = false;
+    } catch (error) {
+        console.error('Error loading trends:', error);
+        if (widgetGrid.hidden) document.getElementById('loading').textContent = 'Error loading trends';
+    }
+}
+
+function applyFilters(filters) {
+    setUrlFilters(filters);
+    fillFilterForm(filters);
+    loadTrends();
+}
+
+// Clicking a term narrows the page to it
+function selectTerm(term) {
+    const filters = currentFilters();
+    filters.set('term', term);
+    applyFilters(filters);
+}
+
+filtersForm.addEventListener('submit', event => {
+    event.preventDefault();
+    const filters = new URLSearchParams();
+    FILTER_KEYS.forEach(key => {
+        const value = filtersForm.elements[key].value.trim();
+        if (value) filters.set(key, value);
+    });
+    applyFilters(filters);
+});
+
+document.getElementById('resetFilters').addEventListener('click', () => applyFilters(new URLSearchParams()));
+
+widgets = WIDGETS.map(({ config }) => createWidget(config, { actions: { selectTerm }, dismiss: () => {} }));
+widgets.forEach(widget => {
+    widget.element.hidden = true;
+});
+widgetGrid.replaceChildren(...widgets.map(widget => widget.element));
+fillFilterForm(currentFilters());
+loadTrends();
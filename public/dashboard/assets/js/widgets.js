@@ -0,0 +1,322 @@
+// Dashboard widgets. Each type turns one entry of the layout into a card and
+// redraws it from whatever value the entry's data selector returns. Values
+// are only ever written with textContent, so data is never parsed as HTML.
+
+export const COLORS = [
+    'rgba(102, 126, 234, 0.8)',
+    'rgba(118, 75, 162, 0.8)',
+    'rgba(162, 155, 254, 0.8)',
+    'rgba(217, 128, 250, 0.8)',
+    'rgba(255, 159, 243, 0.8)',
+    'rgba(255, 195, 113, 0.8)',
+    'rgba(255, 231, 76, 0.8)',
+    'rgba(130, 255, 173, 0.8)'
+];
+
+// Create an element; string children become text nodes
+export function h(tag, props = {}, children = []) {
+    const element = document.createElement(tag);
+    Object.entries(props).forEach(([key, value]) => {
+        if (value === undefined || value === null) return;
+        if (key === 'className') element.className = value;
+        else if (key === 'text') element.textContent = value;
+        else if (key.startsWith('on')) element.addEventListener(key.slice(2).toLowerCase(), value);
+        else element.setAttribute(key, value);
+    });
+    [].concat(children).forEach(child => {
+        if (child === undefined || child === null) return;
+        element.appendChild(child instanceof Node ? child : document.createTextNode(String(child)));
+    });
+    return element;
+}
+
+const formatNumber = value => (typeof value === 'number' ? value.toLocaleString() : String(value));
+
+// Cell formats available to table columns
+const CELL_FORMATS = {
+    text: value => (value === null || value === undefined || value === '' ? 'N/A' : String(value)),
+    number: value => formatNumber(value || 0),
+    percent: value => ((value || 0) * 100).toFixed(1) + '%',
+    datetime: value => (value ? new Date(value).toLocaleString() : 'N/A'),
+    badge: value => h('span', { className: 'badge', text: value || 'N/A' }),
+    change: (value, row) => h('span', {
+        className: value > 0 ? 'trend-up' : value < 0 ? 'trend-down' : '',
+        text: (value > 0 ? '+' : '') + formatNumber(value)
+            + (row.changeRatio === null || row.changeRatio === undefined
+                ? (row.previousCount === 0 ? ' (new)' : '')
+                : ' (' + (row.changeRatio > 0 ? '+' : '') + Math.round(row.changeRatio * 100) + '%)')
+    })
+};
+
+// Breakdown objects ({ label: count }) become a single dataset
+function toChartData(value, label) {
+    if (value && Array.isArray(value.datasets)) return value;
+    const breakdown = value || {};
+    return { labels: Object.keys(breakdown), datasets: [{ label, data: Object.values(breakdown) }] };
+}
+
+// Dataset styles per chart type. For lines the first dataset is the main series and later ones
+// are overlays, unless `multicolor` draws each series as an equal line in its own colour
+const DATASET_STYLES = {
+    bar: (index, config) => ({
+        backgroundColor: config.multicolor ? COLORS : COLORS[index % COLORS.length],
+        borderColor: 'rgba(102, 126, 234, 1)',
+        borderWidth: 2,
+        borderRadius: 8
+    }),
+    line: (index, config) => {
+        if (config.multicolor) {
+            return {
+                backgroundColor: COLORS[index % COLORS.length],
+                borderColor: COLORS[index % COLORS.length],
+                borderWidth: 3,
+                fill: false,
+                tension: 0.4,
+                pointRadius: 3,
+                pointHoverRadius: 6
+            };
+        }
+        return index === 0
+            ? {
+                backgroundColor: 'rgba(102, 126, 234, 0.2)',
+                borderColor: 'rgba(102, 126, 234, 1)',
+                borderWidth: 3,
+                fill: true,
+                tension: 0.4,
+                pointRadius: 4,
+                pointHoverRadius: 6,
+                pointBackgroundColor: 'rgba(102, 126, 234, 1)',
+                pointBorderColor: '#fff',
+                pointBorderWidth: 2
+            }
+            : {
+                backgroundColor: 'rgba(153, 153, 153, 0.1)',
+                borderColor: 'rgba(153, 153, 153, 0.9)',
+                borderWidth: 2,
+                borderDash: [6, 4],
+                fill: false,
+                tension: 0.4,
+                pointRadius: 2,
+                pointHoverRadius: 5
+            };
+    },
+    doughnut: () => ({
+        backgroundColor: COLORS,
+        borderWidth: 3,
+        borderColor: '#fff'
+    })
+};
+
+const CHART_OPTIONS = {
+    // Bars only need a legend when they compare several series
+    bar: data => ({
+        responsive: true,
+        plugins: { legend: { display: data.datasets.length > 1 } },
+        scales: { y: { beginAtZero: true } }
+    }),
+    // `reverse` puts the lowest value on top, for ranks; missing (null) points leave a gap
+    line: (data, config) => ({
+        responsive: true,
+        plugins: {
+            legend: { display: true, position: 'top' },
+            tooltip: {
+                mode: 'index',
+                intersect: false,
+                callbacks: {
+                    title: items => 'Date: ' + items[0].label,
+                    label: context => context.dataset.label + ': '
+                        + (context.parsed.y === null ? 'N/A' : context.parsed.y.toLocaleString())
+                }
+            }
+        },
+        scales: {
+            y: config.reverse
+                ? { reverse: true, ticks: { precision: 0 } }
+                : { beginAtZero: true, ticks: { callback: value => value.toLocaleString() } },
+            x: { ticks: { maxRotation: 45, minRotation: 45 } }
+        },
+        interaction: { mode: 'nearest', axis: 'x', intersect: false }
+    }),
+    doughnut: () => ({
+        responsive: true,
+        plugins: { legend: { position: 'right' } }
+    })
+};
+
+// Card shared by every widget: title, optional dismiss button, caption and body
+function createCard(config, context, cardClass) {
+    const title = h('div', { className: 'chart-title', text: config.title || '' });
+    const header = h('div', { className: 'widget-header' }, [title]);
+    if (config.dismissible) {
+        header.appendChild(h('button', {
+            type: 'button',
+            className: 'filter-button secondary widget-dismiss',
+            text: 'Close',
+            onClick: () => context.dismiss(config.source)
+        }));
+    }
+    const caption = h('div', { className: 'widget-caption' });
+    caption.hidden = true;
+    const body = h('div');
+    const element = h('div', {
+        className: 'widget ' + cardClass + ' widget-span-' + (config.width || 6),
+        'data-widget': config.id
+    }, [config.title || config.dismissible ? header : null, caption, body]);
+
+    return {
+        element,
+        body,
+        setTitle(text) {
+            title.textContent = text || config.title || '';
+        },
+        setCaption(text) {
+            caption.textContent = text || '';
+            caption.hidden = !text;
+        }
+    };
+}
+
+function createStatWidget(config, context) {
+    const value = h('div', { className: 'stat-value', text: '-' });
+    const label = h('div', { className: 'stat-label', text: config.title || '' });
+    const trend = h('div', { className: 'stat-trend' });
+    const element = h('div', {
+        className: 'widget stat-card widget-span-' + (config.width || 2),
+        'data-widget': config.id
+    }, [value, label, trend]);
+
+    return {
+        element,
+        render(stat) {
+            value.textContent = stat.display !== undefined ? stat.display : formatNumber(stat.value);
+            value.title = stat.title || '';
+            label.textContent = stat.label || config.title || '';
+
+            trend.className = 'stat-trend';
+            trend.textContent = '';
+            trend.title = '';
+            if (!stat.trend) return;
+
+            const { current, previous, label: against } = stat.trend;
+            const change = current - previous;
+            let text;
+            if (change === 0) text = '— no change';
+            else if (!previous) text = '▲ new';
+            else text = (change > 0 ? '▲ ' : '▼ ') + Math.abs(change / previous * 100).toFixed(1) + '%';
+            if (change !== 0) trend.classList.add(change > 0 ? 'up' : 'down');
+            trend.textContent = text + ' vs ' + against;
+            trend.title = against + ': ' + formatNumber(previous);
+        }
+    };
+}
+
+function createChartWidget(config, context) {
+    const type = config.type;
+    const card = createCard(config, context, 'chart-card');
+    const canvas = h('canvas', { className: 'chart-canvas' });
+    const empty = h('div', { className: 'empty-row', text: config.emptyText || 'No data for these filters' });
+    empty.hidden = true;
+    card.body.append(canvas, empty);
+    let chart = null;
+
+    return {
+        element: card.element,
+        render(value) {
+            const data = toChartData(value, config.seriesLabel || config.title);
+            const datasets = data.datasets.map((dataset, index) => ({
+                ...DATASET_STYLES[type](index, config),
+                ...dataset
+            }));
+            card.setTitle(data.title);
+            card.setCaption(data.caption);
+
+            const isEmpty = !data.labels.length;
+            empty.hidden = !isEmpty;
+            canvas.hidden = isEmpty;
+            if (isEmpty) {
+                if (chart) chart.destroy();
+                chart = null;
+                return;
+            }
+
+            // Update an existing chart in place so changes animate
+            if (chart) {
+                chart.data.labels = data.labels;
+                chart.data.datasets = datasets.map((dataset, index) => Object.assign(chart.data.datasets[index] || {}, dataset));
+                chart.update();
+                return;
+            }
+            chart = new window.Chart(canvas, {
+                type,
+                data: { labels: data.labels, datasets },
+                options: CHART_OPTIONS[type](data, config)
+            });
+        },
+        destroy() {
+            if (chart) chart.destroy();
+            chart = null;
+        }
+    };
+}
+
+function createTableWidget(config, context) {
+    const card = createCard(config, context, 'table-card');
+    const columns = config.columns || [];
+    const body = h('tbody');
+    card.body.appendChild(h('table', {}, [
+        h('thead', {}, [h('tr', {}, columns.map(column => h('th', { text: column.label || column.key })))]),
+        body
+    ]));
+
+    function cell(column, row) {
+        const value = row[column.key];
+        if (column.action) {
+            return h('button', {
+                type: 'button',
+                className: 'keyword-link',
+                text: CELL_FORMATS.text(value),
+                onClick: () => context.actions[column.action](value, row)
+            });
+        }
+        return (CELL_FORMATS[column.format] || CELL_FORMATS.text)(value, row);
+    }
+
+    return {
+        element: card.element,
+        render(value) {
+            const rows = Array.isArray(value) ? value : (value && value.rows) || [];
+            card.setTitle(value && value.title);
+            card.setCaption(value && value.caption);
+
+            if (!rows.length) {
+                body.replaceChildren(h('tr', {}, [
+                    h('td', { className: 'empty-row', colspan: columns.length, text: config.emptyText || 'No data for these filters' })
+                ]));
+                return;
+            }
+            body.replaceChildren(...rows.map(row => h('tr', {}, columns.map(column => h('td', {}, [cell(column, row)])))));
+        }
+    };
+}
+
+export const WIDGET_TYPES = {
+    stat: createStatWidget,
+    bar: createChartWidget,
+    line: createChartWidget,
+    doughnut: createChartWidget,
+    table: createTableWidget
+};
+
+/**
+ * Build a widget from a layout entry: { id, type, title, source, data, width,
+ * ... }. `context` provides actions for table columns and dismiss(source).
+ */
+export function createWidget(config, context) {
+    const create = WIDGET_TYPES[config.type];
+    if (!create) {
+        throw new Error('Unknown widget type: ' + config.type);
+    }
+    const widget = create(config, context);
+    widget.config = config;
+    return widget;
+}
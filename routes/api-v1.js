@@ -0,0 +1,356 @@
+import express, { Router } from 'express';
+import Joi from 'joi';
+import { Op } from 'sequelize';
+import { requireAuth } from '../middleware/auth.js';
+import { canPerform, apiKeyCanPerform, requestActor, requireRole } from '../middleware/rbac.js';
+import { asyncHandler, createHttpError, joiValidationError } from '../middleware/error-handler.js';
+import { recordAuditEntry } from '../services/audit.js';
+
+const MAX_PAGE_SIZE = 100;
+
+// Query parameters that are not attribute filters
+const RESERVED_PARAMS = ['page', 'limit', 'sort', 'fields'];
+
+// Filter operators accepted as `field[op]=value`
+const FILTER_OPERATORS = {
+  eq: Op.eq,
+  ne: Op.ne,
+  gt: Op.gt,
+  gte: Op.gte,
+  lt: Op.lt,
+  lte: Op.lte,
+  like: Op.iLike,
+  in: Op.in
+};
+
+// Actions an API key needs the `read` scope for; everything else needs `write`
+const READ_ACTIONS = ['list', 'show'];
+
+// Attribute types that cannot be filtered or sorted on
+const UNFILTERABLE_TYPES = ['JSON', 'JSONB'];
+
+// Attribute types that support the `like` operator
+const TEXT_TYPES = ['STRING', 'TEXT', 'CHAR', 'CITEXT'];
+
+const listQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(20),
+  sort: Joi.string().trim().max(500),
+  fields: Joi.string().trim().max(1000)
+}).unknown(true);
+
+const describeModel = (name, model) => ({
+  name,
+  table: model.tableName,
+  primaryKey: model.primaryKeyAttributes,
+  attributes: Object.entries(model.rawAttributes).map(([attribute, definition]) => ({
+    name: attribute,
+    type: definition.type.key,
+    allowNull: definition.allowNull !== false,
+    primaryKey: Boolean(definition.primaryKey)
+  }))
+});
+
+// Validate a raw value against an attribute's Sequelize type, as a 400 on failure
+const checkValue = (model, attribute, value) => {
+  try {
+    model.rawAttributes[attribute].type.validate?.(value);
+  } catch (error) {
+    throw createHttpError(400, `Invalid value for ${attribute}: ${error.message}`);
+  }
+  return value;
+};
+
+const requireAttribute = (model, attribute, purpose) => {
+  const definition = model.rawAttributes[attribute];
+  if (!definition) {
+    throw createHttpError(400, `Unknown attribute "${attribute}"`);
+  }
+  if (purpose && UNFILTERABLE_TYPES.includes(definition.type.key)) {
+    throw createHttpError(400, `Attribute "${attribute}" cannot be used for ${purpose}`);
+  }
+  return definition;
+};
+
+// Build a where clause from `field=value` and `field[op]=value` query parameters
+const buildWhere = (model, query) => {
+  const where = {};
+
+  Object.entries(query)
+    .filter(([key]) => !RESERVED_PARAMS.includes(key))
+    .forEach(([attribute, condition]) => {
+      requireAttribute(model, attribute, 'filtering');
+
+      const conditions = typeof condition === 'object' && condition !== null && !Array.isArray(condition)
+        ? condition
+        : { eq: condition };
+
+      where[attribute] = {};
+      Object.entries(conditions).forEach(([operator, value]) => {
+        if (!FILTER_OPERATORS[operator]) {
+          throw createHttpError(400, `Unknown filter operator "${operator}" for ${attribute}`);
+        }
+        if (typeof value !== 'string') {
+          throw createHttpError(400, `Filter ${attribute}[${operator}] must be given once`);
+        }
+
+        if (operator === 'in') {
+          where[attribute][Op.in] = value.split(',').map(item => checkValue(model, attribute, item));
+        } else if (operator === 'like') {
+          if (!TEXT_TYPES.includes(model.rawAttributes[attribute].type.key)) {
+            throw createHttpError(400, `Filter ${attribute}[like] is only supported on text attributes`);
+          }
+          where[attribute][Op.iLike] = `%${value.replace(/[\\%_]/g, '\\$&')}%`;
+        } else {
+          where[attribute][FILTER_OPERATORS[operator]] = checkValue(model, attribute, value);
+        }
+      });
+    });
+
+  return where;
+};
+
+// `sort=-created_at,id` → [['created_at', 'DESC'], ['id', 'ASC']]; defaults to primary key order
+const buildOrder = (model, sort) => {
+  if (!sort) {
+    return model.primaryKeyAttributes.map(attribute => [attribute, 'ASC']);
+  }
+
+  return sort.split(',').filter(Boolean).map(item => {
+    const descending = item.startsWith('-');
+    const attribute = descending ? item.slice(1) : item;
+    requireAttribute(model, attribute, 'sorting');
+    return [attribute, descending ? 'DESC' : 'ASC'];
+  });
+};
+
+const buildAttributes = (model, fields) => {
+  if (!fields) {
+    return undefined;
+  }
+  const attributes = fields.split(',').filter(Boolean);
+  attributes.forEach(attribute => requireAttribute(model, attribute));
+  return attributes;
+};
+
+// Primary key segments follow the resource in the path, one per key column in model order.
+// Segments are read from the raw path so encoded slashes inside a key survive.
+const primaryKeyWhere = (model, req) => {
+  const segments = req.path.split('/').slice(2).filter(segment => segment !== '');
+  const keys = model.primaryKeyAttributes;
+
+  if (segments.length !== keys.length) {
+    throw createHttpError(400, `Expected ${keys.length} primary key segment(s): ${keys.join('/')}`);
+  }
+
+  return keys.reduce((where, key, index) => {
+    let value;
+    try {
+      value = decodeURIComponent(segments[index]);
+    } catch {
+      throw createHttpError(400, `Malformed primary key segment for ${key}`);
+    }
+    where[key] = checkValue(model, key, value);
+    return where;
+  }, {});
+};
+
+// Reject body fields that are not model attributes
+const pickAttributes = (model, body, { allowPrimaryKey }) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw createHttpError(400, 'Request body must be a JSON object');
+  }
+
+  const unknown = Object.keys(body).filter(key => !model.rawAttributes[key]);
+  if (unknown.length) {
+    throw createHttpError(400, `Unknown attribute(s): ${unknown.join(', ')}`);
+  }
+
+  if (!allowPrimaryKey) {
+    const keys = Object.keys(body).filter(key => model.primaryKeyAttributes.includes(key));
+    if (keys.length) {
+      throw createHttpError(400, `Primary key attribute(s) cannot be changed: ${keys.join(', ')}`);
+    }
+  }
+
+  return body;
+};
+
+// Translate Sequelize validation/constraint errors into client errors
+const toHttpError = (error) => {
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    return createHttpError(409, 'A record with this key already exists', error.errors?.map(item => ({
+      field: item.path,
+      message: item.message
+    })));
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return createHttpError(400, 'Validation failed', error.errors.map(item => ({
+      field: item.path,
+      message: item.message
+    })));
+  }
+  if (error.name === 'SequelizeForeignKeyConstraintError') {
+    return createHttpError(409, 'The change violates a foreign key constraint');
+  }
+  return error;
+};
+
+const recordIdOf = (model, record) => model.primaryKeyAttributes.map(key => record[key]).join('/');
+
+/**
+ * Build the versioned REST API for the given models, keyed by the resource
+ * name used in URLs (e.g. { Searches, VideoUrls }). Reads need the same role
+ * as the AdminJS list/show actions of the resource; writes are only mounted
+ * when `enableWrites` is true and follow the new/edit/delete roles; resources
+ * named in `readOnly` are never written. API keys need the `read` or `write`
+ * scope and act as an analyst or editor.
+ */
+export const createApiV1Router = (models, { enableWrites = false, readOnly = [] } = {}) => {
+  const router = Router();
+
+  router.use(requireAuth);
+
+  // Resolve :resource to a model and check the caller's role for the action
+  const resourceAction = (action) => (req, res, next) => {
+    const model = Object.hasOwn(models, req.params.resource) ? models[req.params.resource] : null;
+    if (!model) {
+      return next(createHttpError(404, `Unknown resource "${req.params.resource}"`));
+    }
+    if (!READ_ACTIONS.includes(action) && readOnly.includes(req.params.resource)) {
+      return next(createHttpError(405, `Resource "${req.params.resource}" is read-only`));
+    }
+    if (req.apiKey) {
+      const scope = READ_ACTIONS.includes(action) ? 'read' : 'write';
+      if (!apiKeyCanPerform(req.apiKey, scope, model.tableName, action)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+    } else if (!req.session?.adminUser) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    } else if (!canPerform(req.session.adminUser, model.tableName, action)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    req.model = model;
+    next();
+  };
+
+  // Catalogue of the resources and their attributes
+  router.get('/', requireRole('viewer', { scope: 'read' }), (req, res) => {
+    res.json({
+      success: true,
+      data: Object.entries(models).map(([name, model]) => ({
+        ...describeModel(name, model),
+        writable: enableWrites && !readOnly.includes(name)
+      })),
+      writesEnabled: enableWrites
+    });
+  });
+
+  router.get('/:resource', resourceAction('list'), asyncHandler(async (req, res) => {
+    const { error, value } = listQuerySchema.validate(req.query, { abortEarly: false });
+    if (error) {
+      throw joiValidationError(error);
+    }
+
+    const { model } = req;
+    const { rows, count } = await model.findAndCountAll({
+      attributes: buildAttributes(model, value.fields),
+      where: buildWhere(model, value),
+      order: buildOrder(model, value.sort),
+      limit: value.limit,
+      offset: (value.page - 1) * value.limit,
+      raw: true
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        page: value.page,
+        limit: value.limit,
+        total: count
+      },
+      timestamp: new Date().toISOString()
+    });
+  }));
+
+  router.get('/:resource/*', resourceAction('show'), asyncHandler(async (req, res) => {
+    const record = await req.model.findOne({ where: primaryKeyWhere(req.model, req), raw: true });
+    if (!record) {
+      throw createHttpError(404, 'Record not found');
+    }
+    res.json({ success: true, data: record });
+  }));
+
+  if (!enableWrites) {
+    return router;
+  }
+
+  router.use(express.json({ limit: '1mb' }));
+
+  router.post('/:resource', resourceAction('new'), asyncHandler(async (req, res) => {
+    const { model } = req;
+    const record = await model.create(pickAttributes(model, req.body, { allowPrimaryKey: true }))
+      .catch(error => { throw toHttpError(error); });
+
+    await recordAuditEntry({
+      actor: requestActor(req),
+      action: 'api:create',
+      resource: model.tableName,
+      recordId: recordIdOf(model, record),
+      before: null,
+      after: record.get({ plain: true })
+    });
+
+    res.status(201).json({ success: true, data: record });
+  }));
+
+  router.patch('/:resource/*', resourceAction('edit'), asyncHandler(async (req, res) => {
+    const { model } = req;
+    const record = await model.findOne({ where: primaryKeyWhere(model, req) });
+    if (!record) {
+      throw createHttpError(404, 'Record not found');
+    }
+
+    const before = record.get({ plain: true });
+    await record.update(pickAttributes(model, req.body, { allowPrimaryKey: false }))
+      .catch(error => { throw toHttpError(error); });
+
+    await recordAuditEntry({
+      actor: requestActor(req),
+      action: 'api:update',
+      resource: model.tableName,
+      recordId: recordIdOf(model, record),
+      before,
+      after: record.get({ plain: true })
+    });
+
+    res.json({ success: true, data: record });
+  }));
+
+  router.delete('/:resource/*', resourceAction('delete'), asyncHandler(async (req, res) => {
+    const { model } = req;
+    const record = await model.findOne({ where: primaryKeyWhere(model, req) });
+    if (!record) {
+      throw createHttpError(404, 'Record not found');
+    }
+
+    const before = record.get({ plain: true });
+    await record.destroy().catch(error => { throw toHttpError(error); });
+
+    await recordAuditEntry({
+      actor: requestActor(req),
+      action: 'api:delete',
+      resource: model.tableName,
+      recordId: recordIdOf(model, record),
+      before,
+      after: null
+    });
+
+    res.status(204).end();
+  }));
+
+  return router;
+};
+
+export default createApiV1Router;
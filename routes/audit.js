@@ -0,0 +1,68 @@
+import { Router } from 'express';
+import Joi from 'joi';
+import { Op } from 'sequelize';
+import AuditLog from '../models/AuditLog.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/rbac.js';
+import { asyncHandler } from '../middleware/error-handler.js';
+import { searchFiltersSchema, parseSearchFilters } from '../utils/search-filters.js';
+
+const router = Router();
+
+const auditQuerySchema = Joi.object({
+  actor: Joi.string().trim().max(255),
+  resource: Joi.string().trim().max(100),
+  action: Joi.string().trim().max(50),
+  record_id: Joi.string().trim().max(1000),
+  from: searchFiltersSchema.extract('from'),
+  to: searchFiltersSchema.extract('to'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+// Audit trail of AdminJS changes, filterable by actor, resource, action and time (admins only).
+// from/to are read like the search filters: a date-only `to` covers that whole day.
+router.get('/audit', requireAuth, requireRole('admin'), asyncHandler(async (req, res) => {
+  const value = parseSearchFilters(req.query, auditQuerySchema, 'Invalid audit log filters');
+
+  const where = {};
+  if (value.actor) {
+    where.actor_email = value.actor.toLowerCase();
+  }
+  if (value.resource) {
+    where.resource = value.resource;
+  }
+  if (value.action) {
+    where.action = value.action;
+  }
+  if (value.record_id) {
+    where.record_id = value.record_id;
+  }
+  if (value.from || value.to) {
+    where.created_at = {
+      ...(value.from ? { [Op.gte]: value.from } : {}),
+      ...(value.to ? { [Op.lt]: value.to } : {})
+    };
+  }
+
+  const { rows, count } = await AuditLog.findAndCountAll({
+    where,
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit: value.limit,
+    offset: (value.page - 1) * value.limit,
+    raw: true
+  });
+
+  res.json({
+    success: true,
+    data: rows,
+    pagination: {
+      page: value.page,
+      limit: value.limit,
+      total: count
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+export default router;
@@ -0,0 +1,123 @@
+import express, { Router } from 'express';
+import Joi from 'joi';
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole, requestActor } from '../middleware/rbac.js';
+import { asyncHandler, joiValidationError } from '../middleware/error-handler.js';
+import { COMPARE_MODES } from '../services/stats.js';
+import { TIMELINE_GRANULARITIES, resolveTimeZone } from '../utils/time-zones.js';
+import {
+  DASHBOARD_WIDGETS,
+  listDashboards,
+  getDashboard,
+  createDashboard,
+  updateDashboard,
+  deleteDashboard,
+  setDefaultDashboard,
+  clearDefaultDashboard
+} from '../services/dashboards.js';
+
+const router = Router();
+
+// Saved dashboards belong to admin users, so these routes are session-only (no API keys)
+const requireDashboardUser = [requireAuth, requireRole('viewer')];
+
+const jsonBody = express.json({ limit: '100kb' });
+
+// Filters are kept as the dashboard's URL parameters (raw strings), checked like /api/stats checks them
+const dashboardFiltersSchema = Joi.object({
+  from: Joi.date().iso().raw(),
+  to: Joi.date().iso().raw().when('from', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('from'))
+  }),
+  platform_name: Joi.string().trim().max(255),
+  search_type: Joi.string().trim().max(255),
+  granularity: Joi.string().valid(...TIMELINE_GRANULARITIES),
+  tz: Joi.string().trim().max(100)
+    .custom((value, helpers) => (resolveTimeZone(value) ? value : helpers.error('any.invalid')))
+    .messages({ 'any.invalid': '{{#label}} must be an IANA time zone name such as Europe/Berlin' }),
+  compare: Joi.string().valid(...COMPARE_MODES)
+}).with('compare', 'from');
+
+// Shown widgets in display order, by id from the dashboard layout
+const dashboardWidgetsSchema = Joi.array()
+  .items(Joi.string().valid(...DASHBOARD_WIDGETS))
+  .unique()
+  .min(1);
+
+const createDashboardSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  widgets: dashboardWidgetsSchema.default([...DASHBOARD_WIDGETS]),
+  filters: dashboardFiltersSchema.default({}),
+  is_shared: Joi.boolean().default(false)
+});
+
+const updateDashboardSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  widgets: dashboardWidgetsSchema,
+  filters: dashboardFiltersSchema,
+  is_shared: Joi.boolean()
+}).min(1);
+
+const dashboardIdSchema = Joi.number().integer().positive().required().label('id');
+
+const validate = (schema, input, message) => {
+  const { error, value } = schema.validate(input, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    throw joiValidationError(error, message);
+  }
+  return value;
+};
+
+const dashboardId = (req) => validate(dashboardIdSchema, req.params.id, 'Invalid dashboard id');
+
+const respond = (res, data, status = 200) => {
+  res.status(status).json({
+    success: true,
+    data,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// The user's own dashboards and every shared one
+router.get('/dashboards', requireDashboardUser, asyncHandler(async (req, res) => {
+  respond(res, await listDashboards(requestActor(req)));
+}));
+
+router.post('/dashboards', requireDashboardUser, jsonBody, asyncHandler(async (req, res) => {
+  const value = validate(createDashboardSchema, req.body || {}, 'Invalid dashboard');
+  respond(res, await createDashboard(requestActor(req), value), 201);
+}));
+
+// Go back to the built-in layout by default
+router.delete('/dashboards/default', requireDashboardUser, asyncHandler(async (req, res) => {
+  await clearDefaultDashboard(requestActor(req));
+  respond(res, null);
+}));
+
+router.get('/dashboards/:id', requireDashboardUser, asyncHandler(async (req, res) => {
+  respond(res, await getDashboard(requestActor(req), dashboardId(req)));
+}));
+
+// Rename, reorder or re-filter a dashboard, or change its sharing (owner only)
+router.patch('/dashboards/:id', requireDashboardUser, jsonBody, asyncHandler(async (req, res) => {
+  const id = dashboardId(req);
+  const value = validate(updateDashboardSchema, req.body || {}, 'Invalid dashboard');
+  respond(res, await updateDashboard(requestActor(req), id, value));
+}));
+
+router.delete('/dashboards/:id', requireDashboardUser, asyncHandler(async (req, res) => {
+  await deleteDashboard(requestActor(req), dashboardId(req));
+  respond(res, null);
+}));
+
+// Open this dashboard by default on /dashboard
+router.put('/dashboards/:id/default', requireDashboardUser, asyncHandler(async (req, res) => {
+  respond(res, await setDefaultDashboard(requestActor(req), dashboardId(req)));
+}));
+
+export default router;
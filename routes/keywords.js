@@ -0,0 +1,68 @@
+import { Router } from 'express';
+import Joi from 'joi';
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/rbac.js';
+import { asyncHandler } from '../middleware/error-handler.js';
+import {
+  searchFiltersSchema,
+  timelineQueryKeys,
+  parseSearchFilters,
+  describeSearchFilters
+} from '../utils/search-filters.js';
+import { getCachedKeywordAnalytics, getCachedKeywordDetail } from '../services/keywords.js';
+import { createNoopCache } from '../services/cache.js';
+import { localizeDateBounds } from '../services/timeline.js';
+
+// from/to are days in `tz`
+const keywordsQuerySchema = searchFiltersSchema.keys({
+  tz: timelineQueryKeys.tz,
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  min_count: Joi.number().integer().min(1).default(2)
+});
+
+const keywordDetailQuerySchema = searchFiltersSchema.keys({
+  ...timelineQueryKeys,
+  keyword: Joi.string().trim().max(1000).required()
+});
+
+/**
+ * Build the keyword analytics router. Keywords are normalized (whitespace
+ * collapsed, trimmed, lower-cased) before they are counted or matched.
+ */
+export const createKeywordsRouter = ({ cache = createNoopCache() } = {}) => {
+  const router = Router();
+
+  // Top keywords and keywords trending against the previous period
+  router.get('/keywords', requireAuth, requireRole('viewer', { scope: 'read' }), asyncHandler(async (req, res) => {
+    const { tz, limit, min_count: minCount, ...parsed } = parseSearchFilters(req.query, keywordsQuerySchema);
+    const filters = localizeDateBounds(parsed, req.query, tz);
+    const { data, generatedAt, cached } = await getCachedKeywordAnalytics(filters, { limit, minCount }, cache);
+
+    res.set('X-Cache', cached ? 'HIT' : 'MISS');
+    res.json({
+      success: true,
+      data,
+      filters: { ...describeSearchFilters(req.query), tz },
+      timestamp: generatedAt
+    });
+  }));
+
+  // Timeline (bucketed by `granularity` in `tz`), platform split and spellings of one keyword
+  router.get('/keywords/detail', requireAuth, requireRole('viewer', { scope: 'read' }), asyncHandler(async (req, res) => {
+    const { keyword, granularity, tz, ...parsed } = parseSearchFilters(req.query, keywordDetailQuerySchema);
+    const filters = localizeDateBounds(parsed, req.query, tz);
+    const { data, generatedAt, cached } = await getCachedKeywordDetail(keyword, filters, { granularity, timeZone: tz }, cache);
+
+    res.set('X-Cache', cached ? 'HIT' : 'MISS');
+    res.json({
+      success: true,
+      data,
+      filters: { ...describeSearchFilters(req.query), granularity, tz },
+      timestamp: generatedAt
+    });
+  }));
+
+  return router;
+};
+
+export default createKeywordsRouter;
@@ -0,0 +1,43 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/rbac.js';
+import { asyncHandler } from '../middleware/error-handler.js';
+import {
+  searchFiltersSchema,
+  timelineQueryKeys,
+  parseSearchFilters,
+  describeSearchFilters
+} from '../utils/search-filters.js';
+import { getCachedPromptPerformance } from '../services/prompt-performance.js';
+import { createNoopCache } from '../services/cache.js';
+import { localizeDateBounds } from '../services/timeline.js';
+
+// platform_name and search_type filter on the prompt that served the search
+const promptPerformanceQuerySchema = searchFiltersSchema.keys(timelineQueryKeys);
+
+/**
+ * Build the system prompt analytics router: searches, users, responses and
+ * citations per prompt version.
+ */
+export const createPromptsRouter = ({ cache = createNoopCache() } = {}) => {
+  const router = Router();
+
+  // Prompt version performance for the search filters, bucketed by `granularity` in `tz`
+  router.get('/prompts/performance', requireAuth, requireRole('viewer', { scope: 'read' }), asyncHandler(async (req, res) => {
+    const { granularity, tz, ...parsed } = parseSearchFilters(req.query, promptPerformanceQuerySchema);
+    const filters = localizeDateBounds(parsed, req.query, tz);
+    const { data, generatedAt, cached } = await getCachedPromptPerformance(filters, { granularity, timeZone: tz }, cache);
+
+    res.set('X-Cache', cached ? 'HIT' : 'MISS');
+    res.json({
+      success: true,
+      data,
+      filters: { ...describeSearchFilters(req.query), granularity, tz },
+      timestamp: generatedAt
+    });
+  }));
+
+  return router;
+};
+
+export default createPromptsRouter;
@@ -0,0 +1,72 @@
+import { Router } from 'express';
+import Joi from 'joi';
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/rbac.js';
+import { asyncHandler, createHttpError, joiValidationError } from '../middleware/error-handler.js';
+import {
+  searchFiltersSchema,
+  timelineQueryKeys,
+  parseSearchFilters,
+  describeSearchFilters
+} from '../utils/search-filters.js';
+import { getCachedResponseStats, getResponseDetail } from '../services/responses.js';
+import { createNoopCache } from '../services/cache.js';
+import { localizeDateBounds } from '../services/timeline.js';
+
+// Responses are only filtered by time; platform_name and search_type do not apply
+const responseStatsQuerySchema = Joi.object({
+  from: searchFiltersSchema.extract('from'),
+  to: searchFiltersSchema.extract('to'),
+  ...timelineQueryKeys,
+  limit: Joi.number().integer().min(1).max(100).default(10)
+});
+
+const responseIdSchema = Joi.string().guid().required().label('response_id');
+
+/**
+ * Build the search response router: analytics (result mix, citation ratios,
+ * cited domains and citation positions), cached in `cache` alongside the
+ * dashboard statistics, and single responses for the response inspector.
+ */
+export const createResponsesRouter = ({ cache = createNoopCache() } = {}) => {
+  const router = Router();
+
+  // Response analytics for from/to, with a timeline bucketed by `granularity` in `tz`
+  router.get('/responses/stats', requireAuth, requireRole('viewer', { scope: 'read' }), asyncHandler(async (req, res) => {
+    const { granularity, tz, limit, ...parsed } = parseSearchFilters(req.query, responseStatsQuerySchema);
+    const filters = localizeDateBounds(parsed, req.query, tz);
+    const { data, generatedAt, cached } = await getCachedResponseStats(filters, { granularity, timeZone: tz, limit }, cache);
+
+    const { from, to } = describeSearchFilters(req.query);
+    res.set('X-Cache', cached ? 'HIT' : 'MISS');
+    res.json({
+      success: true,
+      data,
+      filters: { from, to, granularity, tz },
+      timestamp: generatedAt
+    });
+  }));
+
+  // One response with its AI summary, search and ordered results (the AdminJS response inspector)
+  router.get('/responses/:responseId', requireAuth, requireRole('viewer', { scope: 'read' }), asyncHandler(async (req, res) => {
+    const { error, value: responseId } = responseIdSchema.validate(req.params.responseId);
+    if (error) {
+      throw joiValidationError(error, 'Invalid response id');
+    }
+
+    const data = await getResponseDetail(responseId);
+    if (!data) {
+      throw createHttpError(404, 'Search response not found');
+    }
+
+    res.json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  }));
+
+  return router;
+};
+
+export default createResponsesRouter;
@@ -0,0 +1,101 @@
+import { Router } from 'express';
+import Joi from 'joi';
+import { requireAuth, requireAuthWeb } from '../middleware/auth.js';
+import { requireRole, requireRoleWeb } from '../middleware/rbac.js';
+import { asyncHandler, createHttpError, joiValidationError } from '../middleware/error-handler.js';
+import {
+  searchFiltersSchema,
+  timelineQueryKeys,
+  parseSearchFilters,
+  describeSearchFilters
+} from '../utils/search-filters.js';
+import { getScreenshotGallery, locateScreenshotFile } from '../services/screenshots.js';
+import { localizeDateBounds } from '../services/timeline.js';
+
+// Screenshots are filtered by url (substring) and from/to (days in `tz`) on created_at
+const galleryQuerySchema = Joi.object({
+  from: searchFiltersSchema.extract('from'),
+  to: searchFiltersSchema.extract('to'),
+  tz: timelineQueryKeys.tz,
+  url: Joi.string().trim().max(2000),
+  page: Joi.number().integer().min(1).default(1),
+  perPage: Joi.number().integer().min(1).max(100).default(24)
+});
+
+const screenshotIdSchema = Joi.number().integer().min(1).required().label('id');
+const sliceIndexSchema = Joi.number().integer().min(0).required().label('slice');
+
+// Answer with a located screenshot file, or 404 when there is none to serve
+const sendScreenshotFile = (res, located, what) => {
+  if (!located || located.status !== 'ok') {
+    throw createHttpError(404, located?.status === 'missing'
+      ? `${what} file is missing from the screenshot storage`
+      : `${what} not found`);
+  }
+  // The path was checked against the storage root, which may itself sit under a dot directory
+  res.sendFile(located.file, {
+    dotfiles: 'allow',
+    headers: { 'Content-Type': located.contentType, 'Cache-Control': 'private, max-age=300' }
+  });
+};
+
+const validateParam = (schema, value, message) => {
+  const { error, value: parsed } = schema.validate(value);
+  if (error) {
+    throw joiValidationError(error, message);
+  }
+  return parsed;
+};
+
+/**
+ * Build the screenshot gallery API router: pages of screenshots with the
+ * state of their files in the storage root of `store` (see
+ * createScreenshotStore).
+ */
+export const createScreenshotsRouter = ({ store }) => {
+  const router = Router();
+
+  // Screenshots newest first, with whether their output_path and slices exist on disk
+  router.get('/screenshots', requireAuth, requireRole('viewer', { scope: 'read' }), asyncHandler(async (req, res) => {
+    const { tz, url, page, perPage, ...parsed } = parseSearchFilters(req.query, galleryQuerySchema);
+    const filters = localizeDateBounds(parsed, req.query, tz);
+    const data = await getScreenshotGallery(store, { ...filters, url }, { page, perPage });
+
+    const { from, to } = describeSearchFilters(req.query);
+    res.json({
+      success: true,
+      data,
+      filters: { from, to, tz, url, page, perPage },
+      timestamp: new Date().toISOString()
+    });
+  }));
+
+  return router;
+};
+
+/**
+ * Build the router serving the screenshot and slice image files of the
+ * gallery, read from the storage root of `store` only. It is mounted outside
+ * /api, so the images of a gallery page do not count against the API rate
+ * limit; it takes an AdminJS session.
+ */
+export const createScreenshotFilesRouter = ({ store }) => {
+  const router = Router();
+
+  // The screenshot image at output_path
+  router.get('/:id/image', requireAuthWeb, requireRoleWeb('viewer'), asyncHandler(async (req, res) => {
+    const id = validateParam(screenshotIdSchema, req.params.id, 'Invalid screenshot id');
+    sendScreenshotFile(res, await locateScreenshotFile(store, id), 'Screenshot');
+  }));
+
+  // One slice of the screenshot, by its position in slices
+  router.get('/:id/slices/:slice', requireAuthWeb, requireRoleWeb('viewer'), asyncHandler(async (req, res) => {
+    const id = validateParam(screenshotIdSchema, req.params.id, 'Invalid screenshot id');
+    const slice = validateParam(sliceIndexSchema, req.params.slice, 'Invalid slice index');
+    sendScreenshotFile(res, await locateScreenshotFile(store, id, slice), 'Slice');
+  }));
+
+  return router;
+};
+
+export default createScreenshotsRouter;
@@ -0,0 +1,130 @@
+import express, { Router } from 'express';
+import Joi from 'joi';
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole, requestActor } from '../middleware/rbac.js';
+import { asyncHandler, createHttpError, joiValidationError } from '../middleware/error-handler.js';
+import { searchFiltersSchema, timelineQueryKeys, parseSearchFilters } from '../utils/search-filters.js';
+import { EXPORT_FORMATS, streamSearchQueryExport } from '../services/export.js';
+import { IMPORT_FORMATS, importSearchQueries } from '../services/import.js';
+import { recordAuditEntry } from '../services/audit.js';
+import { localizeDateBounds } from '../services/timeline.js';
+import logger from '../utils/logger.js';
+
+const router = Router();
+
+// from/to are days in `tz`
+const exportQuerySchema = searchFiltersSchema.keys({
+  tz: timelineQueryKeys.tz,
+  format: Joi.string().valid(...Object.keys(EXPORT_FORMATS)).default('csv')
+});
+
+const exportFilename = (format) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+  return `search-queries-${stamp}.${format}`;
+};
+
+// Export search queries matching the stats filters as CSV, JSON or NDJSON (streamed)
+router.get('/search-queries/export', requireAuth, requireRole('analyst', { scope: 'export' }), asyncHandler(async (req, res) => {
+  const { tz, format, ...parsed } = parseSearchFilters(req.query, exportQuerySchema);
+  const filters = localizeDateBounds(parsed, req.query, tz);
+
+  let aborted = false;
+  res.on('close', () => {
+    aborted = true;
+  });
+
+  res.status(200);
+  res.set({
+    'Content-Type': EXPORT_FORMATS[format].contentType,
+    'Content-Disposition': `attachment; filename="${exportFilename(format)}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  try {
+    const count = await streamSearchQueryExport({
+      filters,
+      format,
+      output: res,
+      isAborted: () => aborted
+    });
+
+    logger.info(`Exported ${count} search queries as ${format} for ${requestActor(req).email}${aborted ? ' (aborted by client)' : ''}`);
+    res.end();
+  } catch (error) {
+    // Once streaming has started the error can no longer be sent as JSON
+    if (!res.headersSent) {
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      throw error;
+    }
+    logger.error('Search query export failed mid-stream:', error);
+    res.destroy(error);
+  }
+}));
+
+const importQuerySchema = Joi.object({
+  format: Joi.string().valid(...IMPORT_FORMATS),
+  dryRun: Joi.boolean().default(true),
+  atomic: Joi.boolean().default(false)
+});
+
+// Raw upload body; the file is sent as-is rather than as multipart form data
+const importBodyParser = express.text({
+  type: ['text/csv', 'text/plain', 'application/x-ndjson', 'application/octet-stream'],
+  limit: '20mb'
+});
+
+const detectImportFormat = (req) => {
+  return req.is('application/x-ndjson') ? 'ndjson' : 'csv';
+};
+
+// Import search queries from a CSV or NDJSON upload. Defaults to a dry run that only
+// validates; pass dryRun=false to insert and atomic=true for all-or-nothing.
+router.post('/search-queries/import', requireAuth, requireRole('editor', { scope: 'write' }), importBodyParser, asyncHandler(async (req, res) => {
+  const { error, value } = importQuerySchema.validate(req.query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    throw joiValidationError(error, 'Invalid import options');
+  }
+
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    throw createHttpError(400, 'Upload a CSV or NDJSON file as the request body');
+  }
+
+  const format = value.format || detectImportFormat(req);
+  const report = await importSearchQueries({
+    text: req.body,
+    format,
+    dryRun: value.dryRun,
+    atomic: value.atomic
+  });
+
+  if (report.inserted) {
+    await recordAuditEntry({
+      actor: requestActor(req),
+      action: 'import',
+      resource: 'search_queries',
+      recordId: null,
+      before: null,
+      after: {
+        format,
+        atomic: value.atomic,
+        inserted: report.inserted,
+        rejectedRows: report.rejectedRows
+      }
+    });
+  }
+
+  logger.info(`Search query import (${format}, ${value.dryRun ? 'dry run' : 'live'}) by ${requestActor(req).email}: ${report.validRows} valid, ${report.rejectedRows} rejected, ${report.inserted} inserted`);
+
+  res.json({
+    success: true,
+    data: report,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+export default router;
@@ -0,0 +1,138 @@
+import { Router } from 'express';
+import Joi from 'joi';
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/rbac.js';
+import { asyncHandler } from '../middleware/error-handler.js';
+import {
+  searchFiltersSchema,
+  timelineQueryKeys,
+  parseSearchFilters,
+  describeSearchFilters,
+  matchesSearchFilters
+} from '../utils/search-filters.js';
+import { getCachedSearchStats, COMPARE_MODES } from '../services/stats.js';
+import { createNoopCache } from '../services/cache.js';
+import { localizeDateBounds } from '../services/timeline.js';
+
+// Comment line sent on idle streams so proxies keep the connection open
+const STREAM_HEARTBEAT_MS = 25000;
+
+// Delay browsers wait before reconnecting a dropped stream
+const STREAM_RETRY_MS = 5000;
+
+// A comparison needs a bounded period, so `compare` requires `from`
+const statsQuerySchema = searchFiltersSchema.keys({
+  compare: Joi.string().valid(...COMPARE_MODES),
+  ...timelineQueryKeys
+}).with('compare', 'from');
+
+// Parse the stats query; date-only from/to values are days in the requested time zone
+const parseStatsQuery = (query) => {
+  const filters = parseSearchFilters(query, statsQuerySchema);
+  return localizeDateBounds(filters, query, filters.tz);
+};
+
+/**
+ * Build the statistics router. Aggregates are cached per filter set in
+ * `cache` (see services/cache.js) and sent with an ETag, so polling clients
+ * get 304 Not Modified until the numbers change. When a search query `feed`
+ * (see services/search-query-feed.js) is given, /stats/stream pushes changes
+ * as Server-Sent Events.
+ */
+export const createStatsRouter = ({ cache = createNoopCache(), feed = null } = {}) => {
+  const router = Router();
+
+  // Dashboard statistics, optionally filtered by from/to/platform_name/search_type
+  // and compared with the previous period or the same period last year. The
+  // timeline is bucketed by `granularity` in the `tz` time zone.
+  router.get('/stats', requireAuth, requireRole('viewer', { scope: 'read' }), asyncHandler(async (req, res) => {
+    const filters = parseStatsQuery(req.query);
+    const { data, etag, generatedAt, cached } = await getCachedSearchStats(filters, cache);
+
+    res.set({
+      ETag: etag,
+      'Cache-Control': 'private, no-cache',
+      'X-Cache': cached ? 'HIT' : 'MISS'
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.json({
+      success: true,
+      data,
+      filters: {
+        ...describeSearchFilters(req.query),
+        ...(filters.compare && { compare: filters.compare }),
+        granularity: filters.granularity,
+        tz: filters.tz
+      },
+      timestamp: generatedAt
+    });
+  }));
+
+  // Live updates for the dashboard: `queries` events carry new rows matching the
+  // filters, `refresh` events ask the client to reload /api/stats
+  if (feed) {
+    router.get('/stats/stream', requireAuth, requireRole('viewer', { scope: 'read' }), (req, res, next) => {
+      let filters;
+      try {
+        filters = parseStatsQuery(req.query);
+      } catch (error) {
+        return next(error);
+      }
+
+      // no-transform keeps the compression middleware from buffering events
+      res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'X-Accel-Buffering': 'no',
+        Connection: 'keep-alive'
+      });
+      res.flushHeaders();
+
+      const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+      send('ready', { filters: describeSearchFilters(req.query), live: feed.connected });
+
+      const unsubscribe = feed.subscribe(change => {
+        if (change.type === 'close') {
+          res.end();
+          return;
+        }
+        if (change.type === 'refresh') {
+          send('refresh', { reason: change.reason });
+          return;
+        }
+        const rows = change.rows.filter(row => matchesSearchFilters(row, filters));
+        if (rows.length) {
+          send('queries', { rows });
+        }
+      });
+
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    });
+  }
+
+  // Cache hit/miss counters for the statistics cache
+  router.get('/stats/cache', requireAuth, requireRole('admin'), (req, res) => {
+    res.json({
+      success: true,
+      data: cache.metrics(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return router;
+};
+
+export default createStatsRouter;
@@ -0,0 +1,53 @@
+import { Router } from 'express';
+import Joi from 'joi';
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/rbac.js';
+import { asyncHandler } from '../middleware/error-handler.js';
+import {
+  searchFiltersSchema,
+  timelineQueryKeys,
+  parseSearchFilters,
+  describeSearchFilters
+} from '../utils/search-filters.js';
+import { getCachedTrends } from '../services/trends.js';
+import { createNoopCache } from '../services/cache.js';
+import { localizeDateBounds } from '../services/timeline.js';
+
+// Snapshots are filtered by from/to (days in `tz`) and location; platform_name and search_type do not apply
+const trendsQuerySchema = Joi.object({
+  from: searchFiltersSchema.extract('from'),
+  to: searchFiltersSchema.extract('to'),
+  tz: timelineQueryKeys.tz,
+  location: Joi.string().trim().max(255),
+  term: Joi.string().trim().max(255),
+  snapshots: Joi.number().integer().min(2).max(200).default(30),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+/**
+ * Build the trends router: TrendsNow snapshots of a location parsed into
+ * ranked terms, compared snapshot to snapshot.
+ */
+export const createTrendsRouter = ({ cache = createNoopCache() } = {}) => {
+  const router = Router();
+
+  // Rank movement and entered/dropped terms of a location's latest snapshots
+  router.get('/trends', requireAuth, requireRole('viewer', { scope: 'read' }), asyncHandler(async (req, res) => {
+    const { tz, location, term, snapshots, limit, ...parsed } = parseSearchFilters(req.query, trendsQuerySchema);
+    const filters = localizeDateBounds(parsed, req.query, tz);
+    const { data, generatedAt, cached } = await getCachedTrends(filters, { location, term, snapshots, limit }, cache);
+
+    const { from, to } = describeSearchFilters(req.query);
+    res.set('X-Cache', cached ? 'HIT' : 'MISS');
+    res.json({
+      success: true,
+      data,
+      filters: { from, to, tz, location: data.location, term, snapshots, limit },
+      timestamp: generatedAt
+    });
+  }));
+
+  return router;
+};
+
+export default createTrendsRouter;
@@ -0,0 +1,84 @@
+import { Router } from 'express';
+import Joi from 'joi';
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/rbac.js';
+import { asyncHandler, createHttpError, joiValidationError } from '../middleware/error-handler.js';
+import {
+  searchFiltersSchema,
+  timelineQueryKeys,
+  parseSearchFilters,
+  describeSearchFilters
+} from '../utils/search-filters.js';
+import { getCachedUserActivity, getCachedUserDetail } from '../services/users.js';
+import { createNoopCache } from '../services/cache.js';
+import { localizeDateBounds } from '../services/timeline.js';
+
+// search_type does not apply to users; platform_name filters on the user's platform
+const userActivityQuerySchema = Joi.object({
+  from: searchFiltersSchema.extract('from'),
+  to: searchFiltersSchema.extract('to'),
+  platform_name: searchFiltersSchema.extract('platform_name'),
+  ...timelineQueryKeys,
+  limit: Joi.number().integer().min(1).max(100).default(10)
+});
+
+const userDetailQuerySchema = Joi.object({
+  from: searchFiltersSchema.extract('from'),
+  to: searchFiltersSchema.extract('to'),
+  ...timelineQueryKeys,
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const userIdSchema = Joi.string().guid().required().label('user_id');
+
+/**
+ * Build the user activity router: active users (new and returning),
+ * signups, searches per user and one user's searches.
+ */
+export const createUsersRouter = ({ cache = createNoopCache() } = {}) => {
+  const router = Router();
+
+  // Activity of every user for from/to and platform_name, bucketed by `granularity` in `tz`
+  router.get('/users/activity', requireAuth, requireRole('viewer', { scope: 'read' }), asyncHandler(async (req, res) => {
+    const { granularity, tz, limit, ...parsed } = parseSearchFilters(req.query, userActivityQuerySchema);
+    const filters = localizeDateBounds(parsed, req.query, tz);
+    const { data, generatedAt, cached } = await getCachedUserActivity(filters, { granularity, timeZone: tz, limit }, cache);
+
+    const { from, to, platform_name } = describeSearchFilters(req.query);
+    res.set('X-Cache', cached ? 'HIT' : 'MISS');
+    res.json({
+      success: true,
+      data,
+      filters: { from, to, platform_name, granularity, tz },
+      timestamp: generatedAt
+    });
+  }));
+
+  // One user's searches; includes the user's email and device, so it needs the role that can list users
+  router.get('/users/:userId/activity', requireAuth, requireRole('analyst', { scope: 'read' }), asyncHandler(async (req, res) => {
+    const { error, value: userId } = userIdSchema.validate(req.params.userId);
+    if (error) {
+      throw joiValidationError(error, 'Invalid user id');
+    }
+
+    const { granularity, tz, limit, ...parsed } = parseSearchFilters(req.query, userDetailQuerySchema);
+    const filters = localizeDateBounds(parsed, req.query, tz);
+    const { data, generatedAt, cached } = await getCachedUserDetail(userId, filters, { granularity, timeZone: tz, limit }, cache);
+    if (!data) {
+      throw createHttpError(404, 'User not found');
+    }
+
+    const { from, to } = describeSearchFilters(req.query);
+    res.set('X-Cache', cached ? 'HIT' : 'MISS');
+    res.json({
+      success: true,
+      data,
+      filters: { from, to, granularity, tz },
+      timestamp: generatedAt
+    });
+  }));
+
+  return router;
+};
+
+export default createUsersRouter;
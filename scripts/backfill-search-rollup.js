@@ -0,0 +1,50 @@
+// Backfill the search_queries_daily rollup.
+//
+//   npm run rollup:backfill                                   # rebuild every day up to yesterday
+//   npm run rollup:backfill -- --from 2024-01-01 --to 2024-02-01   # rebuild [from, to) only
+//
+// A full rebuild also moves the rollup watermark to today, so /api/stats starts
+// reading those days from the rollup. A ranged rebuild repairs days in place.
+import { parseArgs } from 'util';
+import { sequelize, testConnection, closeConnection } from '../database.js';
+import SearchQueryDaily from '../models/SearchQueryDaily.js';
+import RollupState from '../models/RollupState.js';
+import { rebuildDailyRollup, updateDailyRollup } from '../services/rollup.js';
+import logger from '../utils/logger.js';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const { values } = parseArgs({
+  options: {
+    from: { type: 'string' },
+    to: { type: 'string' }
+  }
+});
+
+const run = async () => {
+  if (Boolean(values.from) !== Boolean(values.to)) {
+    throw new Error('Pass both --from and --to (YYYY-MM-DD), or neither for a full rebuild');
+  }
+  if (values.from && !(DAY_PATTERN.test(values.from) && DAY_PATTERN.test(values.to) && values.from < values.to)) {
+    throw new Error('--from and --to must be YYYY-MM-DD dates with --from before --to');
+  }
+
+  await testConnection();
+  await SearchQueryDaily.sync();
+  await RollupState.sync();
+
+  const started = Date.now();
+  const result = values.from
+    ? await rebuildDailyRollup({ from: values.from, to: values.to })
+    : await updateDailyRollup({ full: true });
+
+  logger.info(`Rebuilt search_queries_daily for ${result.from}..${result.to} in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+};
+
+run()
+  .then(() => closeConnection())
+  .catch(async (error) => {
+    logger.error('Rollup backfill failed:', error);
+    await sequelize.close().catch(() => {});
+    process.exitCode = 1;
+  });
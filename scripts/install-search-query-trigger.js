@@ -0,0 +1,23 @@
+// Install the search_queries notify trigger behind the dashboard's live updates.
+//
+//   npm run feed:install-trigger
+//
+// Replacing the trigger takes a short exclusive lock on search_queries, so run
+// this once per database (or after changing the trigger), not on every deploy.
+import { sequelize, testConnection, closeConnection } from '../database.js';
+import { installSearchQueryNotifyTrigger } from '../services/search-query-feed.js';
+import logger from '../utils/logger.js';
+
+const run = async () => {
+  await testConnection();
+  await installSearchQueryNotifyTrigger();
+  logger.info('Installed the search_queries_notify trigger');
+};
+
+run()
+  .then(() => closeConnection())
+  .catch(async (error) => {
+    logger.error('Installing the search_queries notify trigger failed:', error);
+    await sequelize.close().catch(() => {});
+    process.exitCode = 1;
+  });
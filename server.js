@@ -11,17 +11,61 @@ import cookieParser from 'cookie-parser';
 import { createServer as createHttpServer } from 'http';
 import { createServer as createHttpsServer } from 'https';
 import { readFileSync } from 'fs';
-import { Op, DataTypes } from 'sequelize';
+import { DataTypes } from 'sequelize';
 import { sequelize, testConnection, closeConnection } from './database.js';
 import SearchQuery from './models/QueryResult.js';
+import AdminUser, { ADMIN_ROLES } from './models/AdminUser.js';
+import AuditLog from './models/AuditLog.js';
+import ApiKey, { API_KEY_SCOPES } from './models/ApiKey.js';
 import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
 import { dirname, join } from 'path';
 import logger from './utils/logger.js';
 import { validateEnv } from './utils/env-validator.js';
-import { configureCors, configureHelmet, apiLimiter } from './middleware/security.js';
+import { configureCors, configureHelmet, dashboardCsp, apiLimiter, apiKeyAttemptLimiter } from './middleware/security.js';
 import { errorHandler, notFoundHandler, asyncHandler } from './middleware/error-handler.js';
-import { initializeAdminUser, authenticate, requireAuth, requireAuthWeb } from './middleware/auth.js';
+import {
+  initializeAdminUser,
+  authenticate,
+  requireAuth,
+  requireAuthWeb,
+  checkSessionAccount,
+  prepareAdminUserPayload,
+  preventSelfDelete
+} from './middleware/auth.js';
+import { withAccessControl, requireRoleWeb } from './middleware/rbac.js';
+import {
+  authenticateApiKey,
+  createApiKeyAction,
+  protectApiKeyFields,
+  revokeApiKeyAction
+} from './middleware/api-key.js';
+import { componentLoader, Components } from './components/index.js';
 import healthRouter from './routes/health.js';
+import { createStatsRouter } from './routes/stats.js';
+import { createKeywordsRouter } from './routes/keywords.js';
+import { createResponsesRouter } from './routes/responses.js';
+import { createUsersRouter } from './routes/users.js';
+import { createPromptsRouter } from './routes/prompts.js';
+import { createTrendsRouter } from './routes/trends.js';
+import { createScreenshotsRouter, createScreenshotFilesRouter } from './routes/screenshots.js';
+import {
+  newPromptVersionAction,
+  activatePromptAction,
+  comparePromptsAction,
+  prepareNewPrompt
+} from './services/system-prompts.js';
+import auditRouter from './routes/audit.js';
+import dashboardsRouter from './routes/dashboards.js';
+import searchQueriesRouter from './routes/search-queries.js';
+import { createApiV1Router } from './routes/api-v1.js';
+import { withAuditLog } from './services/audit.js';
+import { withJsonProperties } from './services/json-properties.js';
+import { createCache } from './services/cache.js';
+import { STATS_CACHE_PREFIX } from './services/stats.js';
+import { createScreenshotStore } from './services/screenshots.js';
+import { scheduleDailyRollup } from './services/rollup.js';
+import { createSearchQueryFeed, hasSearchQueryNotifyTrigger } from './services/search-query-feed.js';
 import { timeStamp } from 'console';
 
 // Load and validate environment variables
@@ -37,6 +81,7 @@ try {
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
+const require = createRequire(import.meta.url);
 
 const httpsEnabled = env.HTTPS_ENABLED;
 const forceHttpsRedirect = env.FORCE_HTTPS_REDIRECT;
@@ -100,6 +145,10 @@ const ImageUrls = sequelize.define('ImageUrls', {
     primaryKey: true,
     allowNull: false,
     field: 'image_url',
+    references: {
+      model: 'image_metadata',
+      key: 'url',
+    },
   },
   response_id: {
     type: DataTypes.UUID,
@@ -222,19 +271,37 @@ const screenshots = sequelize.define('screenshots', {
 
 const Searches = sequelize.define('Searches', {
   search_id: { type: DataTypes.UUID, primaryKey: true, allowNull: false, field: 'search_id' },
-  user_id: { type: DataTypes.UUID, allowNull: false, field: 'user_id' },
-  system_prompt_id: { type: DataTypes.UUID, allowNull: true, field: 'system_prompt_id' },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: { model: 'users', key: 'id' }
+  },
+  system_prompt_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'system_prompt_id',
+    references: { model: 'system_prompt', key: 'id' }
+  },
   keywords: { type: DataTypes.JSONB, allowNull: false, field: 'keywords' },
   created_at: { type: DataTypes.DATE, allowNull: true, field: 'created_at' }
 }, { tableName: 'searches', timestamps: false, underscored: true });
 
 
 const SearchResponse = sequelize.define('SearchResponse', {
-  ai_summary: { type: DataTypes.TEXT, primaryKey: true, allowNull: true, field: 'ai_summary' }
+  response_id: { type: DataTypes.UUID, primaryKey: true, allowNull: false, field: 'response_id' },
+  search_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'search_id',
+    references: { model: 'searches', key: 'search_id' }
+  },
+  ai_summary: { type: DataTypes.TEXT, allowNull: true, field: 'ai_summary' },
+  created_at: { type: DataTypes.DATE, allowNull: true, field: 'created_at' }
 }, { tableName: 'search_response', timestamps: false, underscored: true });
 
 const SystemPrompt = sequelize.define('SystemPrompt', {
-  id: { type: DataTypes.UUID, primaryKey: true, allowNull: false, field: 'id' },
+  id: { type: DataTypes.UUID, primaryKey: true, allowNull: false, defaultValue: DataTypes.UUIDV4, field: 'id' },
   search_type: { type: DataTypes.STRING(50), allowNull: true, field: 'search_type' },
   prompt_text: { type: DataTypes.TEXT, allowNull: false, field: 'prompt_text' },
   platform: { type: DataTypes.STRING(100), allowNull: false, field: 'platform' },
@@ -270,8 +337,20 @@ const VideoMetadata = sequelize.define('VideoMetadata', {
 }, { tableName: 'video_metadata', timestamps: false, underscored: true });
 
 const VideoUrls = sequelize.define('VideoUrls', {
-  video_id: { type: DataTypes.UUID, primaryKey: true, allowNull: false, field: 'video_id' },
-  response_id: { type: DataTypes.UUID, primaryKey: true, allowNull: false, field: 'response_id' },
+  video_id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false,
+    field: 'video_id',
+    references: { model: 'video_metadata', key: 'video_id' }
+  },
+  response_id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false,
+    field: 'response_id',
+    references: { model: 'search_response', key: 'response_id' }
+  },
   is_citation: { type: DataTypes.BOOLEAN, allowNull: true, field: 'is_citation' },
   seq_no: { type: DataTypes.INTEGER, allowNull: true, field: 'seq_no' }
 }, { tableName: 'video_urls', timestamps: false, underscored: true });
@@ -287,8 +366,20 @@ const WebMetadata = sequelize.define('WebMetadata', {
 }, { tableName: 'web_metadata', timestamps: false, underscored: true });
 
 const WebUrls = sequelize.define('WebUrls', {
-  web_url: { type: DataTypes.TEXT, primaryKey: true, allowNull: false, field: 'web_url' },
-  response_id: { type: DataTypes.UUID, primaryKey: true, allowNull: false, field: 'response_id' },
+  web_url: {
+    type: DataTypes.TEXT,
+    primaryKey: true,
+    allowNull: false,
+    field: 'web_url',
+    references: { model: 'web_metadata', key: 'url' }
+  },
+  response_id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false,
+    field: 'response_id',
+    references: { model: 'search_response', key: 'response_id' }
+  },
   is_citation: { type: DataTypes.BOOLEAN, allowNull: true, field: 'is_citation' },
   seq_no: { type: DataTypes.INTEGER, allowNull: true, field: 'seq_no' }
 }, { tableName: 'web_urls', timestamps: false, underscored: true });
@@ -299,6 +390,33 @@ const SessionTable = sequelize.define('SessionTable', {
   expire: { type: DataTypes.DATE, allowNull: false, field: 'expire' }
 }, { tableName: 'session', timestamps: false, underscored: true });
 
+// Relationships between the resource models. The foreign keys above carry `references` so
+// AdminJS renders them as links; constraints: false leaves the existing tables' constraints
+// to the database instead of sync().
+Searches.belongsTo(Users, { foreignKey: 'user_id', targetKey: 'id', as: 'user', constraints: false });
+Users.hasMany(Searches, { foreignKey: 'user_id', sourceKey: 'id', as: 'searches', constraints: false });
+
+Searches.belongsTo(SystemPrompt, { foreignKey: 'system_prompt_id', targetKey: 'id', as: 'system_prompt', constraints: false });
+SystemPrompt.hasMany(Searches, { foreignKey: 'system_prompt_id', sourceKey: 'id', as: 'searches', constraints: false });
+
+VideoUrls.belongsTo(VideoMetadata, { foreignKey: 'video_id', targetKey: 'video_id', as: 'video', constraints: false });
+VideoMetadata.hasMany(VideoUrls, { foreignKey: 'video_id', sourceKey: 'video_id', as: 'urls', constraints: false });
+
+WebUrls.belongsTo(WebMetadata, { foreignKey: 'web_url', targetKey: 'url', as: 'metadata', constraints: false });
+WebMetadata.hasMany(WebUrls, { foreignKey: 'web_url', sourceKey: 'url', as: 'urls', constraints: false });
+
+ImageUrls.belongsTo(ImageMetadata, { foreignKey: 'image_url', targetKey: 'url', as: 'metadata', constraints: false });
+ImageMetadata.hasMany(ImageUrls, { foreignKey: 'image_url', sourceKey: 'url', as: 'urls', constraints: false });
+
+SearchResponse.belongsTo(Searches, { foreignKey: 'search_id', targetKey: 'search_id', as: 'search', constraints: false });
+Searches.hasMany(SearchResponse, { foreignKey: 'search_id', sourceKey: 'search_id', as: 'responses', constraints: false });
+
+// The web, image and video results attached to a response, ordered by seq_no
+[[WebUrls, 'web_urls'], [ImageUrls, 'image_urls'], [VideoUrls, 'video_urls']].forEach(([Results, as]) => {
+  Results.belongsTo(SearchResponse, { foreignKey: 'response_id', targetKey: 'response_id', as: 'response', constraints: false });
+  SearchResponse.hasMany(Results, { foreignKey: 'response_id', sourceKey: 'response_id', as, constraints: false });
+});
+
 // Register Sequelize adapter for AdminJS
 AdminJS.registerAdapter({
   Resource: Resource,
@@ -364,9 +482,6 @@ const start = async () => {
   // Cookie parser middleware (needed to read cookies)
   app.use(cookieParser());
 
-  // Initialize admin user
-  await initializeAdminUser();
-
   // Test database connection
   await testConnection();
 
@@ -374,6 +489,17 @@ const start = async () => {
   await sequelize.sync({ alter: false });
   logger.info('✓ Models synchronized with database.');
 
+  // Bootstrap the first admin user if admin_users is empty
+  await initializeAdminUser();
+
+  // Keep the search_queries_daily rollup current (the first run backfills it)
+  const stopDailyRollup = env.SEARCH_ROLLUP_INTERVAL_MINUTES > 0
+    ? scheduleDailyRollup({
+        intervalMs: env.SEARCH_ROLLUP_INTERVAL_MINUTES * 60 * 1000,
+        lookbackDays: env.SEARCH_ROLLUP_LOOKBACK_DAYS
+      })
+    : () => {};
+
   // Configure session store with PostgreSQL (needed before protected routes)
   const PgSession = connectPgSimple(session);
   const pool = sequelize.connectionManager.pool;
@@ -406,535 +532,128 @@ const start = async () => {
   // Apply session middleware to entire app BEFORE protected routes
   app.use(session(sessionConfig));
 
+  // End sessions of accounts that were disabled or removed since sign in
+  app.use(checkSessionAccount);
+
   // Health check routes (before rate limiting)
   app.use('/', healthRouter);
 
-  // Apply rate limiting to API routes
-  app.use('/api', apiLimiter);
+  // Accept API keys (Authorization: Bearer) on API routes, then rate limit per key or IP.
+  // Rejected keys are limited per IP before the lookup, so bad keys cannot query freely.
+  app.use('/api', apiKeyAttemptLimiter, authenticateApiKey, apiLimiter);
 
   // Favicon placeholder to avoid 404 noise
   app.get('/favicon.ico', (req, res) => res.status(204).end());
 
+  // Cache for /api/stats aggregates (STATS_CACHE_TTL_SECONDS=0 or STATS_CACHE_DRIVER=none disables it)
+  const statsCache = await createCache({
+    driver: env.STATS_CACHE_DRIVER,
+    ttlMs: env.STATS_CACHE_TTL_SECONDS * 1000,
+    maxEntries: env.STATS_CACHE_MAX_ENTRIES,
+    redisUrl: env.REDIS_URL,
+    namespace: 'blinkai:stats'
+  });
+  logger.info(`Stats cache: ${statsCache.driver} (TTL ${env.STATS_CACHE_TTL_SECONDS}s)`);
+
+  // Storage root of the screenshot gallery's image files
+  const screenshotStore = createScreenshotStore({ root: env.SCREENSHOTS_ROOT });
+  logger.info(`Screenshot storage: ${screenshotStore.root}`);
+
+  // Live search_queries changes (LISTEN/NOTIFY) for /api/stats/stream; cached
+  // /api/stats aggregates are dropped whenever the table changes, while the other
+  // analytics sharing the cache expire with its TTL
+  try {
+    if (!(await hasSearchQueryNotifyTrigger())) {
+      logger.warn('The search_queries notify trigger is missing; live updates need it (npm run feed:install-trigger)');
+    }
+  } catch (error) {
+    logger.warn('Could not check for the search_queries notify trigger:', error);
+  }
+  const searchQueryFeed = createSearchQueryFeed();
+  searchQueryFeed.subscribe(() => statsCache.clear(STATS_CACHE_PREFIX));
+  await searchQueryFeed.start();
+
   // API endpoint for dashboard statistics (requires authentication)
-  app.get('/api/stats', requireAuth, asyncHandler(async (req, res) => {
-      // Get total count (optimized query)
-      const total = await SearchQuery.count();
-      
-      // Count by search type using database aggregation
-      const searchTypeResults = await SearchQuery.findAll({
-        attributes: [
-          'search_type',
-          [sequelize.fn('COUNT', sequelize.col('id')), 'count']
-        ],
-        group: ['search_type'],
-        raw: true
-      });
-
-      // Convert to object format
-      const searchTypeBreakdown = {};
-      searchTypeResults.forEach(row => {
-        const type = row.search_type || 'Unknown';
-        searchTypeBreakdown[type] = parseInt(row.count);
-      });
-
-      // Count by platform name (ignore null)
-      const platformResults = await SearchQuery.findAll({
-        attributes: [
-          [sequelize.fn('TRIM', sequelize.col('platform_name')), 'platform_name'],
-          [sequelize.fn('COUNT', sequelize.col('id')), 'count']
-        ],
-        where: sequelize.where(
-          sequelize.fn('NULLIF', sequelize.fn('TRIM', sequelize.col('platform_name')), ''),
-          {
-            [Op.notIn]: ['null', '[null]']
-          }
-        ),
-        group: [sequelize.fn('TRIM', sequelize.col('platform_name'))],
-        raw: true
-      });
-
-      const platformBreakdown = {};
-      platformResults.forEach(row => {
-        const platform = row.platform_name || 'Unknown';
-        platformBreakdown[platform] = parseInt(row.count);
-      });
-
-      // Group queries by date for timeline chart
-      const timelineResults = await SearchQuery.findAll({
-        attributes: [
-          [sequelize.fn('DATE', sequelize.col('created_at')), 'date'],
-          [sequelize.fn('COUNT', sequelize.col('id')), 'count']
-        ],
-        group: [sequelize.fn('DATE', sequelize.col('created_at'))],
-        order: [[sequelize.fn('DATE', sequelize.col('created_at')), 'ASC']],
-        raw: true
-      });
-
-      // Convert to timeline format (last 30 days or all data if less)
-      const timelineData = {};
-      timelineResults.forEach(row => {
-        timelineData[row.date] = parseInt(row.count);
-      });
-
-      // Get date range
-      const dateRange = await SearchQuery.findAll({
-        attributes: [
-          [sequelize.fn('MIN', sequelize.col('created_at')), 'earliest'],
-          [sequelize.fn('MAX', sequelize.col('created_at')), 'latest']
-        ],
-        raw: true
-      });
-
-      const { earliest, latest } = dateRange[0] || {};
-
-      // Get recent queries (only fetch the latest 10)
-      const recentRecords = await SearchQuery.findAll({
-        order: [['created_at', 'DESC']],
-        limit: 10
-      });
-
-      const recentQueries = recentRecords.map(r => ({
-        id: r.id,
-        keyword: r.keyword,
-        search_type: r.search_type,
-        platform_name: r.platform_name,
-        created_at: r.created_at
-      }));
-
-      res.json({
-        success: true,
-        data: {
-          total,
-          searchTypeBreakdown,
-          timelineData,
-          platformBreakdown,
-          recentQueries,
-          dateRange: {
-            earliest,
-            latest
-          }
-        },
-        timestamp: new Date().toISOString()
-      });
+  app.use('/api', createStatsRouter({ cache: statsCache, feed: searchQueryFeed }));
+
+  // Top, trending and per-keyword analytics
+  app.use('/api', createKeywordsRouter({ cache: statsCache }));
+
+  // Result mix, citations and cited domains of search responses
+  app.use('/api', createResponsesRouter({ cache: statsCache }));
+
+  // Active, new and returning users, signups and per-user search activity
+  app.use('/api', createUsersRouter({ cache: statsCache }));
+
+  // Searches, users, responses and citations per system prompt version
+  app.use('/api', createPromptsRouter({ cache: statsCache }));
+
+  // Ranked terms, rank movement and entered/dropped terms of TrendsNow snapshots
+  app.use('/api', createTrendsRouter({ cache: statsCache }));
+
+  // Screenshot gallery pages; the image files are served under /screenshots
+  app.use('/api', createScreenshotsRouter({ store: screenshotStore }));
+
+  // Audit trail of AdminJS changes (admins only)
+  app.use('/api', auditRouter);
+
+  // Dashboards saved by admin users from /dashboard
+  app.use('/api', dashboardsRouter);
+
+  // Streamed export and bulk import of search queries
+  app.use('/api', searchQueriesRouter);
+
+  // Versioned REST API over the registered models (internal tables are not exposed)
+  app.use('/api/v1', createApiV1Router({
+    SearchQuery,
+    ImageMetadata,
+    ImageUrls,
+    query_results,
+    screenshots,
+    Searches,
+    SearchResponse,
+    SystemPrompt,
+    TrendsNow,
+    Users,
+    VideoMetadata,
+    VideoUrls,
+    WebMetadata,
+    WebUrls,
+  }, {
+    enableWrites: env.API_V1_WRITE_ENABLED,
+    // Prompt versions change only through the New version and Activate actions
+    readOnly: ['SystemPrompt']
   }));
 
-  // Serve the dashboard HTML (requires authentication)
-  app.get('/dashboard', requireAuthWeb, (req, res) => {
-    res.send(`
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Blink_Ai Dashboard</title>
-    <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"></script>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            min-height: 100vh;
-            padding: 20px;
-        }
-        .container { max-width: 1400px; margin: 0 auto; }
-        .header {
-            background: white;
-            padding: 30px;
-            border-radius: 15px;
-            margin-bottom: 30px;
-            box-shadow: 0 10px 40px rgba(0,0,0,0.1);
-            display: flex;
-            align-items: center;
-            justify-content: space-between;
-            gap: 16px;
-            flex-wrap: wrap;
-        }
-        .header-text { display: flex; flex-direction: column; gap: 8px; }
-        h1 { color: #333; margin: 0; font-size: 32px; }
-        .subtitle { color: #666; font-size: 16px; margin: 0; }
-        .stats-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
-            gap: 20px;
-            margin-bottom: 30px;
-        }
-        .stat-card {
-            background: white;
-            padding: 25px;
-            border-radius: 15px;
-            box-shadow: 0 10px 40px rgba(0,0,0,0.1);
-            text-align: center;
-            transition: transform 0.3s ease;
-        }
-        .stat-card:hover { transform: translateY(-5px); }
-        .stat-value {
-            font-size: 48px;
-            font-weight: bold;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
-            background-clip: text;
-            margin-bottom: 10px;
-        }
-        .stat-label { color: #666; font-size: 14px; font-weight: 500; }
-        .charts-grid {
-            display: grid;
-            grid-template-columns: 1fr;
-            gap: 30px;
-            margin-bottom: 30px;
-        }
-        .chart-card {
-            background: white;
-            padding: 30px;
-            border-radius: 15px;
-            box-shadow: 0 10px 40px rgba(0,0,0,0.1);
-        }
-        .chart-title {
-            font-size: 20px;
-            font-weight: 600;
-            color: #333;
-            margin-bottom: 20px;
-            display: flex;
-            align-items: center;
-        }
-        .chart-title::before {
-            content: '📊';
-            margin-right: 10px;
-            font-size: 24px;
-        }
-        .table-card {
-            background: white;
-            padding: 30px;
-            border-radius: 15px;
-            box-shadow: 0 10px 40px rgba(0,0,0,0.1);
-            overflow-x: auto;
-        }
-        table {
-            width: 100%;
-            border-collapse: collapse;
-        }
-        th {
-            background: #f8f9fa;
-            padding: 15px;
-            text-align: left;
-            font-weight: 600;
-            color: #333;
-            border-bottom: 2px solid #e0e0e0;
-        }
-        td {
-            padding: 15px;
-            border-bottom: 1px solid #f0f0f0;
-            color: #666;
-        }
-        tr:hover { background: #f8f9fa; }
-        .badge {
-            display: inline-block;
-            padding: 4px 12px;
-            border-radius: 12px;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            font-size: 12px;
-            font-weight: 600;
-        }
-        .loading {
-            text-align: center;
-            padding: 100px 20px;
-            color: white;
-            font-size: 24px;
-        }
-        .admin-link {
-            display: inline-block;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            padding: 14px 32px;
-            border-radius: 12px;
-            text-decoration: none;
-            font-weight: 700;
-            letter-spacing: 0.2px;
-            box-shadow: 0 10px 30px rgba(102, 126, 234, 0.35);
-            transition: all 0.25s ease;
-        }
-        .admin-link:hover {
-            transform: translateY(-2px);
-            box-shadow: 0 14px 36px rgba(102, 126, 234, 0.45);
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <div class="header-text">
-                <h1>📊 Blink_Ai Dashboard</h1>
-                <p class="subtitle">Real-time analytics and insights from your search queries</p>
-            </div>
-            <a href="/admin" class="admin-link">Go to Admin Panel →</a>
-        </div>
-        
-        <div id="loading" class="loading">Loading dashboard data...</div>
-        <div id="content" style="display: none;">
-            <div class="stats-grid">
-                <div class="stat-card">
-                    <div class="stat-value" id="totalQueries">0</div>
-                    <div class="stat-label">Total Queries</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-value" id="searchTypes">0</div>
-                    <div class="stat-label">Search Types</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-value" id="dateRange">-</div>
-                    <div class="stat-label">Date Range</div>
-                </div>
-            </div>
-
-            <div class="charts-grid">
-                <div class="chart-card">
-                    <div class="chart-title">Queries by Search Type</div>
-                    <canvas id="searchTypeChart"></canvas>
-                </div>
-            </div>
-
-            <div class="chart-card" style="margin-bottom: 30px;">
-                <div class="chart-title">📈 Queries Over Time</div>
-                <canvas id="timelineChart"></canvas>
-            </div>
-
-            <div class="chart-card" style="margin-bottom: 30px;">
-                <div class="chart-title">Platforms</div>
-                <canvas id="platformChart" style="max-height: 400px;"></canvas>
-            </div>
+  // Dashboard front-end: static assets and the locally installed Chart.js build
+  app.use('/dashboard/assets', express.static(join(__dirname, 'public', 'dashboard', 'assets')));
+  app.use('/dashboard/vendor', express.static(dirname(require.resolve('chart.js'))));
 
-            <div class="chart-card" style="margin-bottom: 30px;">
-                <div class="chart-title">Search Type Distribution</div>
-                <canvas id="pieChart" style="max-height: 400px;"></canvas>
-            </div>
+  // Serve the dashboard page (requires authentication)
+  app.get('/dashboard', requireAuthWeb, requireRoleWeb('viewer'), dashboardCsp, (req, res) => {
+    res.sendFile(join(__dirname, 'public', 'dashboard', 'index.html'));
+  });
 
-            <div class="table-card">
-                <div class="chart-title">📝 Recent Queries</div>
-                <table id="recentTable">
-                    <thead>
-                        <tr>
-                            <th>ID</th>
-                            <th>Keyword</th>
-                            <th>Platform</th>
-                            <th>Search Type</th>
-                            <th>Created At</th>
-                        </tr>
-                    </thead>
-                    <tbody></tbody>
-                </table>
-            </div>
-        </div>
-    </div>
-
-    <script>
-        async function loadDashboard() {
-            try {
-                const response = await fetch('/api/stats');
-                const result = await response.json();
-                
-                if (!result.success) {
-                    throw new Error('Failed to load data');
-                }
-                
-                const data = result.data;
+  // Screenshot and slice images of the gallery, served from SCREENSHOTS_ROOT only
+  app.use('/screenshots', createScreenshotFilesRouter({ store: screenshotStore }));
 
-                // Update stats
-                document.getElementById('totalQueries').textContent = data.total.toLocaleString();
-                document.getElementById('searchTypes').textContent = Object.keys(data.searchTypeBreakdown).length;
-                
-                // Update date range
-                if (data.dateRange && data.dateRange.earliest && data.dateRange.latest) {
-                    const earliest = new Date(data.dateRange.earliest).toLocaleDateString();
-                    const latest = new Date(data.dateRange.latest).toLocaleDateString();
-                    const daysDiff = Math.ceil((new Date(data.dateRange.latest) - new Date(data.dateRange.earliest)) / (1000 * 60 * 60 * 24));
-                    document.getElementById('dateRange').textContent = daysDiff + ' days';
-                    document.getElementById('dateRange').title = \`From \${earliest} to \${latest}\`;
-                    document.getElementById('dateRange').style.cursor = 'help';
-                }
-
-                // Search Type Bar Chart
-                const searchTypeLabels = Object.keys(data.searchTypeBreakdown);
-                const searchTypeValues = Object.values(data.searchTypeBreakdown);
-                new Chart(document.getElementById('searchTypeChart'), {
-                    type: 'bar',
-                    data: {
-                        labels: searchTypeLabels,
-                        datasets: [{
-                            label: 'Number of Queries',
-                            data: searchTypeValues,
-                            backgroundColor: 'rgba(102, 126, 234, 0.8)',
-                            borderColor: 'rgba(102, 126, 234, 1)',
-                            borderWidth: 2,
-                            borderRadius: 8
-                        }]
-                    },
-                    options: {
-                        responsive: true,
-                        plugins: {
-                            legend: { display: false }
-                        },
-                        scales: {
-                            y: { beginAtZero: true }
-                        }
-                    }
-                });
-
-                // Timeline Chart (Queries Over Time)
-                const timelineLabels = Object.keys(data.timelineData);
-                const timelineValues = Object.values(data.timelineData);
-                new Chart(document.getElementById('timelineChart'), {
-                    type: 'line',
-                    data: {
-                        labels: timelineLabels,
-                        datasets: [{
-                            label: 'Queries per Day',
-                            data: timelineValues,
-                            backgroundColor: 'rgba(102, 126, 234, 0.2)',
-                            borderColor: 'rgba(102, 126, 234, 1)',
-                            borderWidth: 3,
-                            fill: true,
-                            tension: 0.4,
-                            pointRadius: 4,
-                            pointHoverRadius: 6,
-                            pointBackgroundColor: 'rgba(102, 126, 234, 1)',
-                            pointBorderColor: '#fff',
-                            pointBorderWidth: 2
-                        }]
-                    },
-                    options: {
-                        responsive: true,
-                        plugins: {
-                            legend: { 
-                                display: true,
-                                position: 'top'
-                            },
-                            tooltip: {
-                                mode: 'index',
-                                intersect: false,
-                                callbacks: {
-                                    title: function(tooltipItems) {
-                                        return 'Date: ' + tooltipItems[0].label;
-                                    },
-                                    label: function(context) {
-                                        return 'Queries: ' + context.parsed.y.toLocaleString();
-                                    }
-                                }
-                            }
-                        },
-                        scales: {
-                            y: { 
-                                beginAtZero: true,
-                                ticks: {
-                                    callback: function(value) {
-                                        return value.toLocaleString();
-                                    }
-                                }
-                            },
-                            x: {
-                                ticks: {
-                                    maxRotation: 45,
-                                    minRotation: 45
-                                }
-                            }
-                        },
-                        interaction: {
-                            mode: 'nearest',
-                            axis: 'x',
-                            intersect: false
-                        }
-                    }
-                });
-
-                // Pie Chart
-                const colors = [
-                    'rgba(102, 126, 234, 0.8)',
-                    'rgba(118, 75, 162, 0.8)',
-                    'rgba(162, 155, 254, 0.8)',
-                    'rgba(217, 128, 250, 0.8)',
-                    'rgba(255, 159, 243, 0.8)',
-                    'rgba(255, 195, 113, 0.8)',
-                    'rgba(255, 231, 76, 0.8)',
-                    'rgba(130, 255, 173, 0.8)'
-                ];
-                // Platform Chart (ignore nulls)
-                const platformLabels = Object.keys(data.platformBreakdown || {});
-                const platformValues = Object.values(data.platformBreakdown || {});
-                if (platformLabels.length) {
-                    new Chart(document.getElementById('platformChart'), {
-                        type: 'bar',
-                        data: {
-                            labels: platformLabels,
-                            datasets: [{
-                                label: 'Queries by Platform',
-                                data: platformValues,
-                                backgroundColor: colors.slice(0, platformLabels.length),
-                                borderColor: 'rgba(102, 126, 234, 1)',
-                                borderWidth: 2,
-                                borderRadius: 8
-                            }]
-                        },
-                        options: {
-                            responsive: true,
-                            plugins: { legend: { display: false } },
-                            scales: { y: { beginAtZero: true } }
-                        }
-                    });
-                }
-                new Chart(document.getElementById('pieChart'), {
-                    type: 'doughnut',
-                    data: {
-                        labels: searchTypeLabels,
-                        datasets: [{
-                            data: searchTypeValues,
-                            backgroundColor: colors.slice(0, searchTypeLabels.length),
-                            borderWidth: 3,
-                            borderColor: '#fff'
-                        }]
-                    },
-                    options: {
-                        responsive: true,
-                        plugins: {
-                            legend: {
-                                position: 'right'
-                            }
-                        }
-                    }
-                });
-
-                // Populate table
-                const tbody = document.querySelector('#recentTable tbody');
-                data.recentQueries.forEach(item => {
-                    const row = tbody.insertRow();
-                    row.innerHTML = \`
-                        <td>\${item.id}</td>
-                        <td>\${item.keyword || 'N/A'}</td>
-                        <td>\${item.platform_name || 'N/A'}</td>
-                        <td><span class="badge">\${item.search_type || 'N/A'}</span></td>
-                        <td>\${new Date(item.created_at).toLocaleString()}</td>
-                    \`;
-                });
-
-                // Show content
-                document.getElementById('loading').style.display = 'none';
-                document.getElementById('content').style.display = 'block';
-            } catch (error) {
-                console.error('Error loading dashboard:', error);
-                document.getElementById('loading').textContent = 'Error loading dashboard data';
-            }
-        }
+  // Serve the trends explorer page (requires authentication)
+  app.get('/dashboard/trends', requireAuthWeb, requireRoleWeb('viewer'), dashboardCsp, (req, res) => {
+    res.sendFile(join(__dirname, 'public', 'dashboard', 'trends.html'));
+  });
 
-        loadDashboard();
-        // Refresh every 30 seconds
-        setInterval(loadDashboard, 30000);
-    </script>
-</body>
-</html>
-    `);
+  // Read-only show-page panel listing the records of another resource that
+  // reference this one (see components/related-records.jsx for `custom`)
+  const relatedRecords = (custom) => ({
+    type: 'string',
+    isVisible: { list: false, filter: false, show: true, edit: false },
+    components: { show: Components.RelatedRecords },
+    custom
   });
 
   // Configure AdminJS
   const adminOptions = {
+    componentLoader,
     dashboard: {
       handler: async () => {
         return {
@@ -1005,6 +724,16 @@ const start = async () => {
                   </div>
                 </a>
 
+                <a href="/dashboard/trends" style="background: white; padding: 28px; border-radius: 16px; text-decoration: none; box-shadow: 0 2px 8px rgba(0,0,0,0.08); transition: all 0.3s ease; border: 2px solid transparent;" onmouseover="this.style.borderColor='#764ba2'; this.style.transform='translateY(-4px)'; this.style.boxShadow='0 8px 20px rgba(0,0,0,0.12)';" onmouseout="this.style.borderColor='transparent'; this.style.transform='translateY(0)'; this.style.boxShadow='0 2px 8px rgba(0,0,0,0.08)';">
+                  <div style="display: flex; align-items: flex-start; gap: 16px;">
+                    <div style="font-size: 40px; background: linear-gradient(135deg, #764ba2 0%, #667eea 100%); width: 60px; height: 60px; border-radius: 12px; display: flex; align-items: center; justify-content: center; flex-shrink: 0;">📈</div>
+                    <div style="flex: 1;">
+                      <div style="font-size: 18px; font-weight: 700; color: #333; margin-bottom: 8px;">Trends Explorer</div>
+                      <div style="font-size: 14px; color: #666; line-height: 1.5;">Follow trending terms per location, their rank movement and what entered or dropped out</div>
+                    </div>
+                  </div>
+                </a>
+
               </div>
 
               <!-- Features List -->
@@ -1074,7 +803,8 @@ const start = async () => {
       scripts: ['/admin-assets/dashboard-button.js'],
     },
     pages: {},
-    resources: [
+    // JSONB properties are shown and edited as JSON (services/json-properties.js)
+    resources: withAccessControl(withAuditLog(withJsonProperties([
       {
         resource: SearchQuery,
         options: {
@@ -1113,23 +843,304 @@ const start = async () => {
             sortBy: 'created_at',
             direction: 'desc',
           },
+          actions: {
+            export: {
+              actionType: 'resource',
+              icon: 'Download',
+              showInDrawer: true,
+              component: Components.ExportSearchQueries,
+              handler: async () => ({}),
+            },
+            import: {
+              actionType: 'resource',
+              icon: 'Upload',
+              component: Components.ImportSearchQueries,
+              handler: async () => ({}),
+            },
+          },
         },
       },
       { resource: ImageMetadata, options: { navigation: { name: 'Image Metadata', icon: 'Image' } } },
       { resource: ImageUrls, options: { navigation: { name: 'Image URLs', icon: 'Link' } } },
       { resource: query_results, options: { navigation: { name: 'Query Results', icon: 'Query' } } },
-      { resource: screenshots, options: { navigation: { name: 'Screenshots', icon: 'Screenshot' } } },
-      { resource: Searches, options: { navigation: { name: 'Searches', icon: 'Search' } } },
-      { resource: SearchResponse, options: { navigation: { name: 'Search Response', icon: 'Document' } } },
-      { resource: SystemPrompt, options: { navigation: { name: 'System Prompt', icon: 'Terminal' } } },
+      {
+        resource: screenshots,
+        options: {
+          navigation: { name: 'Screenshots', icon: 'Screenshot' },
+          properties: {
+            slices: { custom: { schema: { type: 'array' } } }
+          },
+          actions: {
+            gallery: {
+              actionType: 'resource',
+              icon: 'Image',
+              component: Components.ScreenshotGallery,
+              handler: async () => ({}),
+            },
+          },
+        }
+      },
+      {
+        resource: Searches,
+        options: {
+          navigation: { name: 'Searches', icon: 'Search' },
+          properties: {
+            keywords: { custom: { schema: { type: 'array', items: { type: 'string', minLength: 1 } } } },
+            responses: relatedRecords({
+              resourceId: 'search_response',
+              foreignKey: 'search_id',
+              sourceKey: 'search_id',
+              columns: ['response_id', 'created_at'],
+              sortBy: 'created_at'
+            })
+          }
+        }
+      },
+      {
+        resource: SearchResponse,
+        options: {
+          navigation: { name: 'Search Response', icon: 'Document' },
+          properties: {
+            ai_summary: { type: 'textarea' }
+          },
+          listProperties: ['response_id', 'search_id', 'ai_summary', 'created_at'],
+          sort: {
+            sortBy: 'created_at',
+            direction: 'desc',
+          },
+          actions: {
+            inspect: {
+              actionType: 'record',
+              icon: 'Eye',
+              component: Components.ResponseInspector,
+              handler: async (request, response, context) => ({
+                record: context.record.toJSON(context.currentAdmin)
+              }),
+            },
+          },
+        }
+      },
+      {
+        resource: SystemPrompt,
+        options: {
+          navigation: { name: 'System Prompt', icon: 'Terminal' },
+          titleProperty: 'version',
+          properties: {
+            id: { isVisible: { list: false, filter: true, show: true, edit: false } },
+            prompt_text: { type: 'textarea' },
+            is_active: { isVisible: { list: true, filter: true, show: true, edit: false } },
+            created_at: { isVisible: { list: true, filter: true, show: true, edit: false } },
+            searches: relatedRecords({
+              resourceId: 'searches',
+              foreignKey: 'system_prompt_id',
+              sourceKey: 'id',
+              columns: ['search_id', 'user_id', 'created_at'],
+              sortBy: 'created_at'
+            })
+          },
+          listProperties: ['version', 'platform', 'search_type', 'is_active', 'created_at'],
+          sort: {
+            sortBy: 'created_at',
+            direction: 'desc',
+          },
+          // Versions are kept as they were: text changes go through "New version",
+          // and only "Activate" changes which version is active
+          actions: {
+            new: { before: prepareNewPrompt },
+            edit: { isAccessible: false },
+            newVersion: {
+              actionType: 'record',
+              icon: 'Copy',
+              component: Components.NewPromptVersion,
+              handler: newPromptVersionAction,
+            },
+            compare: {
+              actionType: 'record',
+              icon: 'Columns',
+              component: Components.ComparePromptVersions,
+              handler: comparePromptsAction,
+            },
+            activate: {
+              actionType: 'record',
+              icon: 'CheckCircle',
+              component: false,
+              guard: 'Activate this version? The other versions for the same platform and search type are deactivated.',
+              isVisible: ({ record }) => !record?.param('is_active'),
+              handler: activatePromptAction,
+            },
+          },
+        }
+      },
       { resource: TrendsNow, options: { navigation: { name: 'Trends Now', icon: 'Activity' } } },
-      { resource: Users, options: { navigation: { name: 'Users', icon: 'User' } } },
-      { resource: VideoMetadata, options: { navigation: { name: 'Video Metadata', icon: 'Video' } } },
+      {
+        resource: Users,
+        options: {
+          navigation: { name: 'Users', icon: 'User' },
+          properties: {
+            searches: relatedRecords({
+              resourceId: 'searches',
+              foreignKey: 'user_id',
+              sourceKey: 'id',
+              columns: ['search_id', 'system_prompt_id', 'created_at'],
+              sortBy: 'created_at'
+            })
+          }
+        }
+      },
+      {
+        resource: VideoMetadata,
+        options: {
+          navigation: { name: 'Video Metadata', icon: 'Video' },
+          properties: {
+            urls: relatedRecords({
+              resourceId: 'video_urls',
+              foreignKey: 'video_id',
+              sourceKey: 'video_id',
+              columns: ['response_id', 'is_citation', 'seq_no']
+            })
+          }
+        }
+      },
       { resource: VideoUrls, options: { navigation: { name: 'Video URLs', icon: 'Link' } } },
-      { resource: WebMetadata, options: { navigation: { name: 'Web Metadata', icon: 'Globe' } } },
+      {
+        resource: WebMetadata,
+        options: {
+          navigation: { name: 'Web Metadata', icon: 'Globe' },
+          properties: {
+            urls: relatedRecords({
+              resourceId: 'web_urls',
+              foreignKey: 'web_url',
+              sourceKey: 'url',
+              columns: ['response_id', 'is_citation', 'seq_no']
+            })
+          }
+        }
+      },
       { resource: WebUrls, options: { navigation: { name: 'Web URLs', icon: 'Link2' } } },
       { resource: SessionTable, options: { navigation: { name: 'Sessions', icon: 'Lock' } } },
-    ],
+      {
+        resource: AdminUser,
+        options: {
+          navigation: {
+            name: 'Admin Users',
+            icon: 'Key',
+          },
+          properties: {
+            id: {
+              isVisible: { list: true, filter: true, show: true, edit: false },
+            },
+            password_hash: {
+              isVisible: false,
+            },
+            newPassword: {
+              type: 'password',
+              isVisible: { list: false, filter: false, show: false, edit: true },
+              description: 'Leave empty to keep the current password',
+            },
+            role: {
+              availableValues: ADMIN_ROLES.map(role => ({ value: role, label: role })),
+            },
+            last_login_at: {
+              isVisible: { list: true, filter: true, show: true, edit: false },
+            },
+            created_at: {
+              isVisible: { list: false, filter: true, show: true, edit: false },
+            },
+            updated_at: {
+              isVisible: { list: false, filter: false, show: true, edit: false },
+            },
+          },
+          listProperties: ['id', 'email', 'role', 'is_disabled', 'last_login_at'],
+          editProperties: ['email', 'newPassword', 'role', 'is_disabled'],
+          actions: {
+            new: { before: prepareAdminUserPayload },
+            edit: { before: prepareAdminUserPayload },
+            delete: { before: preventSelfDelete },
+            bulkDelete: { isAccessible: false },
+          },
+        },
+      },
+      {
+        resource: AuditLog,
+        options: {
+          navigation: {
+            name: 'Audit Log',
+            icon: 'FileText',
+          },
+          listProperties: ['id', 'created_at', 'actor_email', 'action', 'resource', 'record_id'],
+          filterProperties: ['actor_email', 'actor_role', 'action', 'resource', 'record_id', 'created_at'],
+          sort: {
+            sortBy: 'created_at',
+            direction: 'desc',
+          },
+          actions: {
+            new: { isAccessible: false },
+            edit: { isAccessible: false },
+            delete: { isAccessible: false },
+            bulkDelete: { isAccessible: false },
+          },
+        },
+      },
+      {
+        resource: ApiKey,
+        options: {
+          navigation: {
+            name: 'API Keys',
+            icon: 'Key',
+          },
+          properties: {
+            key_hash: {
+              isVisible: false,
+            },
+            key_prefix: {
+              isVisible: { list: true, filter: true, show: true, edit: false },
+              description: 'First characters of the key',
+            },
+            scopes: {
+              availableValues: API_KEY_SCOPES.map(scope => ({ value: scope, label: scope })),
+            },
+            rate_limit_max: {
+              description: 'Requests per rate limit window; empty for the server default',
+            },
+            created_by: {
+              isVisible: { list: false, filter: true, show: true, edit: false },
+            },
+            last_used_at: {
+              isVisible: { list: true, filter: true, show: true, edit: false },
+            },
+            revoked_at: {
+              isVisible: { list: true, filter: true, show: true, edit: false },
+            },
+            created_at: {
+              isVisible: { list: false, filter: true, show: true, edit: false },
+            },
+          },
+          listProperties: ['id', 'name', 'key_prefix', 'scopes', 'last_used_at', 'expires_at', 'revoked_at'],
+          editProperties: ['name', 'scopes', 'rate_limit_max', 'expires_at'],
+          sort: {
+            sortBy: 'created_at',
+            direction: 'desc',
+          },
+          actions: {
+            new: {
+              component: Components.CreateApiKey,
+              handler: createApiKeyAction,
+            },
+            edit: { before: protectApiKeyFields },
+            revoke: {
+              actionType: 'record',
+              icon: 'Slash',
+              variant: 'danger',
+              component: false,
+              guard: 'Revoke this API key? Clients using it will be rejected immediately.',
+              isVisible: ({ record }) => !record?.param('revoked_at'),
+              handler: revokeApiKeyAction,
+            },
+            bulkDelete: { isAccessible: false },
+          },
+        },
+      },
+    ], Components.JsonProperty))),
     rootPath: '/admin',
     branding: {
       companyName: 'INVICTTUS',
@@ -1151,6 +1162,11 @@ const start = async () => {
 
   const admin = new AdminJS(adminOptions);
 
+  // Rebuild custom components on change during development (production bundles on startup)
+  if (!isProduction) {
+    admin.watch();
+  }
+
   // Serve custom admin assets (e.g., dashboard button script)
   app.use('/admin-assets', express.static(join(__dirname, 'public')));
 
@@ -1220,12 +1236,18 @@ const start = async () => {
   const gracefulShutdown = async (signal) => {
     logger.info(`\n${signal} received. Starting graceful shutdown...`);
 
+    stopDailyRollup();
+
+    // End live dashboard streams so open connections do not hold up server.close()
+    await searchQueryFeed.close();
+
     // Stop accepting new connections
     server.close(async () => {
       logger.info('HTTP server closed');
 
       try {
-        // Close database connection
+        // Close cache and database connections
+        await statsCache.close();
         await closeConnection();
         logger.info('All connections closed successfully');
         process.exit(0);
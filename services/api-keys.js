@@ -0,0 +1,53 @@
+import { createHash, randomBytes } from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import logger from '../utils/logger.js';
+
+// Every key starts with this marker so leaked keys are easy to recognise
+export const API_KEY_TOKEN_PREFIX = 'bk_';
+
+// Characters of the key kept in clear text to identify it in the admin
+const DISPLAY_PREFIX_LENGTH = 11;
+
+// last_used_at is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export const hashApiKey = (token) => createHash('sha256').update(token).digest('hex');
+
+// Generate a new random key; only its hash and prefix are stored
+export const generateApiKey = () => {
+  const token = `${API_KEY_TOKEN_PREFIX}${randomBytes(32).toString('base64url')}`;
+  return {
+    token,
+    keyPrefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+    keyHash: hashApiKey(token)
+  };
+};
+
+export const isApiKeyActive = (apiKey, now = new Date()) => {
+  if (apiKey.revoked_at) {
+    return false;
+  }
+  return !apiKey.expires_at || new Date(apiKey.expires_at) > now;
+};
+
+// Look up the key for a plaintext token; null when unknown, revoked or expired
+export const findActiveApiKey = async (token) => {
+  if (!token || !token.startsWith(API_KEY_TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({ where: { key_hash: hashApiKey(token) } });
+  return apiKey && isApiKeyActive(apiKey) ? apiKey : null;
+};
+
+// Record that a key was used, without holding up the request
+export const touchApiKey = (apiKey, now = new Date()) => {
+  if (apiKey.last_used_at && now - new Date(apiKey.last_used_at) < LAST_USED_RESOLUTION_MS) {
+    return;
+  }
+
+  ApiKey.update({ last_used_at: now }, { where: { id: apiKey.id } })
+    .catch(error => logger.warn(`Failed to update last_used_at for API key ${apiKey.id}:`, error));
+};
+
+export const hasScope = (apiKey, scope) => Boolean(apiKey?.scopes?.includes(scope));
@@ -0,0 +1,139 @@
+import AuditLog from '../models/AuditLog.js';
+import logger from '../utils/logger.js';
+import { appendHook, prependHook } from '../utils/adminjs-hooks.js';
+
+// AdminJS actions that change data and are recorded in audit_log
+export const AUDITED_ACTIONS = ['new', 'edit', 'delete', 'bulkDelete'];
+
+// Resources that are never audited (the audit log itself)
+const UNAUDITED_RESOURCES = ['audit_log'];
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_FIELD_PATTERN = /password|secret|token|key_hash/i;
+
+const redact = (field, value) => {
+  if (value === undefined || value === null) {
+    return value ?? null;
+  }
+  return SENSITIVE_FIELD_PATTERN.test(field) ? REDACTED : value;
+};
+
+/**
+ * Compute a field-level diff of two flattened AdminJS param objects.
+ * Returns `{ field: { before, after } }` for every field whose value changed;
+ * `before` or `after` may be null for created/deleted records.
+ */
+export const diffParams = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  fields.forEach(field => {
+    const previous = before?.[field] ?? null;
+    const next = after?.[field] ?? null;
+
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes[field] = {
+        before: redact(field, previous),
+        after: redact(field, next)
+      };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Store one audit entry. Failures are logged rather than thrown, since the
+ * audited change has already been committed when this runs.
+ */
+export const recordAuditEntry = async ({ actor, action, resource, recordId, before, after }) => {
+  try {
+    await AuditLog.create({
+      actor_email: actor?.email || null,
+      actor_role: actor?.role || null,
+      action,
+      resource,
+      record_id: recordId === undefined || recordId === null ? null : String(recordId),
+      changes: diffParams(before, after)
+    });
+  } catch (error) {
+    logger.error(`Failed to write audit entry for ${action} on ${resource}/${recordId}:`, error);
+  }
+};
+
+// Before hook: snapshot the records as they were before the action ran
+const captureSnapshot = async (request, context) => {
+  if (request.method === 'post') {
+    if (context.record) {
+      context.auditSnapshot = { ...context.record.params };
+    }
+    if (context.records) {
+      context.auditSnapshots = context.records.map(record => ({
+        id: record.id(),
+        params: { ...record.params }
+      }));
+    }
+  }
+  return request;
+};
+
+// After hook factory: write audit entries once the action succeeded
+const recordAfter = (resourceId, actionName) => async (response, request, context) => {
+  if (request.method !== 'post' || response?.notice?.type !== 'success') {
+    return response;
+  }
+
+  const actor = context.currentAdmin;
+
+  if (actionName === 'bulkDelete') {
+    await Promise.all((context.auditSnapshots || []).map(snapshot => recordAuditEntry({
+      actor,
+      action: actionName,
+      resource: resourceId,
+      recordId: snapshot.id,
+      before: snapshot.params,
+      after: null
+    })));
+    return response;
+  }
+
+  await recordAuditEntry({
+    actor,
+    action: actionName,
+    resource: resourceId,
+    recordId: response.record?.id ?? context.record?.id(),
+    before: actionName === 'new' ? null : context.auditSnapshot,
+    after: actionName === 'delete' ? null : response.record?.params
+  });
+
+  return response;
+};
+
+/**
+ * Add audit hooks to the new/edit/delete/bulkDelete actions of the given
+ * AdminJS resource definitions, keeping any hooks they already declare.
+ */
+export const withAuditLog = (resources) => {
+  return resources.map(({ resource, options = {}, ...rest }) => {
+    const resourceId = options.id || resource.tableName;
+
+    if (UNAUDITED_RESOURCES.includes(resourceId)) {
+      return { resource, options, ...rest };
+    }
+
+    const actions = { ...(options.actions || {}) };
+    AUDITED_ACTIONS.forEach(actionName => {
+      const action = actions[actionName] || {};
+      if (action.isAccessible === false) {
+        return;
+      }
+      actions[actionName] = {
+        ...action,
+        before: prependHook(action.before, captureSnapshot),
+        after: appendHook(action.after, recordAfter(resourceId, actionName))
+      };
+    });
+
+    return { resource, ...rest, options: { ...options, actions } };
+  });
+};
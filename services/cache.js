@@ -0,0 +1,196 @@
+import logger from '../utils/logger.js';
+
+export const CACHE_DRIVERS = ['memory', 'redis', 'none'];
+
+// Hit/miss counters shared by every adapter
+const createMetrics = (driver) => {
+  const counters = { hits: 0, misses: 0, sets: 0, errors: 0 };
+
+  return {
+    counters,
+    snapshot: () => {
+      const lookups = counters.hits + counters.misses;
+      return {
+        driver,
+        ...counters,
+        hitRatio: lookups ? Number((counters.hits / lookups).toFixed(4)) : null
+      };
+    }
+  };
+};
+
+/**
+ * In-process LRU cache. A Map keeps insertion order, so re-inserting an
+ * entry on read moves it to the end and the first key is the least recently
+ * used one.
+ */
+export const createMemoryCache = ({ ttlMs, maxEntries = 500 }) => {
+  const entries = new Map();
+  const metrics = createMetrics('memory');
+
+  return {
+    driver: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        metrics.counters.misses++;
+        return undefined;
+      }
+
+      entries.delete(key);
+      entries.set(key, entry);
+      metrics.counters.hits++;
+      return entry.value;
+    },
+
+    async set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      metrics.counters.sets++;
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async clear(prefix = '') {
+      if (!prefix) {
+        entries.clear();
+        return;
+      }
+      [...entries.keys()].filter(key => key.startsWith(prefix)).forEach(key => entries.delete(key));
+    },
+
+    metrics: () => ({ ...metrics.snapshot(), size: entries.size, maxEntries, ttlMs }),
+
+    async close() {}
+  };
+};
+
+/**
+ * Redis-backed cache for sharing entries between instances. Uses the
+ * optional `redis` package (node-redis v4+), which is loaded only when this
+ * driver is selected. Redis errors are logged and treated as misses so a
+ * cache outage never fails a request.
+ */
+export const createRedisCache = async ({ ttlMs, url, namespace = 'blinkai:cache' }) => {
+  let redis;
+  try {
+    redis = await import('redis');
+  } catch {
+    throw new Error('The redis cache driver needs the "redis" package: npm install redis');
+  }
+
+  const client = redis.createClient({ url });
+  const metrics = createMetrics('redis');
+  const prefixed = (key) => `${namespace}:${key}`;
+
+  client.on('error', error => logger.warn('Redis cache error:', error));
+  await client.connect();
+  logger.info('Connected to Redis cache');
+
+  return {
+    driver: 'redis',
+
+    async get(key) {
+      try {
+        const value = await client.get(prefixed(key));
+        if (value === null) {
+          metrics.counters.misses++;
+          return undefined;
+        }
+        metrics.counters.hits++;
+        return JSON.parse(value);
+      } catch (error) {
+        metrics.counters.errors++;
+        metrics.counters.misses++;
+        logger.warn(`Redis cache read failed for ${key}:`, error);
+        return undefined;
+      }
+    },
+
+    async set(key, value) {
+      try {
+        await client.set(prefixed(key), JSON.stringify(value), { PX: ttlMs });
+        metrics.counters.sets++;
+      } catch (error) {
+        metrics.counters.errors++;
+        logger.warn(`Redis cache write failed for ${key}:`, error);
+      }
+    },
+
+    async clear(prefix = '') {
+      try {
+        const pattern = `${namespace}:${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`;
+        for await (const keys of client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+          const batch = [].concat(keys);
+          if (batch.length) {
+            await client.del(batch);
+          }
+        }
+      } catch (error) {
+        metrics.counters.errors++;
+        logger.warn(`Redis cache clear failed${prefix ? ` for ${prefix}*` : ''}:`, error);
+      }
+    },
+
+    metrics: () => ({ ...metrics.snapshot(), ttlMs }),
+
+    async close() {
+      await client.quit();
+    }
+  };
+};
+
+// A cache that stores nothing; every lookup is a miss
+export const createNoopCache = () => {
+  const metrics = createMetrics('none');
+
+  return {
+    driver: 'none',
+    async get() {
+      metrics.counters.misses++;
+      return undefined;
+    },
+    async set() {},
+    async clear() {},
+    metrics: () => metrics.snapshot(),
+    async close() {}
+  };
+};
+
+/**
+ * Create a cache for the configured driver. All adapters share the same
+ * async interface: get(key), set(key, value), clear(prefix), metrics(),
+ * close(). clear() drops every entry, or only those whose key starts with
+ * `prefix` when one is given.
+ */
+export const createCache = async ({ driver = 'memory', ttlMs, maxEntries, redisUrl, namespace }) => {
+  if (driver === 'none' || !ttlMs) {
+    return createNoopCache();
+  }
+  if (driver === 'redis') {
+    return createRedisCache({ ttlMs, url: redisUrl, namespace });
+  }
+  return createMemoryCache({ ttlMs, maxEntries });
+};
+
+/**
+ * The result of `compute()`, served from `cache` under `key` while it is
+ * fresh. Resolves to `{ data, generatedAt, cached }`. A null result (such as
+ * an unknown record) is returned but not stored.
+ */
+export const cachedResult = async (cache, key, compute) => {
+  const hit = await cache.get(key);
+  if (hit) {
+    return { ...hit, cached: true };
+  }
+
+  const entry = { data: await compute(), generatedAt: new Date().toISOString() };
+  if (entry.data !== null && entry.data !== undefined) {
+    await cache.set(key, entry);
+  }
+  return { ...entry, cached: false };
+};
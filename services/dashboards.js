@@ -0,0 +1,125 @@
+import { readFileSync } from 'fs';
+import { Op } from 'sequelize';
+import { sequelize } from '../database.js';
+import SavedDashboard from '../models/SavedDashboard.js';
+import DashboardDefault from '../models/DashboardDefault.js';
+import AdminUser from '../models/AdminUser.js';
+import { hasRole } from '../middleware/rbac.js';
+import { createHttpError } from '../middleware/error-handler.js';
+
+const LAYOUT_FILE = new URL('../public/dashboard/assets/layout.json', import.meta.url);
+
+// Widget ids a saved dashboard can show, in the order of the built-in layout
+export const DASHBOARD_WIDGETS = JSON.parse(readFileSync(LAYOUT_FILE, 'utf8')).widgets.map(widget => widget.id);
+
+// Dashboards a user can open: their own and every shared one
+const visibleTo = (user) => ({
+  [Op.or]: [{ owner_id: user.id }, { is_shared: true }]
+});
+
+const serializeDashboard = (dashboard, user, { ownerEmails, defaultId }) => ({
+  id: dashboard.id,
+  name: dashboard.name,
+  widgets: dashboard.widgets,
+  filters: dashboard.filters,
+  is_shared: dashboard.is_shared,
+  owner_email: ownerEmails.get(dashboard.owner_id) || null,
+  is_owner: dashboard.owner_id === user.id,
+  is_default: dashboard.id === defaultId,
+  created_at: dashboard.created_at,
+  updated_at: dashboard.updated_at
+});
+
+const ownerEmailsOf = async (dashboards) => {
+  const ownerIds = [...new Set(dashboards.map(dashboard => dashboard.owner_id))];
+  const owners = await AdminUser.findAll({ where: { id: ownerIds }, attributes: ['id', 'email'], raw: true });
+  return new Map(owners.map(owner => [owner.id, owner.email]));
+};
+
+const defaultIdOf = async (user) => {
+  const entry = await DashboardDefault.findByPk(user.id, { raw: true });
+  return entry ? entry.dashboard_id : null;
+};
+
+const serializeOne = async (dashboard, user) => serializeDashboard(dashboard, user, {
+  ownerEmails: await ownerEmailsOf([dashboard]),
+  defaultId: await defaultIdOf(user)
+});
+
+// Load a dashboard the user can see; 404 otherwise, so private dashboards are not disclosed
+const findVisible = async (user, id, options = {}) => {
+  const dashboard = await SavedDashboard.findOne({ where: { id, ...visibleTo(user) }, ...options });
+  if (!dashboard) {
+    throw createHttpError(404, 'Dashboard not found');
+  }
+  return dashboard;
+};
+
+// Dashboards the user can open, own ones first, each flagged with is_owner and is_default
+export const listDashboards = async (user) => {
+  const dashboards = await SavedDashboard.findAll({
+    where: visibleTo(user),
+    order: [
+      [sequelize.literal(`"owner_id" = ${Number(user.id)}`), 'DESC'],
+      ['name', 'ASC'],
+      ['id', 'ASC']
+    ]
+  });
+  const context = { ownerEmails: await ownerEmailsOf(dashboards), defaultId: await defaultIdOf(user) };
+  return dashboards.map(dashboard => serializeDashboard(dashboard, user, context));
+};
+
+export const getDashboard = async (user, id) => serializeOne(await findVisible(user, id), user);
+
+export const createDashboard = async (user, { name, widgets, filters, is_shared }) => {
+  const dashboard = await SavedDashboard.create({ owner_id: user.id, name, widgets, filters, is_shared });
+  return serializeOne(dashboard, user);
+};
+
+/**
+ * Rename a dashboard or change its widgets, filters or sharing; owners only.
+ * Unsharing it clears it as the default of everyone else.
+ */
+export const updateDashboard = async (user, id, changes) => {
+  const dashboard = await sequelize.transaction(async (transaction) => {
+    const found = await findVisible(user, id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (found.owner_id !== user.id) {
+      throw createHttpError(403, 'Only the owner can change this dashboard');
+    }
+
+    await found.update(changes, { transaction });
+    if (changes.is_shared === false) {
+      await DashboardDefault.destroy({
+        where: { dashboard_id: found.id, admin_user_id: { [Op.ne]: user.id } },
+        transaction
+      });
+    }
+    return found;
+  });
+  return serializeOne(dashboard, user);
+};
+
+// Owners can delete their dashboards, admins any dashboard; defaults pointing at it go with it
+export const deleteDashboard = async (user, id) => {
+  const dashboard = await SavedDashboard.findByPk(id);
+  const canSee = dashboard && (dashboard.owner_id === user.id || dashboard.is_shared || hasRole(user, 'admin'));
+  if (!canSee) {
+    throw createHttpError(404, 'Dashboard not found');
+  }
+  if (dashboard.owner_id !== user.id && !hasRole(user, 'admin')) {
+    throw createHttpError(403, 'Only the owner or an admin can delete this dashboard');
+  }
+  await dashboard.destroy();
+};
+
+// Make a dashboard (own or shared) the one the user's /dashboard opens with
+export const setDefaultDashboard = async (user, id) => {
+  const dashboard = await findVisible(user, id);
+  await DashboardDefault.upsert({ admin_user_id: user.id, dashboard_id: dashboard.id });
+  return serializeOne(dashboard, user);
+};
+
+// Go back to the built-in layout by default
+export const clearDefaultDashboard = async (user) => {
+  await DashboardDefault.destroy({ where: { admin_user_id: user.id } });
+};
@@ -0,0 +1,84 @@
+import Cursor from 'pg-cursor';
+import { once } from 'events';
+import { sequelize } from '../database.js';
+import SearchQuery from '../models/QueryResult.js';
+import { buildSearchQueryWhere } from '../utils/search-filters.js';
+import { toCsvRow } from '../utils/csv.js';
+import logger from '../utils/logger.js';
+
+// Columns included in search query exports, in output order
+export const EXPORT_COLUMNS = ['id', 'keyword', 'platform_name', 'search_type', 'created_at'];
+
+// Rows fetched from the cursor per round trip
+const BATCH_SIZE = 1000;
+
+export const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    header: () => toCsvRow(EXPORT_COLUMNS),
+    row: (row) => toCsvRow(EXPORT_COLUMNS.map(column => row[column])),
+    footer: () => ''
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    header: () => '[',
+    row: (row, index) => `${index ? ',' : ''}\n${JSON.stringify(row)}`,
+    footer: (count) => (count ? '\n]\n' : ']\n')
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    header: () => '',
+    row: (row) => `${JSON.stringify(row)}\n`,
+    footer: () => ''
+  }
+};
+
+const normalizeRow = (row) => ({
+  ...row,
+  created_at: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at
+});
+
+// Write a chunk, waiting for the consumer to drain when its buffer is full
+const writeChunk = async (output, chunk) => {
+  if (chunk && !output.write(chunk)) {
+    await Promise.race([once(output, 'drain'), once(output, 'close')]);
+  }
+};
+
+/**
+ * Stream search_queries matching the filters to `output` in the given format.
+ * Rows are read through a server-side cursor in batches, so memory use does
+ * not grow with the size of the export. Stops early once `isAborted()`
+ * returns true (e.g. the client disconnected). Resolves to the row count.
+ */
+export const streamSearchQueryExport = async ({ filters = {}, format = 'csv', output, isAborted = () => false }) => {
+  const serializer = EXPORT_FORMATS[format];
+  const sql = sequelize.getQueryInterface().queryGenerator.selectQuery(SearchQuery.getTableName(), {
+    attributes: EXPORT_COLUMNS,
+    where: buildSearchQueryWhere(filters),
+    order: [['id', 'ASC']]
+  }, SearchQuery);
+
+  const connection = await sequelize.connectionManager.getConnection({ type: 'read' });
+  const cursor = connection.query(new Cursor(sql));
+  let count = 0;
+
+  try {
+    // Nothing is written until the first batch is read, so a failing query can still get an error response
+    let rows = await cursor.read(BATCH_SIZE);
+    await writeChunk(output, serializer.header());
+
+    while (rows.length && !isAborted()) {
+      const chunk = rows.map(row => serializer.row(normalizeRow(row), count++)).join('');
+      await writeChunk(output, chunk);
+      rows = isAborted() ? [] : await cursor.read(BATCH_SIZE);
+    }
+
+    await writeChunk(output, serializer.footer(count));
+  } finally {
+    await cursor.close().catch(error => logger.warn('Failed to close export cursor:', error));
+    sequelize.connectionManager.releaseConnection(connection);
+  }
+
+  return count;
+};
@@ -0,0 +1,236 @@
+import { sequelize } from '../database.js';
+import SearchQuery from '../models/QueryResult.js';
+import { parseCsv } from '../utils/csv.js';
+import { createHttpError } from '../middleware/error-handler.js';
+import logger from '../utils/logger.js';
+
+export const IMPORT_FORMATS = ['csv', 'ndjson'];
+
+// Columns accepted from import files; `id` is always assigned by the database
+export const IMPORT_COLUMNS = ['keyword', 'platform_name', 'search_type', 'created_at'];
+
+export const DEFAULT_IMPORT_BATCH_SIZE = 1000;
+
+// Cap on rejected rows echoed back in a report (the count is always exact)
+const MAX_REPORTED_REJECTIONS = 500;
+
+const IGNORED_COLUMNS = ['id'];
+
+// Parse CSV text into `{ line, values }` records keyed by the header row
+const parseCsvRecords = (text) => {
+  const { rows, error } = parseCsv(text);
+  if (error) {
+    throw createHttpError(400, `Invalid CSV: ${error}`);
+  }
+  if (!rows.length) {
+    return { records: [], columns: [] };
+  }
+
+  const [header, ...body] = rows;
+  const columns = header.fields.map(column => column.trim().toLowerCase());
+
+  const records = body.map(({ line, fields }) => {
+    if (fields.length !== columns.length) {
+      return { line, error: `Expected ${columns.length} fields but found ${fields.length}` };
+    }
+    const values = {};
+    columns.forEach((column, index) => {
+      values[column] = fields[index];
+    });
+    return { line, values };
+  });
+
+  return { records, columns };
+};
+
+// Parse NDJSON text into `{ line, values }` records, one JSON object per line
+const parseNdjsonRecords = (text) => {
+  const columns = new Set();
+  const records = [];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    if (!rawLine.trim()) {
+      return;
+    }
+    const line = index + 1;
+    try {
+      const values = JSON.parse(rawLine);
+      if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        records.push({ line, error: 'Line is not a JSON object' });
+        return;
+      }
+      Object.keys(values).forEach(column => columns.add(column));
+      records.push({ line, values });
+    } catch (error) {
+      records.push({ line, error: `Invalid JSON: ${error.message}` });
+    }
+  });
+
+  return { records, columns: [...columns] };
+};
+
+// Normalize raw field values: empty strings become null, everything else a string
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value);
+  return text.trim() === '' ? null : text;
+};
+
+// Validate one parsed record against the SearchQuery model, returning the reasons it is rejected
+const validateRecord = async (values) => {
+  const reasons = [];
+  const row = {};
+
+  IMPORT_COLUMNS.forEach(column => {
+    row[column] = normalizeValue(values[column]);
+  });
+
+  if (IMPORT_COLUMNS.every(column => row[column] === null)) {
+    return { reasons: ['Row has no values'] };
+  }
+
+  if (row.created_at !== null) {
+    const createdAt = new Date(row.created_at);
+    if (Number.isNaN(createdAt.getTime())) {
+      reasons.push(`created_at "${row.created_at}" is not a valid date`);
+    } else {
+      row.created_at = createdAt;
+    }
+  } else {
+    delete row.created_at;
+  }
+
+  try {
+    await SearchQuery.build(row).validate({ skip: reasons.length ? ['created_at'] : [] });
+  } catch (error) {
+    (error.errors || [error]).forEach(item => reasons.push(item.message));
+  }
+
+  return { row, reasons };
+};
+
+/**
+ * Parse and validate an uploaded CSV or NDJSON file of search queries.
+ * Returns `{ columns, unknownColumns, totalRows, validRows, rejected }` where
+ * `validRows` are ready for insertion and `rejected` lists `{ line, reasons }`.
+ */
+export const validateImportFile = async (text, format) => {
+  const { records, columns } = format === 'ndjson' ? parseNdjsonRecords(text) : parseCsvRecords(text);
+
+  const knownColumns = [...IMPORT_COLUMNS, ...IGNORED_COLUMNS];
+  const unknownColumns = columns.filter(column => !knownColumns.includes(column));
+  if (columns.length && !columns.some(column => IMPORT_COLUMNS.includes(column))) {
+    throw createHttpError(400, `Import file has none of the expected columns: ${IMPORT_COLUMNS.join(', ')}`);
+  }
+
+  const validRows = [];
+  const rejected = [];
+
+  for (const record of records) {
+    if (record.error) {
+      rejected.push({ line: record.line, reasons: [record.error] });
+      continue;
+    }
+
+    const { row, reasons } = await validateRecord(record.values);
+    if (reasons.length) {
+      rejected.push({ line: record.line, reasons });
+    } else {
+      validRows.push(row);
+    }
+  }
+
+  return {
+    columns,
+    unknownColumns,
+    totalRows: records.length,
+    validRows,
+    rejected
+  };
+};
+
+// Insert rows in batches; atomic imports share one transaction, otherwise each batch commits alone
+const insertRows = async (rows, { atomic, batchSize }) => {
+  const batches = [];
+  for (let start = 0; start < rows.length; start += batchSize) {
+    batches.push(rows.slice(start, start + batchSize));
+  }
+
+  const insertBatch = (batch, transaction) => SearchQuery.bulkCreate(batch, {
+    transaction,
+    validate: false,
+    returning: false
+  });
+
+  if (atomic) {
+    await sequelize.transaction(async (transaction) => {
+      for (const batch of batches) {
+        await insertBatch(batch, transaction);
+      }
+    });
+    return { inserted: rows.length, batches: batches.length, failedBatches: [] };
+  }
+
+  let inserted = 0;
+  const failedBatches = [];
+
+  for (const [index, batch] of batches.entries()) {
+    try {
+      await sequelize.transaction(transaction => insertBatch(batch, transaction));
+      inserted += batch.length;
+    } catch (error) {
+      logger.error(`Search query import batch ${index + 1} failed:`, error);
+      failedBatches.push({
+        batch: index + 1,
+        rows: batch.length,
+        message: error.original?.message || error.message
+      });
+    }
+  }
+
+  return { inserted, batches: batches.length, failedBatches };
+};
+
+/**
+ * Validate and (unless `dryRun`) insert an uploaded file of search queries.
+ * With `atomic`, nothing is inserted when any row is rejected or any batch
+ * fails; otherwise valid rows are inserted batch by batch.
+ */
+export const importSearchQueries = async ({ text, format, dryRun = true, atomic = false, batchSize = DEFAULT_IMPORT_BATCH_SIZE }) => {
+  const validation = await validateImportFile(text, format);
+
+  const report = {
+    format,
+    dryRun,
+    atomic,
+    totalRows: validation.totalRows,
+    validRows: validation.validRows.length,
+    rejectedRows: validation.rejected.length,
+    rejected: validation.rejected.slice(0, MAX_REPORTED_REJECTIONS),
+    unknownColumns: validation.unknownColumns,
+    inserted: 0,
+    batches: 0,
+    failedBatches: []
+  };
+
+  if (dryRun || !validation.validRows.length) {
+    return report;
+  }
+
+  if (atomic && validation.rejected.length) {
+    report.message = 'Nothing was imported because some rows were rejected';
+    return report;
+  }
+
+  try {
+    Object.assign(report, await insertRows(validation.validRows, { atomic, batchSize }));
+  } catch (error) {
+    logger.error('Atomic search query import failed:', error);
+    report.message = 'Nothing was imported because the transaction failed';
+    report.failedBatches = [{ message: error.original?.message || error.message }];
+  }
+
+  return report;
+};
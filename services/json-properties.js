@@ -0,0 +1,174 @@
+import { flat, ValidationError } from 'adminjs';
+import { Op } from 'sequelize';
+import { validateJson, parseJsonText, findUnsafeKey } from '../utils/json-schema.js';
+import { appendHook, prependHook } from '../utils/adminjs-hooks.js';
+
+/*
+ * JSONB columns in AdminJS. The Sequelize adapter flattens a JSON value into
+ * one param per leaf (`results.items.0.title`), which the default components
+ * show as loose strings and which cannot be edited as a whole. Resources
+ * wrapped with withJsonProperties instead hand every JSONB property to the
+ * JsonProperty component as one JSON text param, and parse and validate that
+ * text before it is saved.
+ */
+
+// Actions whose records get their JSONB values as JSON text
+const READ_ACTIONS = ['list', 'show', 'edit'];
+
+// Actions whose payload carries JSON text to parse
+const SAVE_ACTIONS = ['new', 'edit'];
+
+// Names of the JSONB attributes of a Sequelize model
+const jsonbAttributes = (model) => Object.entries(model.rawAttributes || {})
+  .filter(([, attribute]) => attribute.type?.key === 'JSONB')
+  .map(([name]) => name);
+
+// Replace a property's flattened params (`path`, `path.*`) with one value
+const setParam = (params, path, value) => flat.set(params, path, value);
+
+// Parse and check the JSON text of one property: `{ value }` to save, or `{ error }`
+const checkJsonText = (text, { path, required, schema }) => {
+  const { value, error } = parseJsonText(text);
+  if (error) {
+    return { error };
+  }
+  if (value === null) {
+    return required ? { error: 'A value is required' } : { value };
+  }
+
+  const [schemaError] = validateJson(value, schema, path);
+  if (schemaError) {
+    return { error: schemaError.message };
+  }
+  const unsafeKey = findUnsafeKey(value, path);
+  if (unsafeKey) {
+    return { error: unsafeKey.message };
+  }
+  return { value };
+};
+
+/*
+ * Before hook factory for new/edit: parse the JSON text the component
+ * submitted for each property into the value to save. Payloads without the
+ * text (e.g. from the API) are left as they are. Invalid text fails the save
+ * with a validation error on the property, and the record goes back to the
+ * form with the text as it was typed.
+ */
+const parseJsonPayload = (properties) => async (request, context) => {
+  if (request.method !== 'post' || !request.payload) {
+    return request;
+  }
+
+  let payload = { ...request.payload };
+  const errors = {};
+  properties.forEach(property => {
+    const text = payload[property.path];
+    if (typeof text !== 'string' && text !== null) {
+      return;
+    }
+    const { value, error } = checkJsonText(text, property);
+    if (error) {
+      errors[property.path] = { message: error };
+      return;
+    }
+    payload = setParam(payload, property.path, value);
+  });
+
+  if (Object.keys(errors).length) {
+    if (context.record) {
+      Object.keys(errors).forEach(path => {
+        context.record.params = setParam(context.record.params, path, request.payload[path]);
+      });
+    }
+    throw new ValidationError(errors);
+  }
+
+  request.payload = payload;
+  return request;
+};
+
+/*
+ * After hook factory for list/show/edit: replace the flattened params of
+ * each property with the JSON text of the stored value. The values are read
+ * again from the table, since the flattened params cannot tell
+ * `{ "a.b": 1 }` from `{ "a": { "b": 1 } }` or `{ "0": 1 }` from `[1]`.
+ * Saves are left alone, so audit entries keep diffing flattened params.
+ */
+const stringifyJsonParams = (model, paths) => async (response, request) => {
+  if (request.method === 'post') {
+    return response;
+  }
+  const records = response?.records || (response?.record ? [response.record] : []);
+  const ids = records.map(record => record.id).filter(id => id !== undefined && id !== null && id !== '');
+  if (!ids.length) {
+    return response;
+  }
+
+  const primaryKey = model.primaryKeyAttribute;
+  const rows = await model.findAll({
+    where: { [primaryKey]: { [Op.in]: ids } },
+    attributes: [primaryKey, ...paths],
+    raw: true
+  });
+  const rowsById = new Map(rows.map(row => [String(row[primaryKey]), row]));
+
+  records.forEach(record => {
+    const row = rowsById.get(String(record.id));
+    if (!row) {
+      return;
+    }
+    paths.forEach(path => {
+      const value = row[path];
+      record.params = setParam(record.params, path, value === null || value === undefined ? null : JSON.stringify(value));
+    });
+  });
+
+  return response;
+};
+
+/**
+ * Show and edit every JSONB property of the given AdminJS resource
+ * definitions with `component`: as a JSON tree on list and show pages and
+ * with a tree and text editor on forms. A property's `custom.schema` (a
+ * JSON Schema subset, see utils/json-schema.js) guides the editor and is
+ * checked on save together with the JSON syntax; a NOT NULL column must
+ * have a value. Existing property options and hooks are kept.
+ */
+export const withJsonProperties = (resources, component) => {
+  return resources.map(({ resource, options = {}, ...rest }) => {
+    const paths = jsonbAttributes(resource);
+    if (!paths.length) {
+      return { resource, options, ...rest };
+    }
+
+    const properties = { ...(options.properties || {}) };
+    const checked = paths.map(path => {
+      const property = properties[path] || {};
+      const custom = {
+        ...(property.custom || {}),
+        required: resource.rawAttributes[path].allowNull === false
+      };
+      properties[path] = {
+        ...property,
+        components: { list: component, show: component, edit: component, ...(property.components || {}) },
+        custom
+      };
+      return { path, required: custom.required, schema: custom.schema };
+    });
+
+    const actions = { ...(options.actions || {}) };
+    READ_ACTIONS.forEach(actionName => {
+      const action = actions[actionName] || {};
+      actions[actionName] = { ...action, after: appendHook(action.after, stringifyJsonParams(resource, paths)) };
+    });
+    SAVE_ACTIONS.forEach(actionName => {
+      const action = actions[actionName] || {};
+      if (action.isAccessible === false) {
+        return;
+      }
+      actions[actionName] = { ...action, before: prependHook(action.before, parseJsonPayload(checked)) };
+    });
+
+    return { resource, ...rest, options: { ...options, properties, actions } };
+  });
+};
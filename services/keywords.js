@@ -0,0 +1,205 @@
+import { Op } from 'sequelize';
+import { sequelize } from '../database.js';
+import SearchQuery from '../models/QueryResult.js';
+import { countLiveGroups, summarizeGroups, countTimelineBuckets } from './stats.js';
+import { fillTimeline } from './timeline.js';
+import {
+  buildSearchQueryWhere,
+  andWhere,
+  normalizedKeyword,
+  normalizeKeyword
+} from '../utils/search-filters.js';
+import { DAY_MS, toCount, ratio } from '../utils/aggregates.js';
+import { DEFAULT_GRANULARITY, DEFAULT_TIME_ZONE } from '../utils/time-zones.js';
+import { cachedResult } from './cache.js';
+
+// Length of the trending period when the filters do not set `from`
+export const DEFAULT_TRENDING_DAYS = 7;
+
+// Spellings of a keyword listed in its detail view
+const MAX_VARIANTS = 10;
+
+// Rows with a keyword that is not blank after normalization
+const hasKeyword = () => sequelize.where(normalizedKeyword(), { [Op.ne]: '' });
+
+// Filters for the same search_queries with the created_at bounds replaced
+const withPeriod = (filters, from, to) => buildSearchQueryWhere({ ...filters, from, to });
+
+/**
+ * Most searched normalized keywords for the filters. Resolves to
+ * `{ keywords: [{ keyword, count, share }], total, distinctKeywords }`, where
+ * `total` counts every query with a keyword and `share` is a keyword's part of it.
+ */
+export const getTopKeywords = async (filters = {}, { limit = 10 } = {}) => {
+  const keyword = normalizedKeyword();
+
+  const rows = await SearchQuery.findAll({
+    attributes: [
+      [keyword, 'keyword'],
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+      [sequelize.literal('SUM(COUNT("id")) OVER ()'), 'total'],
+      [sequelize.literal('COUNT(*) OVER ()'), 'distinct_keywords']
+    ],
+    where: andWhere(buildSearchQueryWhere(filters), hasKeyword()),
+    group: [keyword],
+    order: [[sequelize.col('count'), 'DESC'], [sequelize.col('keyword'), 'ASC']],
+    limit,
+    raw: true
+  });
+
+  const total = toCount(rows[0]?.total);
+
+  return {
+    keywords: rows.map(row => ({
+      keyword: row.keyword,
+      count: toCount(row.count),
+      share: ratio(toCount(row.count), total)
+    })),
+    total,
+    distinctKeywords: toCount(rows[0]?.distinct_keywords)
+  };
+};
+
+/**
+ * Trending period for the filters: [from, to) as filtered, defaulting to the
+ * last DEFAULT_TRENDING_DAYS days before `to` (or now), and the period of the
+ * same length right before it.
+ */
+export const trendingPeriods = (filters = {}, now = new Date()) => {
+  const to = filters.to || now;
+  const from = filters.from || new Date(to.getTime() - DEFAULT_TRENDING_DAYS * DAY_MS);
+  const length = to.getTime() - from.getTime();
+
+  return {
+    period: { from, to },
+    previousPeriod: { from: new Date(from.getTime() - length), to: from }
+  };
+};
+
+/**
+ * Keywords whose volume rose most against the previous period of the same
+ * length. Only keywords searched at least `minCount` times in the current
+ * period are ranked. `changeRatio` is null for keywords that are new.
+ */
+export const getTrendingKeywords = async (filters = {}, { limit = 10, minCount = 2 } = {}) => {
+  const { period, previousPeriod } = trendingPeriods(filters);
+  const keyword = normalizedKeyword();
+
+  const periodStart = sequelize.escape(period.from);
+  const current = `COUNT(*) FILTER (WHERE "created_at" >= ${periodStart})`;
+  const previous = `COUNT(*) FILTER (WHERE "created_at" < ${periodStart})`;
+
+  const rows = await SearchQuery.findAll({
+    attributes: [
+      [keyword, 'keyword'],
+      [sequelize.literal(current), 'count'],
+      [sequelize.literal(previous), 'previous_count'],
+      [sequelize.literal(`${current} - ${previous}`), 'change']
+    ],
+    where: andWhere(withPeriod(filters, previousPeriod.from, period.to), hasKeyword()),
+    group: [keyword],
+    having: sequelize.literal(`${current} >= ${Number(minCount)} AND ${current} > ${previous}`),
+    order: [[sequelize.col('change'), 'DESC'], [sequelize.col('count'), 'DESC'], [sequelize.col('keyword'), 'ASC']],
+    limit,
+    raw: true
+  });
+
+  return {
+    keywords: rows.map(row => {
+      const count = toCount(row.count);
+      const previousCount = toCount(row.previous_count);
+      return {
+        keyword: row.keyword,
+        count,
+        previousCount,
+        change: count - previousCount,
+        changeRatio: previousCount ? Number(((count - previousCount) / previousCount).toFixed(4)) : null
+      };
+    }),
+    period,
+    previousPeriod
+  };
+};
+
+/**
+ * Everything recorded for one keyword (normalized before matching) within the
+ * filters: totals, a timeline bucketed by `granularity` in `timeZone`,
+ * platform and search type splits, the raw spellings it was searched as, and
+ * when it was first and last searched.
+ */
+export const getKeywordDetail = async (keyword, filters = {}, { granularity = DEFAULT_GRANULARITY, timeZone = DEFAULT_TIME_ZONE } = {}) => {
+  const normalized = normalizeKeyword(keyword);
+  const where = andWhere(
+    buildSearchQueryWhere(filters),
+    sequelize.where(normalizedKeyword(), normalized)
+  );
+
+  const {
+    total,
+    searchTypeBreakdown,
+    platformBreakdown,
+    timelineData: dailyTimeline
+  } = summarizeGroups(await countLiveGroups(where));
+
+  const options = { granularity, timeZone };
+  const timelineData = fillTimeline(await countTimelineBuckets(where, dailyTimeline, options), {
+    ...options,
+    from: filters.from,
+    to: filters.to
+  });
+
+  const [seen] = await SearchQuery.findAll({
+    attributes: [
+      [sequelize.fn('MIN', sequelize.col('created_at')), 'firstSeen'],
+      [sequelize.fn('MAX', sequelize.col('created_at')), 'lastSeen']
+    ],
+    where,
+    raw: true
+  });
+
+  const variants = await SearchQuery.findAll({
+    attributes: ['keyword', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    where,
+    group: ['keyword'],
+    order: [[sequelize.col('count'), 'DESC'], ['keyword', 'ASC']],
+    limit: MAX_VARIANTS,
+    raw: true
+  });
+
+  return {
+    keyword: normalized,
+    total,
+    timelineData,
+    platformBreakdown,
+    searchTypeBreakdown,
+    variants: variants.map(row => ({ keyword: row.keyword, count: toCount(row.count) })),
+    firstSeen: seen?.firstSeen || null,
+    lastSeen: seen?.lastSeen || null
+  };
+};
+
+// Cache key for a keyword analytics request; unset values are null
+const keywordsCacheKey = (kind, filters, options) => `keywords:${kind}:${JSON.stringify([
+  filters.from ?? null,
+  filters.to ?? null,
+  filters.platform_name ?? null,
+  filters.search_type ?? null,
+  options
+])}`;
+
+// Top and trending keywords, served from `cache` when fresh
+export const getCachedKeywordAnalytics = (filters, { limit, minCount }, cache) => cachedResult(
+  cache,
+  keywordsCacheKey('overview', filters, [limit, minCount]),
+  async () => ({
+    top: await getTopKeywords(filters, { limit }),
+    trending: await getTrendingKeywords(filters, { limit, minCount })
+  })
+);
+
+// Detail for one keyword, served from `cache` when fresh
+export const getCachedKeywordDetail = (keyword, filters, { granularity, timeZone }, cache) => cachedResult(
+  cache,
+  keywordsCacheKey('detail', filters, [normalizeKeyword(keyword), granularity, timeZone]),
+  () => getKeywordDetail(keyword, filters, { granularity, timeZone })
+);
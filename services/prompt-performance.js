@@ -0,0 +1,210 @@
+import { QueryTypes } from 'sequelize';
+import { sequelize } from '../database.js';
+import { timelineBucketSql, fillTimeline } from './timeline.js';
+import { RESULT_KINDS, RESULTS_CTE } from './responses.js';
+import { compareVersions } from './system-prompts.js';
+import { cachedResult } from './cache.js';
+import { toCount, ratio } from '../utils/aggregates.js';
+
+/*
+ * Performance of system prompt versions: `searches` grouped by the
+ * system_prompt that served them (searches.system_prompt_id), with the
+ * responses to those searches (search_response.search_id) and the web, image
+ * and video results attached to the responses. Searches are dated by
+ * searches.created_at; platform_name and search_type filter on the prompt.
+ */
+
+// Key of the searches that no (known) system prompt served
+const NO_PROMPT_KEY = 'none';
+
+const query = (sql, filters, replacements = {}) => sequelize.query(sql, {
+  replacements: {
+    from: filters.from ?? null,
+    to: filters.to ?? null,
+    platform: filters.platform_name ?? null,
+    searchType: filters.search_type ?? null,
+    ...replacements
+  },
+  type: QueryTypes.SELECT
+});
+
+// Searches in the period, each with the prompt that served it
+const searchesCte = ({ from, to, platform_name: platform, search_type: searchType }) => {
+  const conditions = [
+    from && 's.created_at >= :from',
+    to && 's.created_at < :to',
+    platform && 'TRIM(p.platform) = :platform',
+    searchType && 'p.search_type = :searchType'
+  ].filter(Boolean);
+
+  return `
+    WITH prompt_searches AS (
+      SELECT s.search_id, s.user_id, s.created_at, p.id AS prompt_id
+      FROM searches s
+      LEFT JOIN system_prompt p ON p.id = s.system_prompt_id
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    )`;
+};
+
+// Searches, unique users and first and last search per prompt, plus a row for all prompts together
+const countSearches = (filters) => query(`${searchesCte(filters)}
+  SELECT prompt_id, COUNT(*) AS searches, COUNT(DISTINCT user_id) AS users,
+    MIN(created_at) AS first_search_at, MAX(created_at) AS last_search_at, NULL AS period
+  FROM prompt_searches
+  GROUP BY prompt_id
+  UNION ALL
+  SELECT NULL, COUNT(*), COUNT(DISTINCT user_id), MIN(created_at), MAX(created_at), 'total'
+  FROM prompt_searches
+`, filters);
+
+// Responses to the searches and their result and citation counts by kind, per prompt
+const countResponses = (filters) => query(`${searchesCte(filters)}, responses AS (
+    SELECT r.response_id, ps.prompt_id
+    FROM search_response r
+    JOIN prompt_searches ps ON ps.search_id = r.search_id
+  ), ${RESULTS_CTE}
+  SELECT r.prompt_id, COUNT(*) AS responses,
+    ${RESULT_KINDS.map(kind => `COALESCE(SUM(c.${kind}), 0) AS ${kind},
+    COALESCE(SUM(c.cited_${kind}), 0) AS cited_${kind}`).join(',\n    ')}
+  FROM responses r
+  LEFT JOIN (
+    SELECT response_id,
+      ${RESULT_KINDS.map(kind => `COUNT(*) FILTER (WHERE kind = '${kind}') AS ${kind},
+      COUNT(*) FILTER (WHERE kind = '${kind}' AND is_citation) AS cited_${kind}`).join(',\n      ')}
+    FROM results
+    GROUP BY response_id
+  ) c USING (response_id)
+  GROUP BY r.prompt_id
+`, filters);
+
+// Searches per prompt and timeline bucket
+const countSearchBuckets = (filters, { granularity, timeZone }) => query(`${searchesCte(filters)}
+  SELECT prompt_id, ${timelineBucketSql('created_at', { granularity, timeZone })} AS bucket, COUNT(*) AS count
+  FROM prompt_searches
+  GROUP BY 1, 2
+`, filters);
+
+const promptKey = (promptId) => promptId ?? NO_PROMPT_KEY;
+
+const summarizeResponses = (row) => {
+  const responses = toCount(row?.responses);
+  const resultCounts = Object.fromEntries(RESULT_KINDS.map(kind => [kind, toCount(row?.[kind])]));
+  const citationCounts = Object.fromEntries(RESULT_KINDS.map(kind => [kind, toCount(row?.[`cited_${kind}`])]));
+  const results = RESULT_KINDS.reduce((sum, kind) => sum + resultCounts[kind], 0);
+  const citations = RESULT_KINDS.reduce((sum, kind) => sum + citationCounts[kind], 0);
+
+  return {
+    responses,
+    results,
+    citations,
+    resultCounts,
+    citationCounts,
+    resultsPerResponse: ratio(results, responses),
+    citationsPerResponse: ratio(citations, responses),
+    averageResults: Object.fromEntries(RESULT_KINDS.map(kind => [kind, ratio(resultCounts[kind], responses)])),
+    citationRatio: ratio(citations, results)
+  };
+};
+
+// Prompts in platform, search_type order, highest version first; searches without a prompt last
+const byPromptGroupAndVersion = (a, b) => {
+  if (!a.promptId || !b.promptId) {
+    return a.promptId ? -1 : b.promptId ? 1 : 0;
+  }
+  return String(a.platform).localeCompare(String(b.platform))
+    || String(a.searchType ?? '').localeCompare(String(b.searchType ?? ''))
+    || compareVersions(b.version, a.version);
+};
+
+/**
+ * Prompt performance for the period [from, to): for every system prompt
+ * version that served searches, its searches (with their share of all
+ * searches and a timeline bucketed by `granularity` in `timeZone`), unique
+ * users, and the responses to those searches with their result and citation
+ * counts. Searches without a known prompt are reported under a null
+ * `promptId`.
+ */
+export const getPromptPerformance = async (filters = {}, { granularity, timeZone }) => {
+  const searchRows = await countSearches(filters);
+  const responseRows = await countResponses(filters);
+  const bucketRows = await countSearchBuckets(filters, { granularity, timeZone });
+
+  const total = searchRows.find(row => row.period === 'total');
+  const promptRows = searchRows.filter(row => row.period !== 'total');
+  const promptIds = promptRows.map(row => row.prompt_id).filter(Boolean);
+  const prompts = promptIds.length
+    ? await query(`
+      SELECT id, version, platform, search_type, is_active, created_at
+      FROM system_prompt
+      WHERE id IN (:promptIds)
+    `, filters, { promptIds })
+    : [];
+
+  const promptsById = new Map(prompts.map(prompt => [prompt.id, prompt]));
+  const responsesByPrompt = new Map(responseRows.map(row => [promptKey(row.prompt_id), row]));
+  const bucketsByPrompt = new Map();
+  bucketRows.forEach(row => {
+    const key = promptKey(row.prompt_id);
+    if (!bucketsByPrompt.has(key)) {
+      bucketsByPrompt.set(key, {});
+    }
+    bucketsByPrompt.get(key)[row.bucket ?? 'null'] = toCount(row.count);
+  });
+
+  const totalSearches = toCount(total?.searches);
+  const timelineBounds = { granularity, timeZone, from: filters.from, to: filters.to };
+  const allBuckets = Object.assign({}, ...bucketsByPrompt.values());
+  const bucketKeys = Object.keys(fillTimeline(allBuckets, timelineBounds));
+
+  const versions = promptRows.map(row => {
+    const prompt = promptsById.get(row.prompt_id);
+    const counts = bucketsByPrompt.get(promptKey(row.prompt_id)) || {};
+
+    return {
+      promptId: row.prompt_id ?? null,
+      version: prompt?.version ?? null,
+      platform: prompt?.platform ?? null,
+      searchType: prompt?.search_type ?? null,
+      isActive: Boolean(prompt?.is_active),
+      promptCreatedAt: prompt?.created_at ?? null,
+      searches: toCount(row.searches),
+      share: ratio(toCount(row.searches), totalSearches),
+      users: toCount(row.users),
+      firstSearchAt: row.first_search_at ?? null,
+      lastSearchAt: row.last_search_at ?? null,
+      ...summarizeResponses(responsesByPrompt.get(promptKey(row.prompt_id))),
+      timeline: Object.fromEntries(bucketKeys.map(key => [key, counts[key] || 0]))
+    };
+  }).sort(byPromptGroupAndVersion);
+
+  const totals = { responses: 0, ...Object.fromEntries(RESULT_KINDS.flatMap(kind => [[kind, 0], [`cited_${kind}`, 0]])) };
+  responseRows.forEach(row => {
+    Object.keys(totals).forEach(key => {
+      totals[key] += toCount(row[key]);
+    });
+  });
+
+  return {
+    searches: totalSearches,
+    users: toCount(total?.users),
+    ...summarizeResponses(totals),
+    versions
+  };
+};
+
+// Cache key for a prompt performance request; unset values are null
+const promptPerformanceCacheKey = (filters, options) => `prompts:performance:${JSON.stringify([
+  filters.from ?? null,
+  filters.to ?? null,
+  filters.platform_name ?? null,
+  filters.search_type ?? null,
+  options.granularity,
+  options.timeZone
+])}`;
+
+// Prompt performance, served from `cache` when fresh
+export const getCachedPromptPerformance = (filters, options, cache) => cachedResult(
+  cache,
+  promptPerformanceCacheKey(filters, options),
+  () => getPromptPerformance(filters, options)
+);
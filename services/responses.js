@@ -0,0 +1,296 @@
+import { QueryTypes } from 'sequelize';
+import { sequelize } from '../database.js';
+import { timelineBucketSql, fillTimeline } from './timeline.js';
+import { cachedResult } from './cache.js';
+import { toCount, ratio } from '../utils/aggregates.js';
+
+/*
+ * Analytics over search responses and the results attached to them:
+ * web_urls, image_urls and video_urls rows point at a search_response by
+ * response_id and flag the results the answer cited with is_citation, at
+ * position seq_no. Responses are dated by search_response.created_at.
+ */
+
+export const RESULT_KINDS = ['web', 'image', 'video'];
+
+// Every result attached to the rows of a `responses` CTE, tagged with its kind
+export const RESULTS_CTE = `results AS (
+      SELECT 'web' AS kind, w.response_id, w.is_citation, w.seq_no
+      FROM web_urls w JOIN responses USING (response_id)
+      UNION ALL
+      SELECT 'image', i.response_id, i.is_citation, i.seq_no
+      FROM image_urls i JOIN responses USING (response_id)
+      UNION ALL
+      SELECT 'video', v.response_id, v.is_citation, v.seq_no
+      FROM video_urls v JOIN responses USING (response_id)
+    )`;
+
+// Responses in the period, and every result attached to them tagged with its kind
+const resultsCte = ({ from, to }) => {
+  const conditions = [];
+  if (from) {
+    conditions.push('r.created_at >= :from');
+  }
+  if (to) {
+    conditions.push('r.created_at < :to');
+  }
+
+  return `
+    WITH responses AS (
+      SELECT r.response_id, r.created_at
+      FROM search_response r
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ), ${RESULTS_CTE}`;
+};
+
+const query = (sql, filters, replacements = {}) => sequelize.query(sql, {
+  replacements: { from: filters.from ?? null, to: filters.to ?? null, ...replacements },
+  type: QueryTypes.SELECT
+});
+
+// Host of a web_url without "www.", falling back to the site name in web_metadata
+const CITED_DOMAIN_SQL = `COALESCE(
+  NULLIF(REGEXP_REPLACE(LOWER(SUBSTRING(w.web_url FROM '^[A-Za-z][A-Za-z0-9+.-]*://(?:[^@/?#]*@)?([^:/?#]+)')), '^www\\.', ''), ''),
+  NULLIF(LOWER(BTRIM(m.source)), ''),
+  'unknown'
+)`;
+
+const emptyBucket = () => ({
+  responses: 0,
+  results: Object.fromEntries(RESULT_KINDS.map(kind => [kind, 0])),
+  citations: Object.fromEntries(RESULT_KINDS.map(kind => [kind, 0]))
+});
+
+// Averages and citation ratios of a bucket (or of the whole period)
+const summarizeBucket = ({ responses, results, citations }) => {
+  const totalResults = RESULT_KINDS.reduce((sum, kind) => sum + results[kind], 0);
+  const totalCitations = RESULT_KINDS.reduce((sum, kind) => sum + citations[kind], 0);
+
+  return {
+    responses,
+    results: totalResults,
+    citations: totalCitations,
+    averageResults: Object.fromEntries(RESULT_KINDS.map(kind => [kind, ratio(results[kind], responses)])),
+    citationRatio: ratio(totalCitations, totalResults),
+    citationRatioByKind: Object.fromEntries(RESULT_KINDS.map(kind => [kind, ratio(citations[kind], results[kind])]))
+  };
+};
+
+// Result and citation counts per response, summed per timeline bucket
+const countResponseBuckets = async (filters, { granularity, timeZone }) => {
+  const rows = await query(`${resultsCte(filters)}
+    SELECT ${timelineBucketSql('r.created_at', { granularity, timeZone })} AS bucket,
+      COUNT(*) AS responses,
+      ${RESULT_KINDS.map(kind => `COALESCE(SUM(c.${kind}), 0) AS ${kind},
+      COALESCE(SUM(c.cited_${kind}), 0) AS cited_${kind}`).join(',\n      ')}
+    FROM responses r
+    LEFT JOIN (
+      SELECT response_id,
+        ${RESULT_KINDS.map(kind => `COUNT(*) FILTER (WHERE kind = '${kind}') AS ${kind},
+        COUNT(*) FILTER (WHERE kind = '${kind}' AND is_citation) AS cited_${kind}`).join(',\n        ')}
+      FROM results
+      GROUP BY response_id
+    ) c USING (response_id)
+    GROUP BY 1
+  `, filters);
+
+  return Object.fromEntries(rows.map(row => [row.bucket ?? 'null', {
+    responses: toCount(row.responses),
+    results: Object.fromEntries(RESULT_KINDS.map(kind => [kind, toCount(row[kind])])),
+    citations: Object.fromEntries(RESULT_KINDS.map(kind => [kind, toCount(row[`cited_${kind}`])]))
+  }]));
+};
+
+/**
+ * Domains of the cited web results, most cited first. `source` is the site
+ * name web_metadata gives most often for the domain; `share` is the domain's
+ * part of all web citations.
+ */
+export const getTopCitedDomains = async (filters = {}, { limit = 10 } = {}) => {
+  const rows = await query(`${resultsCte(filters)}
+    SELECT ${CITED_DOMAIN_SQL} AS domain,
+      MODE() WITHIN GROUP (ORDER BY NULLIF(BTRIM(m.source), '')) AS source,
+      COUNT(*) AS citations,
+      COUNT(DISTINCT w.response_id) AS responses,
+      SUM(COUNT(*)) OVER () AS total
+    FROM web_urls w
+    JOIN responses USING (response_id)
+    LEFT JOIN web_metadata m ON m.url = w.web_url
+    WHERE w.is_citation
+    GROUP BY 1
+    ORDER BY citations DESC, domain ASC
+    LIMIT :limit
+  `, filters, { limit });
+
+  return rows.map(row => ({
+    domain: row.domain,
+    source: row.source,
+    citations: toCount(row.citations),
+    responses: toCount(row.responses),
+    share: ratio(toCount(row.citations), toCount(row.total))
+  }));
+};
+
+// How many cited results of each kind sat at each seq_no position; unnumbered ones come last
+export const getCitationPositions = async (filters = {}) => {
+  const rows = await query(`${resultsCte(filters)}
+    SELECT seq_no, kind, COUNT(*) AS count
+    FROM results
+    WHERE is_citation
+    GROUP BY seq_no, kind
+    ORDER BY seq_no NULLS LAST
+  `, filters);
+
+  const positions = new Map();
+  rows.forEach(row => {
+    const seqNo = row.seq_no ?? null;
+    if (!positions.has(seqNo)) {
+      positions.set(seqNo, { seqNo, ...Object.fromEntries(RESULT_KINDS.map(kind => [kind, 0])), total: 0 });
+    }
+    const position = positions.get(seqNo);
+    position[row.kind] = toCount(row.count);
+    position.total += toCount(row.count);
+  });
+  return [...positions.values()];
+};
+
+/**
+ * Response analytics for the period [from, to): average web/image/video
+ * results per response, citation ratios, the same per timeline bucket, the
+ * most cited domains and where cited results were positioned.
+ */
+export const getResponseStats = async (filters = {}, { granularity, timeZone, limit = 10 } = {}) => {
+  const buckets = await countResponseBuckets(filters, { granularity, timeZone });
+
+  const totals = emptyBucket();
+  Object.values(buckets).forEach(bucket => {
+    totals.responses += bucket.responses;
+    RESULT_KINDS.forEach(kind => {
+      totals.results[kind] += bucket.results[kind];
+      totals.citations[kind] += bucket.citations[kind];
+    });
+  });
+
+  const responseCounts = Object.fromEntries(Object.entries(buckets).map(([key, bucket]) => [key, bucket.responses]));
+  const timeline = Object.fromEntries(
+    Object.keys(fillTimeline(responseCounts, { granularity, timeZone, from: filters.from, to: filters.to }))
+      .map(key => [key, summarizeBucket(buckets[key] || emptyBucket())])
+  );
+
+  return {
+    ...summarizeBucket(totals),
+    resultCounts: totals.results,
+    citationCounts: totals.citations,
+    timeline,
+    topCitedDomains: await getTopCitedDomains(filters, { limit }),
+    citationPositions: await getCitationPositions(filters)
+  };
+};
+
+// Results attached to one response with the metadata of each, in seq_no order
+const RESULT_DETAIL_SQL = {
+  web: `
+    SELECT w.web_url AS url, w.is_citation, w.seq_no, m.title, m.snippet_description AS snippet,
+      m.source, m.favicon AS thumbnail, m.ai_overview
+    FROM web_urls w
+    LEFT JOIN web_metadata m ON m.url = w.web_url
+    WHERE w.response_id = :responseId
+    ORDER BY w.seq_no NULLS LAST, w.web_url`,
+  image: `
+    SELECT i.image_url AS url, i.is_citation, i.seq_no, m.title, m.snippet_description AS snippet,
+      m.source, m.url_image AS thumbnail, m.ai_overview
+    FROM image_urls i
+    LEFT JOIN image_metadata m ON m.url = i.image_url
+    WHERE i.response_id = :responseId
+    ORDER BY i.seq_no NULLS LAST, i.image_url`,
+  video: `
+    SELECT v.video_id, m.video_url AS url, v.is_citation, v.seq_no, m.title, m.description AS snippet,
+      m.thumbnail, m.publish_date, m.views, m.likes
+    FROM video_urls v
+    LEFT JOIN video_metadata m ON m.video_id = v.video_id
+    WHERE v.response_id = :responseId
+    ORDER BY v.seq_no NULLS LAST, v.video_id`
+};
+
+const toNumberOrNull = (value) => (value === null || value === undefined ? null : Number(value));
+
+const serializeResult = (kind, row) => ({
+  kind,
+  url: row.url ?? null,
+  isCitation: Boolean(row.is_citation),
+  seqNo: row.seq_no ?? null,
+  title: row.title ?? null,
+  snippet: row.snippet ?? null,
+  thumbnail: row.thumbnail ?? null,
+  ...(kind === 'video'
+    ? {
+        videoId: row.video_id,
+        publishDate: row.publish_date ?? null,
+        views: toNumberOrNull(row.views),
+        likes: toNumberOrNull(row.likes)
+      }
+    : {
+        source: row.source ?? null,
+        aiOverview: row.ai_overview ?? null
+      })
+});
+
+/**
+ * One search response for the response inspector: its AI summary, the search
+ * it answered and every web, image and video result attached to it with the
+ * result's metadata, ordered by seq_no. Null when there is no such response.
+ */
+export const getResponseDetail = async (responseId) => {
+  const [response] = await sequelize.query(`
+    SELECT r.response_id, r.search_id, r.ai_summary, r.created_at,
+      s.user_id, s.system_prompt_id, s.keywords, s.created_at AS search_created_at
+    FROM search_response r
+    LEFT JOIN searches s ON s.search_id = r.search_id
+    WHERE r.response_id = :responseId
+  `, { replacements: { responseId }, type: QueryTypes.SELECT });
+
+  if (!response) {
+    return null;
+  }
+
+  const results = {};
+  for (const kind of RESULT_KINDS) {
+    const rows = await sequelize.query(RESULT_DETAIL_SQL[kind], { replacements: { responseId }, type: QueryTypes.SELECT });
+    results[kind] = rows.map(row => serializeResult(kind, row));
+  }
+
+  // searches.user_id is required, so it is only missing when the search row is
+  return {
+    responseId: response.response_id,
+    searchId: response.search_id ?? null,
+    aiSummary: response.ai_summary,
+    createdAt: response.created_at,
+    search: response.user_id
+      ? {
+          searchId: response.search_id,
+          userId: response.user_id,
+          systemPromptId: response.system_prompt_id,
+          keywords: response.keywords,
+          createdAt: response.search_created_at
+        }
+      : null,
+    results,
+    citationCounts: Object.fromEntries(RESULT_KINDS.map(kind => [kind, results[kind].filter(result => result.isCitation).length]))
+  };
+};
+
+// Cache key for a response analytics request; unset values are null
+const responsesCacheKey = (filters, options) => `responses:${JSON.stringify([
+  filters.from ?? null,
+  filters.to ?? null,
+  options.granularity,
+  options.timeZone,
+  options.limit
+])}`;
+
+// Response analytics, served from `cache` when fresh
+export const getCachedResponseStats = (filters, options, cache) => cachedResult(
+  cache,
+  responsesCacheKey(filters, options),
+  () => getResponseStats(filters, options)
+);
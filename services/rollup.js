@@ -0,0 +1,179 @@
+import { Op } from 'sequelize';
+import { sequelize } from '../database.js';
+import SearchQuery from '../models/QueryResult.js';
+import SearchQueryDaily from '../models/SearchQueryDaily.js';
+import RollupState from '../models/RollupState.js';
+import logger from '../utils/logger.js';
+import { DAY_MS } from '../utils/aggregates.js';
+
+export const DAILY_ROLLUP = 'search_queries_daily';
+
+// Days already in the rollup that each scheduled run recomputes, to pick up late writes
+export const DEFAULT_LOOKBACK_DAYS = 2;
+
+// Days recomputed per transaction, so a long backfill keeps its progress
+const CHUNK_DAYS = 31;
+
+// Advisory lock held while rewriting rollup rows, so instances do not interleave
+const ROLLUP_LOCK_ID = 73100101;
+
+// UTC day (YYYY-MM-DD) of a Date, matching DATE(created_at) on a UTC session
+export const toDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+export const dayStart = (day) => new Date(`${day}T00:00:00Z`);
+
+export const addDays = (day, days) => toDay(dayStart(day).getTime() + days * DAY_MS);
+
+export const currentDay = () => toDay(new Date());
+
+// First day that starts at or after the given time
+const ceilDay = (date) => {
+  const day = toDay(date);
+  return dayStart(day).getTime() === new Date(date).getTime() ? day : addDays(day, 1);
+};
+
+const minDay = (a, b) => (a < b ? a : b);
+
+// Every day before the returned date is complete in the rollup (null before the first run)
+export const getDailyRollupWatermark = async () => {
+  const state = await RollupState.findByPk(DAILY_ROLLUP, { raw: true });
+  return state?.completed_through || null;
+};
+
+/**
+ * Split a `{ from, to }` filter range into the whole days that can be read
+ * from the rollup and the rest, which has to be counted live. Returns
+ * `{ start, end }` (days, `start` null when unbounded) or null when no
+ * part of the range is covered by the rollup.
+ */
+export const splitRollupRange = ({ from, to } = {}, watermark) => {
+  if (!watermark) {
+    return null;
+  }
+
+  const start = from ? ceilDay(from) : null;
+  const end = to ? minDay(toDay(to), watermark) : watermark;
+
+  if (start && start >= end) {
+    return null;
+  }
+
+  return { start, end };
+};
+
+// Recompute the rollup rows for days in [fromDay, toDay) inside a transaction
+const rebuildDays = (fromDay, toDayExclusive) => sequelize.transaction(async (transaction) => {
+  await sequelize.query('SELECT pg_advisory_xact_lock(:lock)', {
+    replacements: { lock: ROLLUP_LOCK_ID },
+    transaction
+  });
+
+  await SearchQueryDaily.destroy({
+    where: { day: { [Op.gte]: fromDay, [Op.lt]: toDayExclusive } },
+    transaction
+  });
+
+  await sequelize.query(`
+    INSERT INTO search_queries_daily (day, platform_name, search_type, query_count, updated_at)
+    SELECT DATE(created_at), COALESCE(TRIM(platform_name), ''), COALESCE(search_type, ''), COUNT(*), NOW()
+    FROM search_queries
+    WHERE created_at >= :from AND created_at < :to
+    GROUP BY 1, 2, 3
+  `, {
+    replacements: { from: fromDay, to: toDayExclusive },
+    transaction
+  });
+});
+
+/**
+ * Recompute the rollup for days in [from, to). Today is never rolled up
+ * since it is still changing; `to` is capped at the current day.
+ */
+export const rebuildDailyRollup = async ({ from, to }) => {
+  const end = minDay(to, currentDay());
+  let days = 0;
+
+  for (let start = from; start < end; start = addDays(start, CHUNK_DAYS)) {
+    const chunkEnd = minDay(addDays(start, CHUNK_DAYS), end);
+    await rebuildDays(start, chunkEnd);
+    days += Math.round((dayStart(chunkEnd) - dayStart(start)) / DAY_MS);
+  }
+
+  return { from, to: end, days };
+};
+
+// Days before the watermark whose search queries changed since the last run
+const staleDays = new Set();
+
+const markStale = (...dates) => {
+  dates.filter(Boolean).forEach(date => staleDays.add(toDay(date)));
+};
+
+// Keep the rollup in step with edits to past days (AdminJS, /api/v1, imports)
+SearchQuery.addHook('afterCreate', 'dailyRollup', (record) => markStale(record.created_at));
+SearchQuery.addHook('afterUpdate', 'dailyRollup', (record) => markStale(record.previous('created_at'), record.created_at));
+SearchQuery.addHook('afterDestroy', 'dailyRollup', (record) => markStale(record.created_at));
+SearchQuery.addHook('afterBulkCreate', 'dailyRollup', (records) => markStale(...records.map(record => record.created_at)));
+
+/**
+ * Bring the rollup up to date: roll up every day from the watermark (less
+ * `lookbackDays`) to yesterday, rebuild days edited since the last run and
+ * move the watermark to today. The first run, or `full`, rebuilds from the
+ * earliest search query.
+ */
+export const updateDailyRollup = async ({ lookbackDays = DEFAULT_LOOKBACK_DAYS, full = false } = {}) => {
+  const end = currentDay();
+  const watermark = full ? null : await getDailyRollupWatermark();
+
+  let start = watermark ? addDays(watermark, -lookbackDays) : null;
+  if (!start) {
+    const earliest = await SearchQuery.min('created_at');
+    start = earliest ? toDay(earliest) : end;
+  }
+
+  const stale = [...staleDays].filter(day => day < start);
+  staleDays.clear();
+
+  try {
+    for (const day of stale) {
+      await rebuildDays(day, addDays(day, 1));
+    }
+    await rebuildDailyRollup({ from: start, to: end });
+  } catch (error) {
+    stale.forEach(day => staleDays.add(day));
+    throw error;
+  }
+
+  await RollupState.upsert({ name: DAILY_ROLLUP, completed_through: end, updated_at: new Date() });
+
+  return { from: start, to: end, staleDays: stale.length };
+};
+
+/**
+ * Run updateDailyRollup now and then every `intervalMs`. Returns a function
+ * that stops the schedule. Runs never overlap within one process.
+ */
+export const scheduleDailyRollup = ({ intervalMs, lookbackDays = DEFAULT_LOOKBACK_DAYS }) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const result = await updateDailyRollup({ lookbackDays });
+      logger.info(`Daily search rollup updated for ${result.from}..${result.to} (${result.staleDays} edited day(s) rebuilt)`);
+    } catch (error) {
+      logger.error('Daily search rollup update failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,213 @@
+import { realpath, stat } from 'fs/promises';
+import { extname, isAbsolute, relative, resolve, sep } from 'path';
+import { QueryTypes } from 'sequelize';
+import { sequelize } from '../database.js';
+import { toCount } from '../utils/aggregates.js';
+
+/*
+ * Screenshot gallery over `screenshots`: each row is a captured `url` with
+ * the image written to `output_path` and the slices it was cut into listed in
+ * the JSONB `slices`. Files are only read from under the storage root
+ * (SCREENSHOTS_ROOT). Stored paths are resolved against it, and a path that
+ * leads outside it, through `..`, an absolute path or a symlink, is never
+ * served.
+ */
+
+// Image files the gallery serves; other files under the root are not exposed
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+// Keys holding the file of a slice when slices are objects, most specific first
+const SLICE_PATH_KEYS = ['path', 'output_path', 'outputPath', 'file', 'filename', 'src'];
+
+// Stored path of one slice: a string, or the first path key of an object
+const slicePath = (slice) => {
+  if (typeof slice === 'string') {
+    return slice;
+  }
+  if (!slice || typeof slice !== 'object') {
+    return null;
+  }
+  const key = SLICE_PATH_KEYS.find(name => typeof slice[name] === 'string' && slice[name].trim());
+  return key ? slice[key] : null;
+};
+
+/**
+ * Slices of a screenshot in stored order: `[{ index, path }]`, `path` being
+ * the stored path or null when a slice names no file. Accepts a list of paths
+ * or of objects with a path key (path, output_path, file, filename, src).
+ */
+export const parseSlices = (slices) => {
+  if (typeof slices === 'string') {
+    try {
+      return parseSlices(JSON.parse(slices));
+    } catch {
+      return [];
+    }
+  }
+  if (!Array.isArray(slices)) {
+    return [];
+  }
+  return slices.map((slice, index) => ({ index, path: slicePath(slice) }));
+};
+
+// True when `target` is `base` itself or below it
+const isWithin = (base, target) => {
+  const path = relative(base, target);
+  return path === '' || (path.split(sep)[0] !== '..' && !isAbsolute(path));
+};
+
+/**
+ * Build the file store of the gallery over the storage `root`. `locate`
+ * resolves a stored path to `{ status, file, contentType, size, modifiedAt }`
+ * where status is:
+ * - `ok`: an image file under the root (`file` is its real path)
+ * - `missing`: under the root but not on disk
+ * - `outside`: leads outside the root
+ * - `unsupported`: not an image type the gallery serves
+ * - `none`: no path stored
+ */
+export const createScreenshotStore = ({ root }) => {
+  const rootPath = resolve(root);
+  let realRoot = null;
+
+  // The root with its symlinks resolved, so files are compared with it as they are on disk
+  const getRealRoot = async () => {
+    if (!realRoot) {
+      realRoot = await realpath(rootPath).catch(() => null);
+    }
+    return realRoot || rootPath;
+  };
+
+  const locate = async (storedPath) => {
+    if (typeof storedPath !== 'string' || !storedPath.trim()) {
+      return { status: 'none' };
+    }
+    const candidate = resolve(rootPath, storedPath.trim());
+    if (storedPath.includes('\0') || !isWithin(rootPath, candidate) || candidate === rootPath) {
+      return { status: 'outside' };
+    }
+    const contentType = IMAGE_TYPES[extname(candidate).toLowerCase()];
+    if (!contentType) {
+      return { status: 'unsupported' };
+    }
+
+    let file;
+    try {
+      file = await realpath(candidate);
+    } catch {
+      return { status: 'missing' };
+    }
+    if (!isWithin(await getRealRoot(), file)) {
+      return { status: 'outside' };
+    }
+    const stats = await stat(file).catch(() => null);
+    if (!stats?.isFile()) {
+      return { status: 'missing' };
+    }
+    return { status: 'ok', file, contentType, size: stats.size, modifiedAt: stats.mtime };
+  };
+
+  return { root: rootPath, locate };
+};
+
+const galleryConditions = ({ url, from, to }) => [
+  url && 'url ILIKE :url',
+  from && 'created_at >= :from',
+  to && 'created_at < :to'
+].filter(Boolean);
+
+// `text` as a literal ILIKE substring pattern (backslash is the default LIKE escape)
+const containsPattern = (text) => `%${String(text).replace(/[\\%_]/g, match => `\\${match}`)}%`;
+
+// File status of a screenshot's output_path and of each of its slices
+const describeFiles = async (store, row) => {
+  const image = await store.locate(row.output_path);
+  const slices = await Promise.all(parseSlices(row.slices).map(async (slice) => ({
+    index: slice.index,
+    path: slice.path,
+    status: (await store.locate(slice.path)).status
+  })));
+
+  return {
+    id: row.id,
+    url: row.url,
+    outputPath: row.output_path,
+    status: image.status,
+    size: image.size ?? null,
+    createdAt: row.created_at,
+    capturedAt: row.timestamp_column,
+    slices
+  };
+};
+
+/**
+ * One page of the gallery, newest first: screenshots whose url contains
+ * `url` (case-insensitive), created in [from, to). Each has the `status` of
+ * its output_path on disk (see createScreenshotStore) and its slices with
+ * theirs; `missing` counts the screenshots of the page whose file is gone.
+ */
+export const getScreenshotGallery = async (store, filters = {}, { page = 1, perPage = 24 } = {}) => {
+  const conditions = galleryConditions(filters);
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const replacements = {
+    url: filters.url ? containsPattern(filters.url) : null,
+    from: filters.from ?? null,
+    to: filters.to ?? null,
+    limit: perPage,
+    offset: (page - 1) * perPage
+  };
+
+  const [count] = await sequelize.query(`SELECT COUNT(*) AS total FROM screenshots ${where}`, {
+    replacements,
+    type: QueryTypes.SELECT
+  });
+  const rows = await sequelize.query(`
+    SELECT id, url, output_path, slices, timestamp_column, created_at
+    FROM screenshots
+    ${where}
+    ORDER BY created_at DESC NULLS LAST, id DESC
+    LIMIT :limit OFFSET :offset
+  `, {
+    replacements,
+    type: QueryTypes.SELECT
+  });
+
+  const screenshots = await Promise.all(rows.map(row => describeFiles(store, row)));
+  return {
+    screenshots,
+    total: toCount(count?.total),
+    page,
+    perPage,
+    missing: screenshots.filter(screenshot => screenshot.status === 'missing').length
+  };
+};
+
+/**
+ * The file to serve for a screenshot's image, or for its slice `slice` when
+ * given: the located file (see createScreenshotStore), or null when the
+ * screenshot or slice does not exist.
+ */
+export const locateScreenshotFile = async (store, id, slice = null) => {
+  const [row] = await sequelize.query(`
+    SELECT output_path, slices
+    FROM screenshots
+    WHERE id = :id
+  `, {
+    replacements: { id },
+    type: QueryTypes.SELECT
+  });
+  if (!row) {
+    return null;
+  }
+  if (slice === null) {
+    return store.locate(row.output_path);
+  }
+  const stored = parseSlices(row.slices)[slice];
+  return stored ? store.locate(stored.path) : null;
+};
@@ -0,0 +1,233 @@
+import pg from 'pg';
+import { QueryTypes } from 'sequelize';
+import { sequelize } from '../database.js';
+import logger from '../utils/logger.js';
+
+// NOTIFY channel the search_queries trigger publishes to
+export const SEARCH_QUERY_CHANNEL = 'search_queries_changes';
+
+// Trigger on search_queries that publishes to SEARCH_QUERY_CHANNEL
+const SEARCH_QUERY_TRIGGER = 'search_queries_notify';
+
+// Inserts are collected for this long and delivered to subscribers together
+const DEFAULT_BATCH_MS = 1000;
+
+// A batch with more inserts than this is delivered as a refresh instead of row by row
+const MAX_BATCH_ROWS = 200;
+
+const RECONNECT_DELAY_MS = 5000;
+const MAX_RECONNECT_DELAY_MS = 60000;
+
+// Keyword characters sent in a notification (NOTIFY payloads are limited to 8000 bytes)
+const MAX_NOTIFY_KEYWORD_LENGTH = 500;
+
+const NOTIFY_TRIGGER_SQL = `
+CREATE OR REPLACE FUNCTION notify_search_queries_change() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM pg_notify('${SEARCH_QUERY_CHANNEL}', json_build_object(
+      'op', TG_OP,
+      'id', NEW.id,
+      'keyword', left(NEW.keyword, ${MAX_NOTIFY_KEYWORD_LENGTH}),
+      'platform_name', NEW.platform_name,
+      'search_type', NEW.search_type,
+      'created_at', NEW.created_at
+    )::text);
+  ELSE
+    PERFORM pg_notify('${SEARCH_QUERY_CHANNEL}', json_build_object('op', TG_OP)::text);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ${SEARCH_QUERY_TRIGGER} ON search_queries;
+CREATE TRIGGER ${SEARCH_QUERY_TRIGGER}
+  AFTER INSERT OR UPDATE OR DELETE ON search_queries
+  FOR EACH ROW EXECUTE PROCEDURE notify_search_queries_change();
+`;
+
+// Create or replace the trigger that publishes search_queries changes. This locks
+// search_queries, so it is run once by scripts/install-search-query-trigger.js
+// (or setup.sql), never on startup.
+export const installSearchQueryNotifyTrigger = () => sequelize.query(NOTIFY_TRIGGER_SQL);
+
+// True when the trigger is installed on search_queries (a catalog read, no locks)
+export const hasSearchQueryNotifyTrigger = async () => {
+  const rows = await sequelize.query(`
+    SELECT 1
+    FROM pg_trigger
+    WHERE tgname = :name AND tgrelid = to_regclass('search_queries') AND NOT tgisinternal
+  `, {
+    replacements: { name: SEARCH_QUERY_TRIGGER },
+    type: QueryTypes.SELECT
+  });
+  return rows.length > 0;
+};
+
+// created_at is stored without a time zone in UTC; make that explicit for clients
+const normalizeCreatedAt = (value) => {
+  if (!value) {
+    return null;
+  }
+  return /(Z|[+-]\d{2}:?\d{2})$/.test(value) ? value : `${value}Z`;
+};
+
+/**
+ * Listen for search_queries changes on a dedicated connection and deliver
+ * them to subscribers in batches, as `{ type: 'queries', rows }` for new
+ * rows or `{ type: 'refresh', reason }` when clients should reload instead
+ * (updates, deletes, large batches, or a reconnect that may have missed
+ * notifications). Reconnects with backoff when the connection drops.
+ * Call start() to connect.
+ */
+export const createSearchQueryFeed = ({ batchMs = DEFAULT_BATCH_MS } = {}) => {
+  const subscribers = new Set();
+  let client = null;
+  let closed = false;
+  let reconnectDelay = RECONNECT_DELAY_MS;
+  let reconnectTimer = null;
+  let flushTimer = null;
+  let pendingRows = [];
+  let pendingRefresh = null;
+
+  const publish = (change) => {
+    subscribers.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        logger.error('Search query feed subscriber failed:', error);
+      }
+    });
+  };
+
+  const flush = () => {
+    flushTimer = null;
+    const rows = pendingRows;
+    const refresh = pendingRefresh;
+    pendingRows = [];
+    pendingRefresh = null;
+
+    if (refresh || rows.length > MAX_BATCH_ROWS) {
+      publish({ type: 'refresh', reason: refresh || 'bulk-insert' });
+    } else if (rows.length) {
+      publish({ type: 'queries', rows });
+    }
+  };
+
+  const queue = (update) => {
+    update();
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, batchMs);
+    }
+  };
+
+  const handleNotification = ({ channel, payload }) => {
+    if (channel !== SEARCH_QUERY_CHANNEL) {
+      return;
+    }
+
+    let change;
+    try {
+      change = JSON.parse(payload);
+    } catch (error) {
+      logger.warn(`Ignoring malformed ${SEARCH_QUERY_CHANNEL} notification: ${payload}`);
+      return;
+    }
+
+    if (change.op === 'INSERT') {
+      const { op, ...row } = change;
+      queue(() => pendingRows.push({ ...row, created_at: normalizeCreatedAt(row.created_at) }));
+    } else {
+      queue(() => {
+        pendingRefresh = change.op.toLowerCase();
+      });
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (closed || reconnectTimer) {
+      return;
+    }
+    logger.warn(`Search query feed disconnected; reconnecting in ${reconnectDelay / 1000}s`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect({ reconnecting: true });
+    }, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+  };
+
+  const connect = async ({ reconnecting = false } = {}) => {
+    const { host, port, database, username, password, dialectOptions = {} } = sequelize.config;
+    const connection = new pg.Client({
+      host,
+      port,
+      database,
+      user: username,
+      password,
+      ssl: dialectOptions.ssl,
+      keepAlive: true
+    });
+
+    connection.on('notification', handleNotification);
+    connection.on('error', error => logger.warn('Search query feed connection error:', error));
+    connection.on('end', () => {
+      if (client === connection) {
+        client = null;
+        scheduleReconnect();
+      }
+    });
+
+    try {
+      await connection.connect();
+      await connection.query(`LISTEN ${SEARCH_QUERY_CHANNEL}`);
+    } catch (error) {
+      logger.warn('Search query feed could not connect:', error);
+      connection.end().catch(() => {});
+      scheduleReconnect();
+      return;
+    }
+
+    if (closed) {
+      await connection.end().catch(() => {});
+      return;
+    }
+
+    client = connection;
+    reconnectDelay = RECONNECT_DELAY_MS;
+    logger.info(`Listening for search query changes on ${SEARCH_QUERY_CHANNEL}`);
+
+    if (reconnecting) {
+      queue(() => {
+        pendingRefresh = 'reconnect';
+      });
+    }
+  };
+
+  return {
+    start: () => connect(),
+
+    // Register a listener for changes; returns a function that removes it
+    subscribe(listener) {
+      subscribers.add(listener);
+      return () => subscribers.delete(listener);
+    },
+
+    get connected() {
+      return Boolean(client);
+    },
+
+    // Stop listening; subscribers get a final `{ type: 'close' }` so they can end their streams
+    async close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      clearTimeout(flushTimer);
+      publish({ type: 'close' });
+      subscribers.clear();
+      if (client) {
+        const connection = client;
+        client = null;
+        await connection.end();
+      }
+    }
+  };
+};
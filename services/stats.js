@@ -0,0 +1,340 @@
+import { createHash } from 'crypto';
+import { Op } from 'sequelize';
+import { sequelize } from '../database.js';
+import SearchQuery from '../models/QueryResult.js';
+import SearchQueryDaily from '../models/SearchQueryDaily.js';
+import { dayStart, getDailyRollupWatermark, splitRollupRange } from './rollup.js';
+import {
+  countTimeline,
+  regroupDays,
+  fillTimeline,
+  bucketKey,
+  parseBucketKey,
+  truncateWallTime
+} from './timeline.js';
+import { buildSearchQueryWhere, andWhere, trimmedPlatform } from '../utils/search-filters.js';
+import { DAY_MS, toCount } from '../utils/aggregates.js';
+import { DEFAULT_GRANULARITY, DEFAULT_TIME_ZONE } from '../utils/time-zones.js';
+
+// Platform values that mean "not set" and are left out of the platform breakdown
+const MISSING_PLATFORMS = ['', 'null', '[null]'];
+
+// Live per (day, platform, search_type) counts, grouped the same way as the rollup
+export const countLiveGroups = async (where) => {
+  const day = sequelize.fn('DATE', sequelize.col('created_at'));
+  const platform = sequelize.fn('COALESCE', trimmedPlatform(), '');
+  const type = sequelize.fn('COALESCE', sequelize.col('search_type'), '');
+
+  const rows = await SearchQuery.findAll({
+    attributes: [
+      [day, 'day'],
+      [platform, 'platform'],
+      [type, 'type'],
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+    ],
+    where,
+    group: [day, platform, type],
+    raw: true
+  });
+
+  return rows.map(row => ({ ...row, count: toCount(row.count) }));
+};
+
+// Rolled-up counts for whole days in [start, end) matching the filters
+const countRolledUpGroups = async (filters, { start, end }) => {
+  const rows = await SearchQueryDaily.findAll({
+    attributes: ['day', ['platform_name', 'platform'], ['search_type', 'type'], ['query_count', 'count']],
+    where: andWhere(
+      { day: start ? { [Op.gte]: start, [Op.lt]: end } : { [Op.lt]: end } },
+      filters.platform_name ? { platform_name: filters.platform_name } : {},
+      filters.search_type ? { search_type: filters.search_type } : {}
+    ),
+    raw: true
+  });
+
+  return rows.map(row => ({ ...row, count: toCount(row.count) }));
+};
+
+/**
+ * Per (day, platform, search_type) counts for the filters. Whole days before
+ * the rollup watermark come from search_queries_daily; the rest of the range
+ * (today, partial days at the edges, rows without created_at) is counted live.
+ */
+const countGroups = async (filters, where) => {
+  const range = splitRollupRange(filters, await getDailyRollupWatermark());
+  if (!range) {
+    return countLiveGroups(where);
+  }
+
+  const liveSegments = [
+    { created_at: { [Op.gte]: dayStart(range.end) } },
+    range.start ? { created_at: { [Op.lt]: dayStart(range.start) } } : { created_at: null }
+  ];
+
+  return [
+    ...await countRolledUpGroups(filters, range),
+    ...await countLiveGroups(andWhere(where, { [Op.or]: liveSegments }))
+  ];
+};
+
+// Fold grouped counts into the totals and breakdowns returned by /api/stats
+export const summarizeGroups = (groups) => {
+  let total = 0;
+  const searchTypeBreakdown = {};
+  const platformBreakdown = {};
+  const timelineData = {};
+
+  // Ascending by day, with rows lacking created_at last (as ORDER BY does)
+  const byDay = [...groups].sort((a, b) => {
+    if (a.day === b.day) {
+      return 0;
+    }
+    if (a.day === null) {
+      return 1;
+    }
+    if (b.day === null) {
+      return -1;
+    }
+    return a.day < b.day ? -1 : 1;
+  });
+
+  byDay.forEach(({ day, platform, type, count }) => {
+    total += count;
+
+    const searchType = type || 'Unknown';
+    searchTypeBreakdown[searchType] = (searchTypeBreakdown[searchType] || 0) + count;
+
+    if (!MISSING_PLATFORMS.includes(platform)) {
+      platformBreakdown[platform] = (platformBreakdown[platform] || 0) + count;
+    }
+
+    timelineData[day] = (timelineData[day] || 0) + count;
+  });
+
+  return { total, searchTypeBreakdown, platformBreakdown, timelineData };
+};
+
+const timelineOptions = (filters) => ({
+  granularity: filters.granularity || DEFAULT_GRANULARITY,
+  timeZone: filters.tz || DEFAULT_TIME_ZONE
+});
+
+// Timeline counts in the requested buckets. UTC days, weeks and months are
+// folded from the daily counts; hours and other time zones are counted live.
+export const countTimelineBuckets = (where, dailyTimeline, { granularity, timeZone }) => {
+  if (timeZone === 'UTC' && granularity !== 'hour') {
+    return regroupDays(dailyTimeline, granularity);
+  }
+  return countTimeline(where, { granularity, timeZone });
+};
+
+// Aggregate search_queries for the dashboard, restricted by the parsed filters
+const aggregateSearchStats = async (filters = {}) => {
+  const where = buildSearchQueryWhere(filters);
+
+  // Counts and breakdowns from the daily rollup plus live rows
+  const {
+    total,
+    searchTypeBreakdown,
+    platformBreakdown,
+    timelineData: dailyTimeline
+  } = summarizeGroups(await countGroups(filters, where));
+
+  // Timeline in the requested time zone and granularity, with empty buckets as zeros
+  const options = timelineOptions(filters);
+  const timelineData = fillTimeline(await countTimelineBuckets(where, dailyTimeline, options), {
+    ...options,
+    from: filters.from,
+    to: filters.to
+  });
+
+  // Get date range
+  const dateRange = await SearchQuery.findAll({
+    attributes: [
+      [sequelize.fn('MIN', sequelize.col('created_at')), 'earliest'],
+      [sequelize.fn('MAX', sequelize.col('created_at')), 'latest']
+    ],
+    where,
+    raw: true
+  });
+
+  const { earliest, latest } = dateRange[0] || {};
+
+  // Get recent queries (only fetch the latest 10)
+  const recentRecords = await SearchQuery.findAll({
+    where,
+    order: [['created_at', 'DESC']],
+    limit: 10
+  });
+
+  const recentQueries = recentRecords.map(r => ({
+    id: r.id,
+    keyword: r.keyword,
+    search_type: r.search_type,
+    platform_name: r.platform_name,
+    created_at: r.created_at
+  }));
+
+  return {
+    total,
+    searchTypeBreakdown,
+    timelineData,
+    platformBreakdown,
+    recentQueries,
+    dateRange: {
+      earliest,
+      latest
+    }
+  };
+};
+
+export const COMPARE_MODES = ['previous', 'year'];
+
+const shiftYears = (date, years) => {
+  const shifted = new Date(date);
+  shifted.setUTCFullYear(shifted.getUTCFullYear() + years);
+  return shifted;
+};
+
+/**
+ * Comparison window for the filtered period [from, to) (`to` defaults to
+ * now): the period of the same length right before it (`previous`) or the
+ * same dates a year earlier (`year`). `shift` maps a time in the comparison
+ * window onto the matching time in the current period.
+ */
+export const comparisonPeriod = ({ from, to }, mode, now = new Date()) => {
+  const end = to || now;
+
+  if (mode === 'year') {
+    return {
+      period: { from, to: end },
+      comparisonPeriod: { from: shiftYears(from, -1), to: shiftYears(end, -1) },
+      shift: (date) => shiftYears(date, 1)
+    };
+  }
+
+  const length = end.getTime() - from.getTime();
+  return {
+    period: { from, to: end },
+    comparisonPeriod: { from: new Date(from.getTime() - length), to: from },
+    shift: (date) => new Date(new Date(date).getTime() + length)
+  };
+};
+
+// Days between the first and last query, as the dashboard's Date Range card shows them
+const dateRangeDays = ({ earliest, latest }) => (earliest && latest
+  ? Math.ceil((new Date(latest) - new Date(earliest)) / DAY_MS)
+  : 0);
+
+// Change from `previous` to `current`; percentChange is null when there is nothing to compare with
+const delta = (current, previous) => ({
+  current,
+  previous,
+  change: current - previous,
+  percentChange: previous ? Number((((current - previous) / previous) * 100).toFixed(2)) : null
+});
+
+const breakdownDeltas = (current, previous) => Object.fromEntries(
+  [...new Set([...Object.keys(current), ...Object.keys(previous)])]
+    .map(key => [key, delta(current[key] || 0, previous[key] || 0)])
+);
+
+/**
+ * The same aggregates for the comparison window of `stats`, with deltas
+ * against it. The comparison timeline is keyed by the bucket of the current
+ * period it lines up with, so it can be drawn over the current timeline.
+ */
+const compareSearchStats = async (filters, stats) => {
+  const { period, comparisonPeriod: previousPeriod, shift } = comparisonPeriod(filters, filters.compare);
+  const previous = await aggregateSearchStats({ ...filters, ...previousPeriod });
+
+  const { granularity } = timelineOptions(filters);
+  const timelineData = {};
+  Object.entries(previous.timelineData).forEach(([key, count]) => {
+    if (key === 'null') {
+      return;
+    }
+    const aligned = bucketKey(truncateWallTime(shift(parseBucketKey(key)), granularity), granularity);
+    timelineData[aligned] = (timelineData[aligned] || 0) + count;
+  });
+
+  return {
+    mode: filters.compare,
+    period,
+    comparisonPeriod: previousPeriod,
+    total: previous.total,
+    searchTypes: Object.keys(previous.searchTypeBreakdown).length,
+    dateRangeDays: dateRangeDays(previous.dateRange),
+    searchTypeBreakdown: previous.searchTypeBreakdown,
+    platformBreakdown: previous.platformBreakdown,
+    timelineData,
+    dateRange: previous.dateRange,
+    deltas: {
+      total: delta(stats.total, previous.total),
+      searchTypes: delta(Object.keys(stats.searchTypeBreakdown).length, Object.keys(previous.searchTypeBreakdown).length),
+      dateRangeDays: delta(dateRangeDays(stats.dateRange), dateRangeDays(previous.dateRange)),
+      searchTypeBreakdown: breakdownDeltas(stats.searchTypeBreakdown, previous.searchTypeBreakdown),
+      platformBreakdown: breakdownDeltas(stats.platformBreakdown, previous.platformBreakdown)
+    }
+  };
+};
+
+/**
+ * Dashboard aggregates for the parsed filters. With `filters.compare` (one
+ * of COMPARE_MODES, which needs a `from` bound) the result also carries a
+ * `comparison` with the aggregates of the comparison window and deltas.
+ */
+export const getSearchStats = async (filters = {}) => {
+  const stats = await aggregateSearchStats(filters);
+
+  if (filters.compare) {
+    stats.comparison = await compareSearchStats(filters, stats);
+  }
+
+  return stats;
+};
+
+// Prefix of every /api/stats cache key, for dropping just those entries
+export const STATS_CACHE_PREFIX = 'stats:';
+
+// Cache key for a set of parsed filters; filters that are not set are null
+export const statsCacheKey = (filters = {}) => `${STATS_CACHE_PREFIX}${JSON.stringify([
+  filters.from ?? null,
+  filters.to ?? null,
+  filters.platform_name ?? null,
+  filters.search_type ?? null,
+  filters.compare ?? null,
+  filters.granularity ?? null,
+  filters.tz ?? null
+])}`;
+
+// Strong ETag over the serialized aggregates
+const statsEtag = (data) => `"${createHash('sha1').update(JSON.stringify(data)).digest('base64url')}"`;
+
+// Cache misses currently being computed, so concurrent requests share one query run
+const pendingStats = new Map();
+
+/**
+ * Aggregates for the filters, served from `cache` when fresh. Resolves to
+ * `{ data, etag, generatedAt, cached }`; the ETag only changes when the
+ * aggregates do, so clients can revalidate with If-None-Match.
+ */
+export const getCachedSearchStats = async (filters, cache) => {
+  const key = statsCacheKey(filters);
+
+  const hit = await cache.get(key);
+  if (hit) {
+    return { ...hit, cached: true };
+  }
+
+  if (!pendingStats.has(key)) {
+    pendingStats.set(key, (async () => {
+      const data = await getSearchStats(filters);
+      const entry = { data, etag: statsEtag(data), generatedAt: new Date().toISOString() };
+      await cache.set(key, entry);
+      return entry;
+    })().finally(() => pendingStats.delete(key)));
+  }
+
+  return { ...(await pendingStats.get(key)), cached: false };
+};
@@ -0,0 +1,235 @@
+import { randomUUID } from 'crypto';
+import { ValidationError } from 'adminjs';
+import { sequelize } from '../database.js';
+import { recordAuditEntry } from './audit.js';
+import logger from '../utils/logger.js';
+
+/*
+ * System prompt versions. Prompts for the same platform and search_type are
+ * versions of one prompt, of which at most one is active. A prompt's text is
+ * never changed in place: a change is a new version, so every version the
+ * searches referenced stays as it was.
+ */
+
+// system_prompt.version is a VARCHAR(10)
+export const MAX_VERSION_LENGTH = 10;
+
+const RESOURCE_ID = 'system_prompt';
+
+// Versions compare by their numbers in order (v2 < v10, 1.9 < 1.10), then as text
+const versionNumbers = (version) => (String(version ?? '').match(/\d+/g) || []).map(Number);
+
+export const compareVersions = (a, b) => {
+  const left = versionNumbers(a);
+  const right = versionNumbers(b);
+  for (let index = 0; index < Math.max(left.length, right.length); index++) {
+    const difference = (left[index] ?? -1) - (right[index] ?? -1);
+    if (difference) {
+      return difference;
+    }
+  }
+  return String(a ?? '').localeCompare(String(b ?? ''));
+};
+
+/**
+ * Version after the highest of `versions`: its last number plus one
+ * (v3 -> v4, 1.9 -> 1.10), or v1 when there is none. Null when the highest
+ * version has no number or the next one would not fit the column.
+ */
+export const nextPromptVersion = (versions) => {
+  const highest = versions.filter(Boolean).sort(compareVersions).pop();
+  if (!highest) {
+    return 'v1';
+  }
+
+  const match = String(highest).match(/^(.*?)(\d+)(\D*)$/);
+  if (!match) {
+    return null;
+  }
+  const next = `${match[1]}${Number(match[2]) + 1}${match[3]}`;
+  return next.length <= MAX_VERSION_LENGTH ? next : null;
+};
+
+// The prompts a prompt is a version of: same platform and search_type
+const versionGroupWhere = (prompt) => ({
+  platform: prompt.platform,
+  search_type: prompt.search_type ?? null
+});
+
+const describeGroup = (prompt) => `${prompt.platform}${prompt.search_type ? ` / ${prompt.search_type}` : ''}`;
+
+/**
+ * Make `prompt` the only active version of its group inside `transaction`.
+ * The group's rows are locked first, so concurrent activations run one after
+ * the other. Resolves to the prompts that were deactivated.
+ */
+const activateInTransaction = async (Model, prompt, transaction) => {
+  const group = await Model.findAll({
+    where: versionGroupWhere(prompt),
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  const deactivated = group.filter(other => other.id !== prompt.id && other.is_active);
+  if (deactivated.length) {
+    await Model.update({ is_active: false }, { where: { id: deactivated.map(other => other.id) }, transaction });
+  }
+  await Model.update({ is_active: true }, { where: { id: prompt.id }, transaction });
+
+  return deactivated.map(other => other.get({ plain: true }));
+};
+
+const auditActivation = async (actor, prompt, deactivated) => {
+  await recordAuditEntry({
+    actor,
+    action: 'activate',
+    resource: RESOURCE_ID,
+    recordId: prompt.id,
+    before: { is_active: Boolean(prompt.is_active) },
+    after: { is_active: true }
+  });
+  await Promise.all(deactivated.map(other => recordAuditEntry({
+    actor,
+    action: 'deactivate',
+    resource: RESOURCE_ID,
+    recordId: other.id,
+    before: { is_active: true },
+    after: { is_active: false }
+  })));
+};
+
+/**
+ * AdminJS handler for "New version": GET returns the suggested next version,
+ * POST creates a version of the record's prompt with the submitted
+ * prompt_text and version, optionally activating it in the same transaction.
+ */
+export const newPromptVersionAction = async (request, response, context) => {
+  const { record, resource, currentAdmin, h } = context;
+  const Model = resource.SequelizeModel;
+  const source = record.params;
+
+  const siblings = await Model.findAll({ where: versionGroupWhere(source), attributes: ['version'], raw: true });
+  const versions = siblings.map(sibling => sibling.version);
+
+  if (request.method !== 'post') {
+    return { record: record.toJSON(currentAdmin), suggestedVersion: nextPromptVersion(versions) };
+  }
+
+  const payload = request.payload || {};
+  const promptText = typeof payload.prompt_text === 'string' ? payload.prompt_text : '';
+  const version = typeof payload.version === 'string' ? payload.version.trim() : '';
+  const activate = payload.activate === true || payload.activate === 'true';
+
+  const errors = {};
+  if (!promptText.trim()) {
+    errors.prompt_text = { message: 'Enter the prompt text' };
+  } else if (promptText === source.prompt_text) {
+    errors.prompt_text = { message: 'The text is the same as this version; change it to create a new version' };
+  }
+  if (!version) {
+    errors.version = { message: 'Enter a version' };
+  } else if (version.length > MAX_VERSION_LENGTH) {
+    errors.version = { message: `Versions have at most ${MAX_VERSION_LENGTH} characters` };
+  } else if (versions.includes(version)) {
+    errors.version = { message: `${describeGroup(source)} already has a version ${version}` };
+  }
+  if (Object.keys(errors).length) {
+    throw new ValidationError(errors);
+  }
+
+  let deactivated = [];
+  const created = await sequelize.transaction(async (transaction) => {
+    const prompt = await Model.create({
+      id: randomUUID(),
+      platform: source.platform,
+      search_type: source.search_type ?? null,
+      prompt_text: promptText,
+      version,
+      is_active: false,
+      created_at: new Date()
+    }, { transaction });
+
+    if (activate) {
+      deactivated = await activateInTransaction(Model, prompt, transaction);
+    }
+    return prompt;
+  });
+
+  const createdRecord = await resource.findOne(created.id);
+  await recordAuditEntry({
+    actor: currentAdmin,
+    action: 'newVersion',
+    resource: RESOURCE_ID,
+    recordId: created.id,
+    before: null,
+    after: { ...created.get({ plain: true }), based_on: source.id }
+  });
+  if (activate) {
+    await auditActivation(currentAdmin, created.get({ plain: true }), deactivated);
+  }
+
+  logger.info(`System prompt ${describeGroup(source)} version ${version} (${created.id}) created from ${source.id} by ${currentAdmin?.email}${activate ? ' and activated' : ''}`);
+
+  return {
+    record: createdRecord.toJSON(currentAdmin),
+    redirectUrl: h.showUrl(resource.id(), created.id),
+    notice: { message: `Version ${version} created${activate ? ' and activated' : ''}`, type: 'success' }
+  };
+};
+
+/**
+ * AdminJS handler for "Activate": makes the record the only active prompt
+ * for its platform and search_type in one transaction. Other versions are
+ * only deactivated, never changed otherwise.
+ */
+export const activatePromptAction = async (request, response, context) => {
+  const { record, resource, currentAdmin } = context;
+  const Model = resource.SequelizeModel;
+  const prompt = record.params;
+
+  const deactivated = await sequelize.transaction(transaction => activateInTransaction(Model, prompt, transaction));
+  await auditActivation(currentAdmin, prompt, deactivated);
+
+  logger.info(`System prompt ${describeGroup(prompt)} version ${prompt.version} (${prompt.id}) activated by ${currentAdmin?.email}; deactivated ${deactivated.length} other version(s)`);
+
+  const activated = await resource.findOne(record.id());
+  return {
+    record: activated.toJSON(currentAdmin),
+    notice: { message: `Version ${prompt.version ?? ''} is now the active prompt for ${describeGroup(prompt)}`, type: 'success' }
+  };
+};
+
+/**
+ * AdminJS handler for "Compare": every version of the record's prompt, highest
+ * version first, and the full record of the version chosen with `?with=<id>`.
+ */
+export const comparePromptsAction = async (request, response, context) => {
+  const { record, resource, currentAdmin } = context;
+  const Model = resource.SequelizeModel;
+
+  const versions = await Model.findAll({
+    where: versionGroupWhere(record.params),
+    attributes: ['id', 'version', 'is_active', 'created_at'],
+    raw: true
+  });
+
+  const otherId = request.query?.with;
+  const other = otherId && versions.some(version => version.id === otherId)
+    ? await resource.findOne(otherId)
+    : null;
+
+  return {
+    record: record.toJSON(currentAdmin),
+    versions: versions.sort((a, b) => compareVersions(b.version, a.version)),
+    other: other ? other.toJSON(currentAdmin) : null
+  };
+};
+
+// AdminJS before hook for new prompts: they start inactive (activate them with the Activate action)
+export const prepareNewPrompt = async (request) => {
+  if (request.method === 'post' && request.payload) {
+    const { id, is_active: isActive, created_at: createdAt, ...payload } = request.payload;
+    request.payload = { ...payload, is_active: false, created_at: new Date().toISOString() };
+  }
+  return request;
+};
@@ -0,0 +1,200 @@
+import { sequelize } from '../database.js';
+import SearchQuery from '../models/QueryResult.js';
+import { createHttpError } from '../middleware/error-handler.js';
+
+// Upper bound on buckets in one timeline, so an hourly view of years of data is refused
+export const MAX_TIMELINE_BUCKETS = 10000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/*
+ * Buckets are computed on "wall times": Dates whose UTC fields hold the local
+ * date and time in the requested zone. Bucket keys are the local start of the
+ * bucket, YYYY-MM-DD for day/week/month and YYYY-MM-DDTHH:00 for hours.
+ */
+
+const wallTimeFormatters = new Map();
+
+// Local date and time of an instant in `timeZone`, as a wall time
+const toWallTime = (date, timeZone) => {
+  if (!wallTimeFormatters.has(timeZone)) {
+    wallTimeFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    wallTimeFormatters.get(timeZone).formatToParts(date).map(({ type, value }) => [type, Number(value)])
+  );
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+};
+
+// Instant at which clocks in `timeZone` show a wall time (the later one when it is ambiguous)
+const fromWallTime = (wallTime, timeZone) => {
+  const guess = wallTime.getTime();
+  const offset = toWallTime(new Date(guess), timeZone).getTime() - guess;
+  const corrected = toWallTime(new Date(guess - offset), timeZone).getTime() - (guess - offset);
+  return new Date(guess - corrected);
+};
+
+// Start of the bucket a wall time falls in (weeks start on Monday, as date_trunc does)
+export const truncateWallTime = (wallTime, granularity) => {
+  const start = new Date(wallTime);
+  start.setUTCMinutes(0, 0, 0);
+  if (granularity === 'hour') {
+    return start;
+  }
+
+  start.setUTCHours(0);
+  if (granularity === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (granularity === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+const nextBucket = (bucketStart, granularity) => {
+  const next = new Date(bucketStart);
+  if (granularity === 'hour') {
+    next.setTime(next.getTime() + HOUR_MS);
+  } else if (granularity === 'day') {
+    next.setUTCDate(next.getUTCDate() + 1);
+  } else if (granularity === 'week') {
+    next.setUTCDate(next.getUTCDate() + 7);
+  } else {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  }
+  return next;
+};
+
+export const bucketKey = (bucketStart, granularity) => {
+  const iso = bucketStart.toISOString();
+  return granularity === 'hour' ? `${iso.slice(0, 13)}:00` : iso.slice(0, 10);
+};
+
+// Wall time a bucket key starts at
+export const parseBucketKey = (key) => new Date(key.length === 10 ? `${key}T00:00:00Z` : `${key}:00Z`);
+
+// Key of the bucket an instant falls in
+const instantBucketKey = (date, { granularity, timeZone }) => bucketKey(
+  truncateWallTime(toWallTime(date, timeZone), granularity),
+  granularity
+);
+
+/**
+ * Read date-only `from`/`to` query values as whole local days in `timeZone`
+ * rather than the UTC days parseSearchFilters reads them as; `to` stays an
+ * exclusive bound. Other values are left as parsed.
+ */
+export const localizeDateBounds = (filters, query, timeZone) => {
+  const localized = { ...filters };
+
+  ['from', 'to'].forEach(key => {
+    const raw = typeof query[key] === 'string' ? query[key].trim() : '';
+    if (!filters[key] || !DATE_ONLY_PATTERN.test(raw)) {
+      return;
+    }
+    const day = parseBucketKey(raw);
+    if (key === 'to') {
+      day.setUTCDate(day.getUTCDate() + 1);
+    }
+    localized[key] = fromWallTime(day, timeZone);
+  });
+
+  return localized;
+};
+
+/**
+ * SQL for the bucket key of a timestamp column, for raw queries. Timestamps
+ * are stored in UTC without a zone, so they are tagged as UTC before
+ * converting to `timeZone`.
+ */
+export const timelineBucketSql = (column, { granularity, timeZone }) => {
+  const local = `${column} AT TIME ZONE 'UTC' AT TIME ZONE ${sequelize.escape(timeZone)}`;
+  const format = granularity === 'hour' ? 'YYYY-MM-DD"T"HH24:00' : 'YYYY-MM-DD';
+  return `to_char(date_trunc(${sequelize.escape(granularity)}, ${local}), ${sequelize.escape(format)})`;
+};
+
+// Bucket key of search_queries.created_at
+export const timelineBucket = (options) => sequelize.literal(timelineBucketSql('"created_at"', options));
+
+// Live counts per bucket; rows without created_at are counted under 'null'
+export const countTimeline = async (where, options) => {
+  const bucket = timelineBucket(options);
+
+  const rows = await SearchQuery.findAll({
+    attributes: [[bucket, 'bucket'], [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    where,
+    group: [bucket],
+    raw: true
+  });
+
+  return Object.fromEntries(rows.map(row => [row.bucket ?? 'null', parseInt(row.count, 10) || 0]));
+};
+
+// Fold UTC day counts (as the daily rollup keeps them) into UTC week or month buckets
+export const regroupDays = (dayCounts, granularity) => {
+  const counts = {};
+  Object.entries(dayCounts).forEach(([day, count]) => {
+    const key = day === 'null' ? day : bucketKey(truncateWallTime(parseBucketKey(day), granularity), granularity);
+    counts[key] = (counts[key] || 0) + count;
+  });
+  return counts;
+};
+
+/**
+ * Order bucket counts and add zero buckets for every gap. The timeline runs
+ * from the bucket of `from` (or the first bucket with data) to the bucket of
+ * `to` (or the last bucket with data), and never past the current bucket
+ * unless there is data there. Rows without created_at stay last under 'null'.
+ * Throws a 400 error when the result would exceed MAX_TIMELINE_BUCKETS.
+ */
+export const fillTimeline = (counts, { granularity, timeZone, from, to, now = new Date() }) => {
+  const keys = Object.keys(counts).filter(key => key !== 'null').sort();
+  const bounds = { granularity, timeZone };
+
+  let first = keys[0];
+  let last = keys[keys.length - 1];
+
+  if (from) {
+    const fromKey = instantBucketKey(from, bounds);
+    first = !first || fromKey < first ? fromKey : first;
+  }
+  if (to) {
+    const end = new Date(Math.min(to.getTime() - 1, now.getTime()));
+    const toKey = instantBucketKey(end, bounds);
+    last = !last || toKey > last ? toKey : last;
+  }
+
+  const timeline = {};
+  if (first && last) {
+    const end = parseBucketKey(last);
+    let buckets = 0;
+    for (let bucket = parseBucketKey(first); bucket <= end; bucket = nextBucket(bucket, granularity)) {
+      const key = bucketKey(bucket, granularity);
+      timeline[key] = counts[key] || 0;
+      if (++buckets > MAX_TIMELINE_BUCKETS) {
+        throw createHttpError(
+          400,
+          `The timeline would have more than ${MAX_TIMELINE_BUCKETS} ${granularity} buckets; narrow the date range or choose a coarser granularity`
+        );
+      }
+    }
+  }
+
+  if ('null' in counts) {
+    timeline.null = counts.null;
+  }
+
+  return timeline;
+};
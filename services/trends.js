@@ -0,0 +1,278 @@
+import { QueryTypes } from 'sequelize';
+import { sequelize } from '../database.js';
+import { normalizeKeyword } from '../utils/search-filters.js';
+import { cachedResult } from './cache.js';
+import { toCount } from '../utils/aggregates.js';
+
+/*
+ * Trends explorer over `trends_now`: each row is a snapshot of the trending
+ * terms for one `location`, taken at `created_at`, with the terms stored as
+ * JSONB in `trends_data`. Snapshots of a location are compared in time order
+ * to follow a term's rank and to find the terms that entered or dropped out.
+ */
+
+// Keys holding the list of trends when trends_data is an object, most specific first
+const LIST_KEYS = ['trending_searches', 'trendingSearches', 'trends', 'items', 'results', 'searches', 'queries', 'data'];
+
+// Keys naming the term of a trend object, and those giving its rank and search volume
+const TERM_KEYS = ['query', 'term', 'title', 'keyword', 'name', 'topic', 'trend', 'text'];
+const RANK_KEYS = ['rank', 'position', 'pos', 'index'];
+const VOLUME_KEYS = ['search_volume', 'searchVolume', 'traffic', 'formattedTraffic', 'formatted_traffic', 'volume'];
+
+// How deep into nested objects and lists the list of trends is looked for
+const MAX_LIST_DEPTH = 4;
+
+// Term of one trend: a string, or the first naming key of an object (title may itself be { query })
+const trendTerm = (trend, depth = 0) => {
+  if (typeof trend === 'string' || typeof trend === 'number') {
+    return String(trend).trim() || null;
+  }
+  if (!trend || typeof trend !== 'object' || Array.isArray(trend) || depth > 1) {
+    return null;
+  }
+  for (const key of TERM_KEYS) {
+    const term = trendTerm(trend[key], depth + 1);
+    if (term) {
+      return term;
+    }
+  }
+  return null;
+};
+
+/*
+ * The list of trends in a snapshot: trends_data itself when it is a list of
+ * terms, else the first such list found under it, looking under LIST_KEYS
+ * first. A list of groups (e.g. one per day) is searched through its groups.
+ */
+const findTrendList = (data, depth = 0) => {
+  if (typeof data === 'string' && depth === 0) {
+    try {
+      return findTrendList(JSON.parse(data), depth);
+    } catch {
+      return null;
+    }
+  }
+  if (!data || typeof data !== 'object' || depth > MAX_LIST_DEPTH) {
+    return null;
+  }
+  if (Array.isArray(data)) {
+    if (data.some(item => trendTerm(item))) {
+      return data;
+    }
+    for (const item of data) {
+      const list = findTrendList(item, depth + 1);
+      if (list) {
+        return list;
+      }
+    }
+    return null;
+  }
+
+  const keys = [...LIST_KEYS.filter(key => key in data), ...Object.keys(data).filter(key => !LIST_KEYS.includes(key))];
+  for (const key of keys) {
+    const list = findTrendList(data[key], depth + 1);
+    if (list) {
+      return list;
+    }
+  }
+  return null;
+};
+
+const firstValue = (trend, keys) => {
+  if (!trend || typeof trend !== 'object') {
+    return undefined;
+  }
+  const key = keys.find(name => trend[name] !== undefined && trend[name] !== null && trend[name] !== '');
+  return key ? trend[key] : undefined;
+};
+
+/**
+ * Trend terms of one trends_data snapshot, best rank first: `{ term, key,
+ * rank, searchVolume }`. Accepts a list of strings or of trend objects, at the
+ * top or under a key such as trending_searches. The rank is the trend's own
+ * rank or position when it has one, else its place in the list. Terms are
+ * matched across snapshots by `key`, the term normalized like keywords are;
+ * a term listed twice keeps its best rank.
+ */
+export const parseTrendTerms = (trendsData) => {
+  const list = findTrendList(trendsData) || [];
+  const terms = new Map();
+
+  list.forEach((trend, index) => {
+    const term = trendTerm(trend);
+    if (!term) {
+      return;
+    }
+    const ownRank = Number(firstValue(trend, RANK_KEYS));
+    const rank = Number.isInteger(ownRank) && ownRank > 0 ? ownRank : index + 1;
+    const volume = firstValue(trend, VOLUME_KEYS);
+    const key = normalizeKeyword(term);
+
+    if (!terms.has(key) || terms.get(key).rank > rank) {
+      terms.set(key, { term, key, rank, searchVolume: volume === undefined ? null : volume });
+    }
+  });
+
+  return [...terms.values()].sort((a, b) => a.rank - b.rank);
+};
+
+const periodConditions = ({ from, to }) => [
+  from && 'created_at >= :from',
+  to && 'created_at < :to'
+].filter(Boolean);
+
+// Locations with snapshots in the period, the most recently updated first
+export const getTrendLocations = async (filters = {}) => {
+  const conditions = periodConditions(filters);
+  const rows = await sequelize.query(`
+    SELECT TRIM(location) AS location, COUNT(*) AS snapshots, MAX(created_at) AS latest_at
+    FROM trends_now
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    GROUP BY 1
+    ORDER BY latest_at DESC NULLS LAST, location ASC
+  `, {
+    replacements: { from: filters.from ?? null, to: filters.to ?? null },
+    type: QueryTypes.SELECT
+  });
+
+  return rows.map(row => ({ location: row.location, snapshots: toCount(row.snapshots), latestAt: row.latest_at }));
+};
+
+// The latest `limit` snapshots of a location in the period, oldest first, with their parsed terms
+const getSnapshots = async (location, filters, limit) => {
+  const rows = await sequelize.query(`
+    SELECT id, created_at, trends_data
+    FROM trends_now
+    WHERE ${['TRIM(location) = :location', ...periodConditions(filters)].join(' AND ')}
+    ORDER BY created_at DESC NULLS LAST, id DESC
+    LIMIT :limit
+  `, {
+    replacements: { location, from: filters.from ?? null, to: filters.to ?? null, limit },
+    type: QueryTypes.SELECT
+  });
+
+  return rows.reverse().map(row => ({ id: row.id, createdAt: row.created_at, terms: parseTrendTerms(row.trends_data) }));
+};
+
+// Terms of `current` that `previous` did not have, and those of `previous` that `current` lost
+const compareSnapshots = (previous, current, matches) => {
+  const previousKeys = new Set(previous.terms.map(term => term.key));
+  const currentKeys = new Set(current.terms.map(term => term.key));
+
+  return {
+    snapshotId: current.id,
+    createdAt: current.createdAt,
+    previousSnapshotId: previous.id,
+    previousCreatedAt: previous.createdAt,
+    entered: current.terms.filter(term => !previousKeys.has(term.key) && matches(term))
+      .map(({ term, rank }) => ({ term, rank })),
+    dropped: previous.terms.filter(term => !currentKeys.has(term.key) && matches(term))
+      .map(({ term, rank }) => ({ term, previousRank: rank }))
+  };
+};
+
+/**
+ * Trends of one location for the period [from, to) over its latest
+ * `snapshots` snapshots. Without a location, the location updated most
+ * recently is used. Returns:
+ * - `locations`: every location with snapshots in the period
+ * - `snapshots`: the compared snapshots, oldest first, with their term count;
+ *   snapshots whose trends_data has no recognizable terms are left out of the
+ *   comparison and counted in `unrecognizedSnapshots`
+ * - `latest`: the latest snapshot's terms with their rank in the snapshot
+ *   before it (`previousRank`, `change`, `isNew`) and the terms it lost
+ * - `changes`: terms that entered and dropped out between each pair of
+ *   consecutive snapshots, newest first
+ * - `movement`: the rank in every snapshot (null where it was not trending)
+ *   of `limit` terms: the best ranked of the latest snapshot, then of the
+ *   snapshots before it
+ * `term` narrows all of these to terms containing it.
+ */
+export const getTrends = async (filters = {}, { location, term, snapshots: snapshotLimit = 30, limit = 10 } = {}) => {
+  const locations = await getTrendLocations(filters);
+  const chosen = location ?? locations[0]?.location ?? null;
+  const parsed = chosen === null ? [] : await getSnapshots(chosen, filters, snapshotLimit);
+  const snapshots = parsed.filter(snapshot => snapshot.terms.length);
+
+  const search = term ? normalizeKeyword(term) : null;
+  const matches = (candidate) => !search || candidate.key.includes(search);
+
+  const latestSnapshot = snapshots[snapshots.length - 1] || null;
+  const previousSnapshot = snapshots[snapshots.length - 2] || null;
+  const previousRanks = new Map((previousSnapshot?.terms || []).map(candidate => [candidate.key, candidate.rank]));
+
+  const changes = snapshots.slice(1)
+    .map((snapshot, index) => compareSnapshots(snapshots[index], snapshot, matches))
+    .reverse();
+
+  // Terms to follow: the best ranked of the latest snapshot, topped up from earlier ones
+  const tracked = [];
+  const trackedKeys = new Set();
+  for (let index = snapshots.length - 1; index >= 0 && tracked.length < limit; index--) {
+    snapshots[index].terms.filter(matches).forEach(candidate => {
+      if (tracked.length < limit && !trackedKeys.has(candidate.key)) {
+        trackedKeys.add(candidate.key);
+        tracked.push(candidate);
+      }
+    });
+  }
+  const ranksBySnapshot = snapshots.map(snapshot => new Map(snapshot.terms.map(candidate => [candidate.key, candidate.rank])));
+  const movement = tracked.map(({ term: name, key }) => {
+    const ranks = ranksBySnapshot.map(ranksByKey => ranksByKey.get(key) ?? null);
+    const present = ranks.filter(rank => rank !== null);
+    return {
+      term: name,
+      ranks,
+      latestRank: ranks[ranks.length - 1],
+      bestRank: Math.min(...present),
+      worstRank: Math.max(...present),
+      appearances: present.length
+    };
+  });
+
+  return {
+    location: chosen,
+    locations,
+    snapshots: snapshots.map(snapshot => ({ id: snapshot.id, createdAt: snapshot.createdAt, terms: snapshot.terms.length })),
+    unrecognizedSnapshots: parsed.length - snapshots.length,
+    latest: latestSnapshot
+      ? {
+          snapshotId: latestSnapshot.id,
+          createdAt: latestSnapshot.createdAt,
+          previousSnapshotId: previousSnapshot?.id ?? null,
+          terms: latestSnapshot.terms.filter(matches).map(candidate => {
+            const previousRank = previousSnapshot ? previousRanks.get(candidate.key) ?? null : null;
+            return {
+              term: candidate.term,
+              rank: candidate.rank,
+              searchVolume: candidate.searchVolume,
+              previousRank,
+              // Places climbed since the previous snapshot; null for new terms
+              change: previousRank === null ? null : previousRank - candidate.rank,
+              isNew: Boolean(previousSnapshot) && previousRank === null
+            };
+          }),
+          dropped: changes[0]?.dropped || []
+        }
+      : null,
+    changes,
+    movement
+  };
+};
+
+// Cache key for a trends request; unset values are null
+const trendsCacheKey = (filters, options) => `trends:${JSON.stringify([
+  filters.from ?? null,
+  filters.to ?? null,
+  options.location ?? null,
+  options.term ?? null,
+  options.snapshots,
+  options.limit
+])}`;
+
+// Trends, served from `cache` when fresh
+export const getCachedTrends = (filters, options, cache) => cachedResult(
+  cache,
+  trendsCacheKey(filters, options),
+  () => getTrends(filters, options)
+);
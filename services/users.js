@@ -0,0 +1,315 @@
+import { QueryTypes } from 'sequelize';
+import { sequelize } from '../database.js';
+import { timelineBucketSql, fillTimeline } from './timeline.js';
+import { cachedResult } from './cache.js';
+import { DAY_MS, toCount, ratio } from '../utils/aggregates.js';
+
+/*
+ * Activity analytics over the app's end users: `users` (platform_name,
+ * device_id, created_at) and the `searches` they made (user_id, created_at).
+ * A user is active in a period when they searched in it. A user is first seen
+ * when they signed up, or at their first search when created_at is missing.
+ */
+
+// Windows of the active user counts, ending at the end of the period
+export const ACTIVE_WINDOWS = { daily: 1, weekly: 7, monthly: 30 };
+
+// Bins of the searches per user distribution: [label, lowest, highest]
+export const SEARCHES_PER_USER_BINS = [
+  ['1', 1, 1],
+  ['2', 2, 2],
+  ['3–5', 3, 5],
+  ['6–10', 6, 10],
+  ['11–20', 11, 20],
+  ['21–50', 21, 50],
+  ['51+', 51, Infinity]
+];
+
+const query = (sql, replacements) => sequelize.query(sql, { replacements, type: QueryTypes.SELECT });
+
+// Conditions on a timestamp column and on the user's platform for the filters
+const periodConditions = (column, { from, to, platform_name: platform }) => [
+  from && `${column} >= :from`,
+  to && `${column} < :to`,
+  platform && 'TRIM(u.platform_name) = :platform'
+].filter(Boolean);
+
+const where = (conditions) => (conditions.length ? `WHERE ${conditions.join(' AND ')}` : '');
+
+const filterReplacements = (filters) => ({
+  from: filters.from ?? null,
+  to: filters.to ?? null,
+  platform: filters.platform_name ?? null
+});
+
+// Searches in the period by users on the filtered platform, with when each user was first seen
+const activityCte = (filters) => `
+  WITH activity AS (
+    SELECT s.user_id, s.created_at, u.created_at AS signed_up_at
+    FROM searches s
+    JOIN users u ON u.id = s.user_id
+    ${where(periodConditions('s.created_at', filters))}
+  ), first_seen AS (
+    SELECT a.user_id, COALESCE(MIN(a.signed_up_at), MIN(s.created_at)) AS first_seen_at
+    FROM (SELECT DISTINCT user_id, signed_up_at FROM activity) a
+    JOIN searches s ON s.user_id = a.user_id
+    GROUP BY a.user_id
+  )`;
+
+/**
+ * Users active in each timeline bucket, split into new users (first seen in
+ * that bucket) and returning ones, and the same for the whole period, where
+ * new users are those first seen inside it.
+ */
+const getActiveUsers = async (filters, { granularity, timeZone }) => {
+  const bucket = (column) => timelineBucketSql(column, { granularity, timeZone });
+  const firstSeenInPeriod = periodConditions('f.first_seen_at', { from: filters.from, to: filters.to });
+  const rows = await query(`${activityCte(filters)}
+    SELECT ${bucket('a.created_at')} AS bucket,
+      COUNT(DISTINCT a.user_id) AS active,
+      COUNT(DISTINCT a.user_id) FILTER (
+        WHERE ${bucket('f.first_seen_at')} = ${bucket('a.created_at')}
+      ) AS new_users,
+      NULL AS period
+    FROM activity a
+    JOIN first_seen f USING (user_id)
+    GROUP BY 1
+    UNION ALL
+    SELECT NULL, COUNT(DISTINCT a.user_id),
+      COUNT(DISTINCT a.user_id) FILTER (
+        WHERE ${firstSeenInPeriod.length ? firstSeenInPeriod.join(' AND ') : 'TRUE'}
+      ),
+      'total'
+    FROM activity a
+    JOIN first_seen f USING (user_id)
+  `, filterReplacements(filters));
+
+  const summarize = (row) => ({
+    active: toCount(row?.active),
+    new: toCount(row?.new_users),
+    returning: toCount(row?.active) - toCount(row?.new_users)
+  });
+
+  const buckets = Object.fromEntries(rows.filter(row => row.period !== 'total')
+    .map(row => [row.bucket ?? 'null', summarize(row)]));
+  const activeCounts = Object.fromEntries(Object.entries(buckets).map(([key, counts]) => [key, counts.active]));
+  const timeline = Object.fromEntries(
+    Object.keys(fillTimeline(activeCounts, { granularity, timeZone, from: filters.from, to: filters.to }))
+      .map(key => [key, buckets[key] || summarize(null)])
+  );
+
+  return { ...summarize(rows.find(row => row.period === 'total')), timeline };
+};
+
+/**
+ * Daily, weekly and monthly active users: distinct users who searched in the
+ * last 1, 7 and 30 days before the end of the period (`to`, or now).
+ * `stickiness` is daily over monthly active users.
+ */
+export const getActiveUserWindows = async (filters = {}, now = new Date()) => {
+  const end = filters.to && filters.to < now ? filters.to : now;
+  const starts = Object.fromEntries(Object.entries(ACTIVE_WINDOWS)
+    .map(([name, days]) => [name, new Date(end.getTime() - days * DAY_MS)]));
+
+  const [row] = await query(`
+    SELECT ${Object.keys(ACTIVE_WINDOWS).map(name => `COUNT(DISTINCT s.user_id) FILTER (WHERE s.created_at >= :${name}) AS ${name}`).join(',\n      ')}
+    FROM searches s
+    JOIN users u ON u.id = s.user_id
+    ${where(periodConditions('s.created_at', { from: starts.monthly, to: end, platform_name: filters.platform_name }))}
+  `, {
+    ...starts,
+    from: starts.monthly,
+    to: end,
+    platform: filters.platform_name ?? null
+  });
+
+  const windows = Object.fromEntries(Object.keys(ACTIVE_WINDOWS).map(name => [name, toCount(row?.[name])]));
+  return { ...windows, stickiness: ratio(windows.daily, windows.monthly), asOf: end.toISOString() };
+};
+
+// Users who signed up in the period, per platform and per timeline bucket
+export const getSignups = async (filters = {}, { granularity, timeZone }) => {
+  const rows = await query(`
+    SELECT ${timelineBucketSql('u.created_at', { granularity, timeZone })} AS bucket,
+      COALESCE(NULLIF(TRIM(u.platform_name), ''), 'Unknown') AS platform,
+      COUNT(*) AS count
+    FROM users u
+    ${where(['u.created_at IS NOT NULL', ...periodConditions('u.created_at', filters)])}
+    GROUP BY 1, 2
+  `, filterReplacements(filters));
+
+  const byPlatform = {};
+  const counts = {};
+  rows.forEach(row => {
+    byPlatform[row.platform] = (byPlatform[row.platform] || 0) + toCount(row.count);
+    counts[row.bucket] = (counts[row.bucket] || 0) + toCount(row.count);
+  });
+
+  return {
+    total: Object.values(byPlatform).reduce((sum, count) => sum + count, 0),
+    byPlatform: Object.fromEntries(Object.entries(byPlatform).sort(([, a], [, b]) => b - a)),
+    timeline: fillTimeline(counts, { granularity, timeZone, from: filters.from, to: filters.to })
+  };
+};
+
+/**
+ * How many searches the active users of the period made: users per bin of
+ * SEARCHES_PER_USER_BINS, and the mean and median searches per user.
+ */
+export const getSearchesPerUser = async (filters = {}) => {
+  const rows = await query(`${activityCte(filters)}
+    SELECT searches, COUNT(*) AS users
+    FROM (SELECT user_id, COUNT(*) AS searches FROM activity GROUP BY user_id) per_user
+    GROUP BY searches
+    ORDER BY searches
+  `, filterReplacements(filters));
+
+  const counts = rows.map(row => ({ searches: toCount(row.searches), users: toCount(row.users) }));
+  const users = counts.reduce((sum, row) => sum + row.users, 0);
+  const searches = counts.reduce((sum, row) => sum + row.searches * row.users, 0);
+
+  // Searches of the user in the middle when users are ordered by their searches
+  let median = 0;
+  if (users) {
+    const middle = [Math.floor((users - 1) / 2), Math.floor(users / 2)];
+    const valueAt = (index) => {
+      let seen = 0;
+      return counts.find(row => (seen += row.users) > index).searches;
+    };
+    median = (valueAt(middle[0]) + valueAt(middle[1])) / 2;
+  }
+
+  return {
+    bins: SEARCHES_PER_USER_BINS.map(([label, lowest, highest]) => ({
+      label,
+      users: counts.filter(row => row.searches >= lowest && row.searches <= highest)
+        .reduce((sum, row) => sum + row.users, 0)
+    })),
+    users,
+    mean: ratio(searches, users),
+    median
+  };
+};
+
+// Users with the most searches in the period; no emails, so viewers can see the list
+export const getTopUsers = async (filters = {}, { limit = 10 } = {}) => {
+  const rows = await query(`${activityCte(filters)}
+    SELECT a.user_id, TRIM(u.platform_name) AS platform_name, u.created_at,
+      COUNT(*) AS searches, MAX(a.created_at) AS last_search_at
+    FROM activity a
+    JOIN users u ON u.id = a.user_id
+    GROUP BY a.user_id, u.platform_name, u.created_at
+    ORDER BY searches DESC, last_search_at DESC NULLS LAST
+    LIMIT :limit
+  `, { ...filterReplacements(filters), limit });
+
+  return rows.map(row => ({
+    userId: row.user_id,
+    platformName: row.platform_name,
+    signedUpAt: row.created_at,
+    searches: toCount(row.searches),
+    lastSearchAt: row.last_search_at
+  }));
+};
+
+/**
+ * User activity for the period [from, to) on the filtered platform: active
+ * users per timeline bucket (new and returning), daily/weekly/monthly active
+ * users, signups per platform, the searches per user distribution and the
+ * most active users.
+ */
+export const getUserActivity = async (filters = {}, { granularity, timeZone, limit = 10 } = {}) => ({
+  activeUsers: await getActiveUsers(filters, { granularity, timeZone }),
+  activeWindows: await getActiveUserWindows(filters),
+  signups: await getSignups(filters, { granularity, timeZone }),
+  searchesPerUser: await getSearchesPerUser(filters),
+  topUsers: await getTopUsers(filters, { limit })
+});
+
+/**
+ * One user's searches in the period [from, to): the user, a timeline of their
+ * searches, when they first and last searched and their latest `limit`
+ * searches with the system prompt version used. Null when there is no such user.
+ */
+export const getUserDetail = async (userId, filters = {}, { granularity, timeZone, limit = 20 } = {}) => {
+  const [user] = await query(`
+    SELECT u.id, u.email, u.device_id, TRIM(u.platform_name) AS platform_name, u.created_at
+    FROM users u
+    WHERE u.id = :userId
+  `, { userId });
+
+  if (!user) {
+    return null;
+  }
+
+  const replacements = { ...filterReplacements(filters), userId, limit };
+  const conditions = ['s.user_id = :userId', ...periodConditions('s.created_at', { from: filters.from, to: filters.to })];
+
+  const buckets = await query(`
+    SELECT ${timelineBucketSql('s.created_at', { granularity, timeZone })} AS bucket,
+      COUNT(*) AS count, MIN(s.created_at) AS first_search_at, MAX(s.created_at) AS last_search_at
+    FROM searches s
+    ${where(conditions)}
+    GROUP BY 1
+  `, replacements);
+
+  const searches = await query(`
+    SELECT s.search_id, s.keywords, s.created_at, s.system_prompt_id, p.version AS system_prompt_version
+    FROM searches s
+    LEFT JOIN system_prompt p ON p.id = s.system_prompt_id
+    ${where(conditions)}
+    ORDER BY s.created_at DESC NULLS LAST
+    LIMIT :limit
+  `, replacements);
+
+  const counts = Object.fromEntries(buckets.map(row => [row.bucket ?? 'null', toCount(row.count)]));
+  const dated = buckets.filter(row => row.first_search_at);
+  const earliest = (a, b) => (new Date(a) < new Date(b) ? a : b);
+  const latest = (a, b) => (new Date(a) > new Date(b) ? a : b);
+
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      deviceId: user.device_id,
+      platformName: user.platform_name,
+      signedUpAt: user.created_at
+    },
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    firstSearchAt: dated.length ? dated.map(row => row.first_search_at).reduce(earliest) : null,
+    lastSearchAt: dated.length ? dated.map(row => row.last_search_at).reduce(latest) : null,
+    timeline: fillTimeline(counts, { granularity, timeZone, from: filters.from, to: filters.to }),
+    searches: searches.map(row => ({
+      searchId: row.search_id,
+      keywords: row.keywords,
+      createdAt: row.created_at,
+      systemPromptId: row.system_prompt_id,
+      systemPromptVersion: row.system_prompt_version
+    }))
+  };
+};
+
+// Cache key for a user activity request; unset values are null
+const usersCacheKey = (kind, filters, options, extra = []) => `users:${kind}:${JSON.stringify([
+  ...extra,
+  filters.from ?? null,
+  filters.to ?? null,
+  filters.platform_name ?? null,
+  options.granularity,
+  options.timeZone,
+  options.limit
+])}`;
+
+// User activity analytics, served from `cache` when fresh
+export const getCachedUserActivity = (filters, options, cache) => cachedResult(
+  cache,
+  usersCacheKey('activity', filters, options),
+  () => getUserActivity(filters, options)
+);
+
+// One user's activity, served from `cache` when fresh; `data` is null for an unknown user
+export const getCachedUserDetail = (userId, filters, options, cache) => cachedResult(
+  cache,
+  usersCacheKey('detail', filters, options, [userId]),
+  () => getUserDetail(userId, filters, options)
+);
@@ -45,6 +45,113 @@ COMMENT ON COLUMN search_queries.platform_name IS 'Platform name';
 COMMENT ON COLUMN search_queries.search_type IS 'Type of search performed';
 COMMENT ON COLUMN search_queries.created_at IS 'When the query was created';
 
+-- Admin accounts for the AdminJS panel and dashboard
+-- (created automatically on startup; the first account is bootstrapped from ADMIN_EMAIL/ADMIN_PASSWORD)
+CREATE TABLE IF NOT EXISTS admin_users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+  is_disabled BOOLEAN NOT NULL DEFAULT FALSE,
+  last_login_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Audit trail of AdminJS create/edit/delete actions (created automatically on startup)
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor_email VARCHAR(255),
+  actor_role VARCHAR(20),
+  action VARCHAR(50) NOT NULL,
+  resource VARCHAR(100) NOT NULL,
+  record_id TEXT,
+  changes JSONB,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS audit_log_actor_email ON audit_log(actor_email);
+CREATE INDEX IF NOT EXISTS audit_log_resource_record_id ON audit_log(resource, record_id);
+
+-- Hashed, scoped API keys for machine access to /api (created automatically on startup)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash VARCHAR(64) NOT NULL UNIQUE,
+  scopes VARCHAR(20)[] NOT NULL DEFAULT ARRAY['read']::VARCHAR(20)[],
+  rate_limit_max INTEGER,
+  created_by VARCHAR(255),
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Daily search query counts read by /api/stats (created and maintained automatically;
+-- backfill with: npm run rollup:backfill)
+CREATE TABLE IF NOT EXISTS search_queries_daily (
+  day DATE NOT NULL,
+  platform_name TEXT NOT NULL DEFAULT '',
+  search_type TEXT NOT NULL DEFAULT '',
+  query_count BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (day, platform_name, search_type)
+);
+
+-- Progress of rollup jobs: every day before completed_through is rolled up
+CREATE TABLE IF NOT EXISTS rollup_state (
+  name VARCHAR(100) PRIMARY KEY,
+  completed_through DATE,
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Dashboards saved by admin users from /dashboard (created automatically on startup)
+CREATE TABLE IF NOT EXISTS saved_dashboards (
+  id SERIAL PRIMARY KEY,
+  owner_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  widgets JSONB NOT NULL DEFAULT '[]'::JSONB,
+  filters JSONB NOT NULL DEFAULT '{}'::JSONB,
+  is_shared BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS saved_dashboards_owner_id ON saved_dashboards(owner_id);
+
+-- The saved dashboard each admin user opens by default (own or shared)
+CREATE TABLE IF NOT EXISTS dashboard_defaults (
+  admin_user_id INTEGER PRIMARY KEY REFERENCES admin_users(id) ON DELETE CASCADE,
+  dashboard_id INTEGER NOT NULL REFERENCES saved_dashboards(id) ON DELETE CASCADE
+);
+
+-- Publish search_queries changes for the dashboard live feed (/api/stats/stream).
+-- Also installed by `npm run feed:install-trigger`; the server only checks it exists.
+CREATE OR REPLACE FUNCTION notify_search_queries_change() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM pg_notify('search_queries_changes', json_build_object(
+      'op', TG_OP,
+      'id', NEW.id,
+      'keyword', left(NEW.keyword, 500),
+      'platform_name', NEW.platform_name,
+      'search_type', NEW.search_type,
+      'created_at', NEW.created_at
+    )::text);
+  ELSE
+    PERFORM pg_notify('search_queries_changes', json_build_object('op', TG_OP)::text);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS search_queries_notify ON search_queries;
+CREATE TRIGGER search_queries_notify
+  AFTER INSERT OR UPDATE OR DELETE ON search_queries
+  FOR EACH ROW EXECUTE PROCEDURE notify_search_queries_change();
+
 -- Verify the table was created
 SELECT 
   table_name, 
@@ -55,3 +162,4 @@ SELECT
 FROM information_schema.columns 
 WHERE table_name = 'search_queries'
 ORDER BY ordinal_position;
+
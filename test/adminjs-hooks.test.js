@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendHook, prependHook } from '../utils/adminjs-hooks.js';
+
+const first = () => {};
+const second = () => {};
+const added = () => {};
+
+test('appendHook and prependHook use the hook alone when there is none yet', () => {
+  assert.equal(appendHook(undefined, added), added);
+  assert.equal(prependHook(null, added), added);
+});
+
+test('appendHook runs the hook after an existing hook or list', () => {
+  assert.deepEqual(appendHook(first, added), [first, added]);
+  assert.deepEqual(appendHook([first, second], added), [first, second, added]);
+});
+
+test('prependHook runs the hook before an existing hook or list', () => {
+  assert.deepEqual(prependHook(first, added), [added, first]);
+  assert.deepEqual(prependHook([first, second], added), [added, first, second]);
+});
+
+test('appendHook leaves an existing list unchanged', () => {
+  const existing = [first];
+  appendHook(existing, added);
+
+  assert.deepEqual(existing, [first]);
+});
@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../database.js';
+import { createApiV1Router } from '../routes/api-v1.js';
+import { errorHandler } from '../middleware/error-handler.js';
+
+const servers = [];
+let baseUrl;
+let writeUrl;
+
+const Widget = sequelize.define('Widget', {
+  id: { type: DataTypes.INTEGER, primaryKey: true },
+  name: { type: DataTypes.TEXT }
+}, { tableName: 'widgets', timestamps: false });
+
+const Gadget = sequelize.define('Gadget', {
+  id: { type: DataTypes.INTEGER, primaryKey: true }
+}, { tableName: 'gadgets', timestamps: false });
+
+// Serve `router` under /api/v1 to a session with `role`; resolves to its base URL
+const listen = async (router, role) => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.session = { adminUser: { email: `${role}@example.com`, role } };
+    next();
+  });
+  app.use('/api/v1', router);
+  app.use(errorHandler);
+
+  const server = await new Promise(resolve => {
+    const started = app.listen(0, '127.0.0.1', () => resolve(started));
+  });
+  servers.push(server);
+  return `http://127.0.0.1:${server.address().port}/api/v1`;
+};
+
+before(async () => {
+  Widget.findAndCountAll = async () => ({ rows: [{ id: 1, name: 'a' }], count: 1 });
+  Widget.findOne = async () => ({ id: 1, name: 'a' });
+
+  baseUrl = await listen(createApiV1Router({ Widget }), 'viewer');
+  writeUrl = await listen(createApiV1Router({ Widget, Gadget }, { enableWrites: true, readOnly: ['Widget'] }), 'admin');
+});
+
+after(() => Promise.all(servers.map(server => new Promise(resolve => server.close(resolve)))));
+
+test('the catalogue lists the registered resources', async () => {
+  const response = await fetch(baseUrl);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.data.map(resource => resource.name), ['Widget']);
+  assert.equal(body.writesEnabled, false);
+  assert.equal(body.data[0].writable, false);
+});
+
+test('registered resources can be listed and read', async () => {
+  assert.equal((await fetch(`${baseUrl}/Widget`)).status, 200);
+  assert.equal((await fetch(`${baseUrl}/Widget/1`)).status, 200);
+});
+
+test('unknown resources are 404, including inherited object properties', async () => {
+  for (const resource of ['Gadget', 'constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+    const list = await fetch(`${baseUrl}/${resource}`);
+    const show = await fetch(`${baseUrl}/${resource}/1`);
+
+    assert.equal(list.status, 404, resource);
+    assert.equal(show.status, 404, resource);
+    assert.match((await list.json()).error.message, /^Unknown resource/, resource);
+  }
+});
+
+test('read-only resources refuse writes but can still be read', async () => {
+  const json = { 'Content-Type': 'application/json' };
+
+  assert.equal((await fetch(`${writeUrl}/Widget`, { method: 'POST', headers: json, body: '{"name":"b"}' })).status, 405);
+  assert.equal((await fetch(`${writeUrl}/Widget/1`, { method: 'PATCH', headers: json, body: '{"name":"b"}' })).status, 405);
+  assert.equal((await fetch(`${writeUrl}/Widget/1`, { method: 'DELETE' })).status, 405);
+  assert.equal((await fetch(`${writeUrl}/Widget/1`)).status, 200);
+
+  const catalogue = await (await fetch(writeUrl)).json();
+  assert.deepEqual(catalogue.data.map(resource => [resource.name, resource.writable]), [['Widget', false], ['Gadget', true]]);
+});
+
+test('other resources still accept writes when they are enabled', async () => {
+  const response = await fetch(`${writeUrl}/Gadget`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"color":"red"}'
+  });
+
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error.message, /^Unknown attribute/);
+});
@@ -0,0 +1,97 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { Op } from 'sequelize';
+import AuditLog from '../models/AuditLog.js';
+import auditRouter from '../routes/audit.js';
+import { errorHandler } from '../middleware/error-handler.js';
+
+let server;
+let baseUrl;
+let lastQuery;
+
+before(async () => {
+  AuditLog.findAndCountAll = async (options) => {
+    lastQuery = options;
+    return { rows: [], count: 0 };
+  };
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.session = { adminUser: { email: 'admin@example.com', role: 'admin' } };
+    next();
+  });
+  app.use('/api', auditRouter);
+  app.use(errorHandler);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/audit`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  lastQuery = null;
+});
+
+test('GET /audit accepts a to bound without from and covers that whole day', async () => {
+  const response = await fetch(`${baseUrl}?to=2024-01-01`);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(lastQuery.where.created_at, { [Op.lt]: new Date('2024-01-02T00:00:00.000Z') });
+});
+
+test('GET /audit includes a timestamp to bound', async () => {
+  const response = await fetch(`${baseUrl}?from=2024-01-01&to=2024-01-01T12:00:00Z`);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(lastQuery.where.created_at, {
+    [Op.gte]: new Date('2024-01-01T00:00:00.000Z'),
+    [Op.lt]: new Date('2024-01-01T12:00:00.001Z')
+  });
+});
+
+test('GET /audit accepts from and to on the same day', async () => {
+  const response = await fetch(`${baseUrl}?from=2024-01-01&to=2024-01-01`);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(lastQuery.where.created_at, {
+    [Op.gte]: new Date('2024-01-01T00:00:00.000Z'),
+    [Op.lt]: new Date('2024-01-02T00:00:00.000Z')
+  });
+});
+
+test('GET /audit accepts a from bound without to', async () => {
+  const response = await fetch(`${baseUrl}?from=2024-01-01`);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(lastQuery.where.created_at, { [Op.gte]: new Date('2024-01-01T00:00:00.000Z') });
+});
+
+test('GET /audit rejects to before from', async () => {
+  const response = await fetch(`${baseUrl}?from=2024-02-01&to=2024-01-01`);
+  const body = await response.json();
+
+  assert.equal(response.status, 400);
+  assert.equal(body.error.message, 'Invalid audit log filters');
+  assert.equal(lastQuery, null);
+});
+
+test('GET /audit pages with limit and offset', async () => {
+  const response = await fetch(`${baseUrl}?page=3&limit=20&actor=Admin@Example.com`);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(lastQuery.limit, 20);
+  assert.equal(lastQuery.offset, 40);
+  assert.equal(lastQuery.where.actor_email, 'admin@example.com');
+  assert.deepEqual(body.pagination, { page: 3, limit: 20, total: 0 });
+});
+
+test('GET /audit rejects a limit above 200', async () => {
+  const response = await fetch(`${baseUrl}?limit=500`);
+
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCache, createMemoryCache, createNoopCache, cachedResult } from '../services/cache.js';
+
+test('memory cache returns what was set and counts hits and misses', async () => {
+  const cache = createMemoryCache({ ttlMs: 60000 });
+
+  assert.equal(await cache.get('a'), undefined);
+  await cache.set('a', { value: 1 });
+  assert.deepEqual(await cache.get('a'), { value: 1 });
+
+  const metrics = cache.metrics();
+  assert.equal(metrics.hits, 1);
+  assert.equal(metrics.misses, 1);
+  assert.equal(metrics.sets, 1);
+  assert.equal(metrics.hitRatio, 0.5);
+  assert.equal(metrics.size, 1);
+});
+
+test('memory cache evicts the least recently used entry', async () => {
+  const cache = createMemoryCache({ ttlMs: 60000, maxEntries: 2 });
+
+  await cache.set('a', 1);
+  await cache.set('b', 2);
+  await cache.get('a');
+  await cache.set('c', 3);
+
+  assert.equal(await cache.get('a'), 1);
+  assert.equal(await cache.get('b'), undefined);
+  assert.equal(await cache.get('c'), 3);
+});
+
+test('memory cache drops entries once their TTL has passed', async (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const cache = createMemoryCache({ ttlMs: 1000 });
+
+  await cache.set('a', 1);
+  now += 999;
+  assert.equal(await cache.get('a'), 1);
+  now += 1;
+  assert.equal(await cache.get('a'), undefined);
+  assert.equal(cache.metrics().size, 0);
+});
+
+test('memory cache clear() removes every entry', async () => {
+  const cache = createMemoryCache({ ttlMs: 60000 });
+
+  await cache.set('a', 1);
+  await cache.set('b', 2);
+  await cache.clear();
+
+  assert.equal(cache.metrics().size, 0);
+});
+
+test('noop cache stores nothing', async () => {
+  const cache = createNoopCache();
+
+  await cache.set('a', 1);
+  assert.equal(await cache.get('a'), undefined);
+  assert.equal(cache.metrics().misses, 1);
+});
+
+test('createCache disables caching for the none driver or a zero TTL', async () => {
+  assert.equal((await createCache({ driver: 'none', ttlMs: 1000 })).driver, 'none');
+  assert.equal((await createCache({ driver: 'memory', ttlMs: 0 })).driver, 'none');
+  assert.equal((await createCache({ driver: 'memory', ttlMs: 1000 })).driver, 'memory');
+});
+
+test('memory cache clear(prefix) removes only the matching entries', async () => {
+  const cache = createMemoryCache({ ttlMs: 60000 });
+
+  await cache.set('stats:[null]', 1);
+  await cache.set('stats:["2024-05-01"]', 2);
+  await cache.set('keywords:top:[null]', 3);
+  await cache.clear('stats:');
+
+  assert.equal(await cache.get('stats:[null]'), undefined);
+  assert.equal(await cache.get('stats:["2024-05-01"]'), undefined);
+  assert.equal(await cache.get('keywords:top:[null]'), 3);
+});
+
+test('cachedResult computes once and serves the stored entry afterwards', async () => {
+  const cache = createMemoryCache({ ttlMs: 60000 });
+  let calls = 0;
+  const compute = async () => ({ total: ++calls });
+
+  const first = await cachedResult(cache, 'k', compute);
+  const second = await cachedResult(cache, 'k', compute);
+
+  assert.deepEqual(first.data, { total: 1 });
+  assert.equal(first.cached, false);
+  assert.deepEqual(second, { ...first, cached: true });
+  assert.equal(calls, 1);
+});
+
+test('cachedResult does not store a null result', async () => {
+  const cache = createMemoryCache({ ttlMs: 60000 });
+  let calls = 0;
+  const compute = async () => {
+    calls += 1;
+    return null;
+  };
+
+  await cachedResult(cache, 'missing', compute);
+  const again = await cachedResult(cache, 'missing', compute);
+
+  assert.equal(again.cached, false);
+  assert.equal(calls, 2);
+});
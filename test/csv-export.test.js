@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsvField, toCsvRow } from '../utils/csv.js';
+import { EXPORT_COLUMNS, EXPORT_FORMATS } from '../services/export.js';
+
+test('toCsvField leaves plain values unquoted', () => {
+  assert.equal(toCsvField('data scientist'), 'data scientist');
+  assert.equal(toCsvField(42), '42');
+  assert.equal(toCsvField(false), 'false');
+});
+
+test('toCsvField writes null and undefined as empty fields', () => {
+  assert.equal(toCsvField(null), '');
+  assert.equal(toCsvField(undefined), '');
+});
+
+test('toCsvField quotes commas, quotes and line breaks', () => {
+  assert.equal(toCsvField('a,b'), '"a,b"');
+  assert.equal(toCsvField('say "hi"'), '"say ""hi"""');
+  assert.equal(toCsvField('line\nbreak'), '"line\nbreak"');
+  assert.equal(toCsvField('line\r\nbreak'), '"line\r\nbreak"');
+});
+
+test('toCsvField neutralizes spreadsheet formulas in strings', () => {
+  assert.equal(toCsvField('=SUM(A1:A2)'), "'=SUM(A1:A2)");
+  assert.equal(toCsvField('+1'), "'+1");
+  assert.equal(toCsvField('-1'), "'-1");
+  assert.equal(toCsvField('@cmd'), "'@cmd");
+  assert.equal(toCsvField('=HYPERLINK("x")'), `"'=HYPERLINK(""x"")"`);
+});
+
+test('toCsvField keeps negative numbers as numbers', () => {
+  assert.equal(toCsvField(-1), '-1');
+});
+
+test('toCsvField writes dates as ISO 8601', () => {
+  assert.equal(toCsvField(new Date('2024-05-01T10:00:00Z')), '2024-05-01T10:00:00.000Z');
+});
+
+test('toCsvRow joins fields and ends the line with CRLF', () => {
+  assert.equal(toCsvRow([1, 'a,b', null]), '1,"a,b",\r\n');
+});
+
+const row = {
+  id: 7,
+  keyword: 'remote, "senior"',
+  platform_name: 'web',
+  search_type: null,
+  created_at: '2024-05-01T10:00:00.000Z'
+};
+
+test('the CSV export writes a header and the columns in order', () => {
+  const csv = EXPORT_FORMATS.csv;
+
+  assert.equal(csv.header(), `${EXPORT_COLUMNS.join(',')}\r\n`);
+  assert.equal(csv.row(row, 0), '7,"remote, ""senior""",web,,2024-05-01T10:00:00.000Z\r\n');
+});
+
+test('the JSON export is one array whether empty or not', () => {
+  const json = EXPORT_FORMATS.json;
+  const empty = json.header() + json.footer(0);
+  const two = json.header() + json.row(row, 0) + json.row({ ...row, id: 8 }, 1) + json.footer(2);
+
+  assert.deepEqual(JSON.parse(empty), []);
+  assert.deepEqual(JSON.parse(two).map(item => item.id), [7, 8]);
+});
+
+test('the NDJSON export writes one object per line', () => {
+  const ndjson = EXPORT_FORMATS.ndjson;
+  const text = ndjson.row(row, 0) + ndjson.row({ ...row, id: 8 }, 1);
+
+  assert.deepEqual(text.trim().split('\n').map(line => JSON.parse(line).id), [7, 8]);
+});
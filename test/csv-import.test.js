@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from '../utils/csv.js';
+import { validateImportFile } from '../services/import.js';
+
+test('parseCsv reads quoted fields with commas, quotes and line breaks', () => {
+  const { rows, error } = parseCsv('keyword,platform_name\r\n"a, ""b""",web\n"multi\nline",app\n');
+
+  assert.equal(error, null);
+  assert.deepEqual(rows, [
+    { line: 1, fields: ['keyword', 'platform_name'] },
+    { line: 2, fields: ['a, "b"', 'web'] },
+    { line: 3, fields: ['multi\nline', 'app'] }
+  ]);
+});
+
+test('parseCsv skips a byte order mark and blank lines', () => {
+  const { rows } = parseCsv('\uFEFFkeyword\n\njobs');
+
+  assert.deepEqual(rows, [
+    { line: 1, fields: ['keyword'] },
+    { line: 3, fields: ['jobs'] }
+  ]);
+});
+
+test('parseCsv reports an unterminated quoted field', () => {
+  const { error } = parseCsv('keyword\n"open\n');
+
+  assert.match(error, /Unterminated quoted field in the row starting on line 2/);
+});
+
+test('validateImportFile accepts valid CSV rows and rejects the rest by line', async () => {
+  const report = await validateImportFile([
+    'id,keyword,platform_name,search_type,created_at',
+    '1,data scientist,web,jobs,2024-05-01T10:00:00Z',
+    '2,nurse,app,,',
+    '3,bad date,web,jobs,not a date',
+    ',,,,',
+    '5,too,few'
+  ].join('\n'), 'csv');
+
+  assert.equal(report.totalRows, 5);
+  assert.deepEqual(report.unknownColumns, []);
+  assert.equal(report.validRows.length, 2);
+  assert.equal(report.validRows[0].keyword, 'data scientist');
+  assert.equal(report.validRows[0].created_at.toISOString(), '2024-05-01T10:00:00.000Z');
+  assert.equal(report.validRows[1].search_type, null);
+  assert.equal('created_at' in report.validRows[1], false);
+  assert.deepEqual(report.rejected, [
+    { line: 4, reasons: ['created_at "not a date" is not a valid date'] },
+    { line: 5, reasons: ['Row has no values'] },
+    { line: 6, reasons: ['Expected 5 fields but found 3'] }
+  ]);
+});
+
+test('validateImportFile reads NDJSON and reports malformed lines', async () => {
+  const report = await validateImportFile([
+    '{"keyword":"jobs","platform_name":"web","extra":1}',
+    '',
+    '[1,2]',
+    '{"keyword":'
+  ].join('\n'), 'ndjson');
+
+  assert.equal(report.totalRows, 3);
+  assert.deepEqual(report.unknownColumns, ['extra']);
+  assert.deepEqual(report.validRows.map(row => row.keyword), ['jobs']);
+  assert.deepEqual(report.rejected.map(rejection => rejection.line), [3, 4]);
+  assert.deepEqual(report.rejected[0].reasons, ['Line is not a JSON object']);
+  assert.match(report.rejected[1].reasons[0], /^Invalid JSON: /);
+});
+
+test('validateImportFile rejects a file with none of the expected columns', async () => {
+  await assert.rejects(
+    validateImportFile('foo,bar\n1,2\n', 'csv'),
+    error => error.status === 400 && /none of the expected columns/.test(error.message)
+  );
+});
+
+test('validateImportFile rejects invalid CSV with a 400', async () => {
+  await assert.rejects(
+    validateImportFile('keyword\n"open\n', 'csv'),
+    error => error.status === 400 && /^Invalid CSV: /.test(error.message)
+  );
+});
+
+test('validateImportFile matches header names case-insensitively', async () => {
+  const report = await validateImportFile('Keyword, Platform_Name\njobs,web\n', 'csv');
+
+  assert.deepEqual(report.columns, ['keyword', 'platform_name']);
+  assert.deepEqual(report.validRows, [{ keyword: 'jobs', platform_name: 'web', search_type: null }]);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  jsonType,
+  schemaTypes,
+  emptyJsonValue,
+  childSchema,
+  childPath,
+  validateJson,
+  isUnsafeKey,
+  findUnsafeKey,
+  parseJsonText
+} from '../utils/json-schema.js';
+
+const messages = (value, schema, root) => validateJson(value, schema, root).map(error => error.message);
+
+test('jsonType names arrays and null apart from objects', () => {
+  assert.equal(jsonType(null), 'null');
+  assert.equal(jsonType([]), 'array');
+  assert.equal(jsonType({}), 'object');
+  assert.equal(jsonType(1.5), 'number');
+  assert.equal(jsonType('a'), 'string');
+});
+
+test('schemaTypes lists the allowed types, integers as numbers', () => {
+  assert.deepEqual(schemaTypes({ type: 'integer' }), ['number']);
+  assert.deepEqual(schemaTypes({ type: ['string', 'null'] }), ['string', 'null']);
+  assert.equal(schemaTypes(null).length, 6);
+});
+
+test('emptyJsonValue starts with the first enum value or an empty value', () => {
+  assert.equal(emptyJsonValue({ enum: ['b', 'a'] }), 'b');
+  assert.deepEqual(emptyJsonValue({ type: 'array' }), []);
+  assert.equal(emptyJsonValue({ type: ['null', 'string'] }), null);
+  assert.deepEqual(emptyJsonValue(undefined), {});
+});
+
+test('childSchema finds items, properties and additionalProperties', () => {
+  const schema = {
+    properties: { title: { type: 'string' } },
+    additionalProperties: { type: 'number' },
+    items: { type: 'boolean' }
+  };
+
+  assert.deepEqual(childSchema(schema, 0), { type: 'boolean' });
+  assert.deepEqual(childSchema(schema, 'title'), { type: 'string' });
+  assert.deepEqual(childSchema(schema, 'other'), { type: 'number' });
+  assert.equal(childSchema({ additionalProperties: false }, 'other'), null);
+  assert.equal(childPath('value', 0), 'value[0]');
+  assert.equal(childPath('value', 'title'), 'value.title');
+});
+
+test('validateJson accepts any value without a schema', () => {
+  assert.deepEqual(validateJson({ anything: [1, 'a'] }, undefined), []);
+});
+
+test('validateJson checks types, integers and enums', () => {
+  assert.deepEqual(messages('a', { type: 'number' }), ['value must be number, not string']);
+  assert.deepEqual(messages(1.5, { type: 'integer' }, 'count'), ['count must be integer, not number']);
+  assert.deepEqual(messages(2, { type: 'integer' }), []);
+  assert.deepEqual(messages(null, { type: ['string', 'null'] }), []);
+  assert.deepEqual(messages('c', { enum: ['a', 'b'] }), ['value must be one of "a", "b"']);
+});
+
+test('validateJson checks required and additional properties with their paths', () => {
+  const schema = {
+    type: 'object',
+    required: ['title'],
+    properties: { title: { type: 'string', minLength: 1 } },
+    additionalProperties: false
+  };
+
+  assert.deepEqual(validateJson({ extra: 1 }, schema, 'item'), [
+    { path: 'item.title', message: 'item.title is required' },
+    { path: 'item.extra', message: 'item.extra is not allowed' }
+  ]);
+  assert.deepEqual(messages({ title: '' }, schema, 'item'), ['item.title needs at least 1 character(s)']);
+});
+
+test('validateJson checks array items and lengths', () => {
+  const schema = { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string', minLength: 1 } };
+
+  assert.deepEqual(messages([], schema, 'keywords'), ['keywords needs at least 1 item(s)']);
+  assert.deepEqual(messages(['a', 'b', 'c'], schema, 'keywords'), ['keywords takes at most 2 item(s)']);
+  assert.deepEqual(messages(['a', ''], schema, 'keywords'), ['keywords[1] needs at least 1 character(s)']);
+  assert.deepEqual(messages(['a', 1], schema, 'keywords'), ['keywords[1] must be string, not number']);
+});
+
+test('validateJson checks string lengths and number ranges', () => {
+  assert.deepEqual(messages('abc', { maxLength: 2 }), ['value takes at most 2 character(s)']);
+  assert.deepEqual(messages(-1, { minimum: 0 }), ['value must be at least 0']);
+  assert.deepEqual(messages(11, { maximum: 10 }), ['value must be at most 10']);
+});
+
+test('isUnsafeKey flags the keys AdminJS cannot save', () => {
+  assert.equal(isUnsafeKey('a.b'), true);
+  assert.equal(isUnsafeKey('0'), true);
+  assert.equal(isUnsafeKey('1e3'), true);
+  assert.equal(isUnsafeKey(' '), true);
+  assert.equal(isUnsafeKey(''), true);
+  assert.equal(isUnsafeKey('title'), false);
+  assert.equal(isUnsafeKey('a-1'), false);
+});
+
+test('findUnsafeKey finds nested unsafe keys but not array indexes', () => {
+  assert.equal(findUnsafeKey([{ title: 'a' }, ['b']], 'slices'), null);
+  assert.equal(findUnsafeKey('text', 'value'), null);
+  assert.deepEqual(findUnsafeKey({ results: [{ 'a.b': 1 }] }, 'value'), {
+    path: 'value.results[0]',
+    key: 'a.b',
+    message: 'value.results[0]: key "a.b" cannot be a number, blank or contain "."'
+  });
+  assert.equal(findUnsafeKey({ items: { 2: 'x' } }, 'value').key, '2');
+});
+
+test('parseJsonText parses JSON, reads blank text as null and reports errors', () => {
+  assert.deepEqual(parseJsonText('{"a":[1]}'), { value: { a: [1] } });
+  assert.deepEqual(parseJsonText('  '), { value: null });
+  assert.deepEqual(parseJsonText(undefined), { value: null });
+  assert.deepEqual(parseJsonText('0'), { value: 0 });
+  assert.match(parseJsonText('{a:1}').error, /^Not valid JSON: /);
+});
@@ -0,0 +1,90 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { Op } from 'sequelize';
+import SearchQuery from '../models/QueryResult.js';
+import { createKeywordsRouter } from '../routes/keywords.js';
+import { errorHandler } from '../middleware/error-handler.js';
+
+let server;
+let baseUrl;
+let queries;
+
+// created_at bounds anywhere in a where clause
+const createdAtBounds = (where) => {
+  if (!where || typeof where !== 'object') {
+    return {};
+  }
+  const bounds = { ...where.created_at };
+  (where[Op.and] || []).forEach(clause => Object.assign(bounds, createdAtBounds(clause)));
+  return bounds;
+};
+
+before(async () => {
+  SearchQuery.findAll = async (options) => {
+    queries.push(options);
+    return [];
+  };
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.session = { adminUser: { email: 'viewer@example.com', role: 'viewer' } };
+    next();
+  });
+  app.use('/api', createKeywordsRouter());
+  app.use(errorHandler);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/keywords`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  queries = [];
+});
+
+test('GET /keywords reads from/to as days in tz', async () => {
+  const response = await fetch(`${baseUrl}?from=2024-05-01&to=2024-05-01&tz=Europe/Berlin`);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(createdAtBounds(queries[0].where), {
+    [Op.gte]: new Date('2024-04-30T22:00:00.000Z'),
+    [Op.lt]: new Date('2024-05-01T22:00:00.000Z')
+  });
+  assert.equal(body.filters.tz, 'Europe/Berlin');
+});
+
+test('GET /keywords/detail buckets the timeline by granularity in tz', async () => {
+  const response = await fetch(`${baseUrl}/detail?keyword=Jobs&from=2024-05-01&to=2024-05-01&granularity=hour&tz=Europe/Berlin`);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(createdAtBounds(queries[0].where), {
+    [Op.gte]: new Date('2024-04-30T22:00:00.000Z'),
+    [Op.lt]: new Date('2024-05-01T22:00:00.000Z')
+  });
+  const buckets = Object.keys(body.data.timelineData);
+  assert.equal(buckets.length, 24);
+  assert.equal(buckets[0], '2024-05-01T00:00');
+  assert.equal(buckets[23], '2024-05-01T23:00');
+  assert.deepEqual(body.filters, { from: '2024-05-01', to: '2024-05-01', granularity: 'hour', tz: 'Europe/Berlin' });
+});
+
+test('GET /keywords/detail defaults to UTC days', async () => {
+  const response = await fetch(`${baseUrl}/detail?keyword=jobs&from=2024-05-01&to=2024-05-03`);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(Object.keys(body.data.timelineData), ['2024-05-01', '2024-05-02', '2024-05-03']);
+});
+
+test('GET /keywords/detail rejects an unknown time zone', async () => {
+  const response = await fetch(`${baseUrl}/detail?keyword=jobs&tz=Mars/Olympus`);
+
+  assert.equal(response.status, 400);
+  assert.equal(queries.length, 0);
+});
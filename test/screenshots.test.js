@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, symlink, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createScreenshotStore, parseSlices } from '../services/screenshots.js';
+
+let base;
+let store;
+
+before(async () => {
+  base = await mkdtemp(join(tmpdir(), 'screenshots-test-'));
+  const root = join(base, 'root');
+  await mkdir(join(root, 'shots'), { recursive: true });
+  await writeFile(join(root, 'shots', 'page.png'), 'png');
+  await writeFile(join(root, 'notes.txt'), 'text');
+  await mkdir(join(root, 'folder.png'));
+  await writeFile(join(base, 'secret.png'), 'png');
+  await mkdir(join(base, 'elsewhere'));
+  await writeFile(join(base, 'elsewhere', 'other.png'), 'png');
+  await symlink(join(base, 'secret.png'), join(root, 'link.png'));
+  await symlink(join(base, 'elsewhere'), join(root, 'linked-dir'));
+  await symlink(join(root, 'shots', 'page.png'), join(root, 'inside-link.png'));
+
+  store = createScreenshotStore({ root });
+});
+
+after(() => rm(base, { recursive: true, force: true }));
+
+test('locate serves image files under the root', async () => {
+  const located = await store.locate('shots/page.png');
+
+  assert.equal(located.status, 'ok');
+  assert.equal(located.contentType, 'image/png');
+  assert.equal(located.size, 3);
+  assert.equal(located.file, join(base, 'root', 'shots', 'page.png'));
+});
+
+test('locate accepts absolute paths inside the root and symlinks that stay inside', async () => {
+  assert.equal((await store.locate(join(base, 'root', 'shots', 'page.png'))).status, 'ok');
+  assert.equal((await store.locate('inside-link.png')).status, 'ok');
+});
+
+test('locate refuses paths that lead outside the root', async () => {
+  for (const storedPath of ['../secret.png', 'shots/../../secret.png', join(base, 'secret.png'), '/etc/passwd.png']) {
+    assert.equal((await store.locate(storedPath)).status, 'outside', storedPath);
+  }
+});
+
+test('locate refuses symlinks that lead outside the root', async () => {
+  assert.equal((await store.locate('link.png')).status, 'outside');
+  assert.equal((await store.locate('linked-dir/other.png')).status, 'outside');
+});
+
+test('locate refuses the root itself and NUL characters', async () => {
+  assert.equal((await store.locate('.')).status, 'outside');
+  assert.equal((await store.locate('shots/page.png\0.txt')).status, 'outside');
+});
+
+test('locate only serves image types', async () => {
+  assert.equal((await store.locate('notes.txt')).status, 'unsupported');
+  assert.equal((await store.locate('shots/page')).status, 'unsupported');
+});
+
+test('locate reports missing files and directories', async () => {
+  assert.equal((await store.locate('shots/gone.png')).status, 'missing');
+  assert.equal((await store.locate('folder.png')).status, 'missing');
+});
+
+test('locate reports when no path is stored', async () => {
+  assert.equal((await store.locate(null)).status, 'none');
+  assert.equal((await store.locate('  ')).status, 'none');
+});
+
+test('parseSlices reads paths from strings and objects', () => {
+  assert.deepEqual(parseSlices(['a.png', { path: 'b.png' }, { output_path: 'c.png' }, { width: 1 }, 7]), [
+    { index: 0, path: 'a.png' },
+    { index: 1, path: 'b.png' },
+    { index: 2, path: 'c.png' },
+    { index: 3, path: null },
+    { index: 4, path: null }
+  ]);
+});
+
+test('parseSlices reads JSON text and ignores anything else', () => {
+  assert.deepEqual(parseSlices('["a.png"]'), [{ index: 0, path: 'a.png' }]);
+  assert.deepEqual(parseSlices('not json'), []);
+  assert.deepEqual(parseSlices({ path: 'a.png' }), []);
+  assert.deepEqual(parseSlices(null), []);
+});
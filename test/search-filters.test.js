@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseSearchFilters,
+  matchesSearchFilters,
+  describeSearchFilters,
+  normalizeKeyword
+} from '../utils/search-filters.js';
+
+test('parseSearchFilters accepts an empty query', () => {
+  assert.deepEqual(parseSearchFilters({}), {});
+});
+
+test('parseSearchFilters accepts a to bound without from', () => {
+  const filters = parseSearchFilters({ to: '2024-01-01' });
+
+  assert.equal(filters.from, undefined);
+  assert.equal(filters.to.toISOString(), '2024-01-02T00:00:00.000Z');
+});
+
+test('parseSearchFilters makes a date-only to cover the whole day', () => {
+  const filters = parseSearchFilters({ from: '2024-05-01', to: '2024-05-31' });
+
+  assert.equal(filters.from.toISOString(), '2024-05-01T00:00:00.000Z');
+  assert.equal(filters.to.toISOString(), '2024-06-01T00:00:00.000Z');
+});
+
+test('parseSearchFilters makes a timestamp to inclusive', () => {
+  const filters = parseSearchFilters({ to: '2024-05-31T12:00:00.000Z' });
+
+  assert.equal(filters.to.toISOString(), '2024-05-31T12:00:00.001Z');
+});
+
+test('parseSearchFilters accepts to equal to from', () => {
+  const filters = parseSearchFilters({ from: '2024-05-01', to: '2024-05-01' });
+
+  assert.equal(filters.to.toISOString(), '2024-05-02T00:00:00.000Z');
+});
+
+test('parseSearchFilters rejects to before from with a 400', () => {
+  assert.throws(
+    () => parseSearchFilters({ from: '2024-05-02', to: '2024-05-01' }),
+    error => error.status === 400 && /Invalid search filters/.test(error.message)
+  );
+});
+
+test('parseSearchFilters rejects dates that are not ISO 8601', () => {
+  assert.throws(() => parseSearchFilters({ from: 'yesterday' }), error => error.status === 400);
+  assert.throws(() => parseSearchFilters({ to: '01/02/2024' }), error => error.status === 400);
+});
+
+test('parseSearchFilters trims dimensions and drops unknown keys', () => {
+  const filters = parseSearchFilters({ platform_name: ' web ', search_type: 'jobs', page: '2' });
+
+  assert.deepEqual(filters, { platform_name: 'web', search_type: 'jobs' });
+});
+
+test('matchesSearchFilters applies from inclusively and to exclusively', () => {
+  const filters = parseSearchFilters({ from: '2024-05-01', to: '2024-05-01' });
+
+  assert.equal(matchesSearchFilters({ created_at: '2024-05-01T00:00:00Z' }, filters), true);
+  assert.equal(matchesSearchFilters({ created_at: '2024-05-01T23:59:59Z' }, filters), true);
+  assert.equal(matchesSearchFilters({ created_at: '2024-05-02T00:00:00Z' }, filters), false);
+  assert.equal(matchesSearchFilters({ created_at: '2024-04-30T23:59:59Z' }, filters), false);
+  assert.equal(matchesSearchFilters({ created_at: null }, filters), false);
+});
+
+test('matchesSearchFilters compares platform_name trimmed and search_type exactly', () => {
+  const filters = { platform_name: 'web', search_type: 'jobs' };
+
+  assert.equal(matchesSearchFilters({ platform_name: ' web ', search_type: 'jobs' }, filters), true);
+  assert.equal(matchesSearchFilters({ platform_name: 'web', search_type: 'Jobs' }, filters), false);
+  assert.equal(matchesSearchFilters({ platform_name: null, search_type: 'jobs' }, filters), false);
+});
+
+test('describeSearchFilters echoes the supplied filters trimmed', () => {
+  assert.deepEqual(
+    describeSearchFilters({ from: ' 2024-05-01 ', to: '', platform_name: 'web', tz: 'UTC' }),
+    { from: '2024-05-01', platform_name: 'web' }
+  );
+});
+
+test('normalizeKeyword collapses whitespace and lower-cases', () => {
+  assert.equal(normalizeKeyword('  Data \t Scientist '), 'data scientist');
+  assert.equal(normalizeKeyword(null), '');
+});
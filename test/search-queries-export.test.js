@@ -0,0 +1,104 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { sequelize } from '../database.js';
+import searchQueriesRouter from '../routes/search-queries.js';
+import { errorHandler } from '../middleware/error-handler.js';
+
+let server;
+let baseUrl;
+let batches;
+let lastSql;
+
+// Stand-in for the pg cursor: records its SQL and returns the queued batches, or throws a queued error
+const fakeConnection = {
+  query: (cursor) => {
+    lastSql = cursor.text;
+    return {
+      read: async () => {
+        const next = batches.shift() ?? [];
+        if (next instanceof Error) {
+          throw next;
+        }
+        return next;
+      },
+      close: async () => {}
+    };
+  }
+};
+
+before(async () => {
+  sequelize.connectionManager.getConnection = async () => fakeConnection;
+  sequelize.connectionManager.releaseConnection = () => {};
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.session = { adminUser: { email: 'analyst@example.com', role: 'analyst' } };
+    next();
+  });
+  app.use('/api', searchQueriesRouter);
+  app.use(errorHandler);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/search-queries/export`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  batches = [];
+});
+
+const row = { id: 1, keyword: 'jobs', platform_name: 'web', search_type: null, created_at: new Date('2024-05-01T10:00:00Z') };
+
+test('the export streams CSV as an attachment', async () => {
+  batches = [[row, { ...row, id: 2 }]];
+  const response = await fetch(`${baseUrl}?format=csv`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'text/csv; charset=utf-8');
+  assert.match(response.headers.get('content-disposition'), /^attachment; filename="search-queries-\d{8}T\d{6}\.csv"$/);
+  assert.equal(
+    await response.text(),
+    'id,keyword,platform_name,search_type,created_at\r\n'
+      + '1,jobs,web,,2024-05-01T10:00:00.000Z\r\n'
+      + '2,jobs,web,,2024-05-01T10:00:00.000Z\r\n'
+  );
+});
+
+test('an export with no rows is still a valid file', async () => {
+  const response = await fetch(`${baseUrl}?format=json`);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), []);
+});
+
+test('a query that fails before any rows is answered with a JSON error', async () => {
+  for (const format of ['csv', 'json', 'ndjson']) {
+    batches = [new Error('relation "search_queries" does not exist')];
+    const response = await fetch(`${baseUrl}?format=${format}`);
+
+    assert.equal(response.status, 500, format);
+    assert.match(response.headers.get('content-type'), /^application\/json/, format);
+    assert.equal(response.headers.get('content-disposition'), null, format);
+    assert.match((await response.json()).error.message, /does not exist/, format);
+  }
+});
+
+test('the export reads from/to as days in tz', async () => {
+  const response = await fetch(`${baseUrl}?format=csv&from=2024-05-01&to=2024-05-01&tz=Europe/Berlin`);
+  await response.text();
+
+  assert.equal(response.status, 200);
+  assert.match(lastSql, /"created_at" >= '2024-04-30 22:00:00\.000 \+00:00'/);
+  assert.match(lastSql, /"created_at" < '2024-05-01 22:00:00\.000 \+00:00'/);
+});
+
+test('invalid filters are rejected before the export starts', async () => {
+  const response = await fetch(`${baseUrl}?format=xml`);
+
+  assert.equal(response.status, 400);
+  assert.match(response.headers.get('content-type'), /^application\/json/);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveTimeZone } from '../utils/time-zones.js';
+import {
+  truncateWallTime,
+  bucketKey,
+  parseBucketKey,
+  localizeDateBounds,
+  regroupDays,
+  fillTimeline,
+  MAX_TIMELINE_BUCKETS
+} from '../services/timeline.js';
+
+const wall = (iso) => new Date(`${iso}Z`);
+
+test('resolveTimeZone returns the canonical name or null', () => {
+  assert.equal(resolveTimeZone('UTC'), 'UTC');
+  assert.equal(resolveTimeZone('Europe/Berlin'), 'Europe/Berlin');
+  assert.equal(resolveTimeZone('Mars/Olympus'), null);
+});
+
+test('truncateWallTime starts buckets on the hour, day, Monday and first of the month', () => {
+  const time = wall('2024-05-16T13:45:12'); // a Thursday
+
+  assert.equal(truncateWallTime(time, 'hour').toISOString(), '2024-05-16T13:00:00.000Z');
+  assert.equal(truncateWallTime(time, 'day').toISOString(), '2024-05-16T00:00:00.000Z');
+  assert.equal(truncateWallTime(time, 'week').toISOString(), '2024-05-13T00:00:00.000Z');
+  assert.equal(truncateWallTime(time, 'month').toISOString(), '2024-05-01T00:00:00.000Z');
+  assert.equal(truncateWallTime(wall('2024-05-19T23:00:00'), 'week').toISOString(), '2024-05-13T00:00:00.000Z');
+});
+
+test('bucket keys round-trip through parseBucketKey', () => {
+  const hour = wall('2024-05-16T13:00:00');
+
+  assert.equal(bucketKey(hour, 'hour'), '2024-05-16T13:00');
+  assert.equal(bucketKey(hour, 'day'), '2024-05-16');
+  assert.equal(parseBucketKey('2024-05-16T13:00').getTime(), hour.getTime());
+  assert.equal(parseBucketKey('2024-05-16').toISOString(), '2024-05-16T00:00:00.000Z');
+});
+
+test('localizeDateBounds reads date-only bounds as local days', () => {
+  const filters = { from: new Date('2024-05-01T00:00:00Z'), to: new Date('2024-05-02T00:00:00Z') };
+  const localized = localizeDateBounds(filters, { from: '2024-05-01', to: '2024-05-01' }, 'Europe/Berlin');
+
+  assert.equal(localized.from.toISOString(), '2024-04-30T22:00:00.000Z');
+  assert.equal(localized.to.toISOString(), '2024-05-01T22:00:00.000Z');
+});
+
+test('localizeDateBounds leaves timestamps and missing bounds alone', () => {
+  const from = new Date('2024-05-01T10:00:00Z');
+  const localized = localizeDateBounds({ from }, { from: '2024-05-01T10:00:00Z' }, 'America/New_York');
+
+  assert.equal(localized.from, from);
+  assert.equal(localized.to, undefined);
+});
+
+test('localizeDateBounds handles days on a daylight saving change', () => {
+  const filters = { from: new Date('2024-03-31T00:00:00Z'), to: new Date('2024-04-01T00:00:00Z') };
+  const localized = localizeDateBounds(filters, { from: '2024-03-31', to: '2024-03-31' }, 'Europe/Berlin');
+
+  assert.equal(localized.from.toISOString(), '2024-03-30T23:00:00.000Z');
+  assert.equal(localized.to.toISOString(), '2024-03-31T22:00:00.000Z');
+});
+
+test('regroupDays folds day counts into weeks and months', () => {
+  const days = { '2024-05-12': 1, '2024-05-13': 2, '2024-05-19': 3, '2024-06-01': 4, null: 5 };
+
+  assert.deepEqual(regroupDays(days, 'week'), { '2024-05-06': 1, '2024-05-13': 5, '2024-05-27': 4, null: 5 });
+  assert.deepEqual(regroupDays(days, 'month'), { '2024-05-01': 6, '2024-06-01': 4, null: 5 });
+});
+
+test('fillTimeline orders buckets and fills gaps with zeros', () => {
+  const timeline = fillTimeline({ '2024-05-03': 2, '2024-05-01': 1 }, { granularity: 'day', timeZone: 'UTC' });
+
+  assert.deepEqual(Object.entries(timeline), [['2024-05-01', 1], ['2024-05-02', 0], ['2024-05-03', 2]]);
+});
+
+test('fillTimeline spans the requested range and keeps null last', () => {
+  const timeline = fillTimeline({ '2024-05-02': 3, null: 1 }, {
+    granularity: 'day',
+    timeZone: 'UTC',
+    from: new Date('2024-05-01T00:00:00Z'),
+    to: new Date('2024-05-04T00:00:00Z'),
+    now: new Date('2024-06-01T00:00:00Z')
+  });
+
+  assert.deepEqual(Object.entries(timeline), [
+    ['2024-05-01', 0], ['2024-05-02', 3], ['2024-05-03', 0], ['null', 1]
+  ]);
+});
+
+test('fillTimeline stops at the current bucket', () => {
+  const timeline = fillTimeline({}, {
+    granularity: 'day',
+    timeZone: 'UTC',
+    from: new Date('2024-05-01T00:00:00Z'),
+    to: new Date('2024-06-01T00:00:00Z'),
+    now: new Date('2024-05-02T12:00:00Z')
+  });
+
+  assert.deepEqual(Object.keys(timeline), ['2024-05-01', '2024-05-02']);
+});
+
+test('fillTimeline buckets the range bounds in the requested time zone', () => {
+  const timeline = fillTimeline({}, {
+    granularity: 'hour',
+    timeZone: 'Asia/Kolkata',
+    from: new Date('2024-05-01T00:00:00Z'),
+    to: new Date('2024-05-01T02:00:00Z'),
+    now: new Date('2024-06-01T00:00:00Z')
+  });
+
+  assert.deepEqual(Object.keys(timeline), ['2024-05-01T05:00', '2024-05-01T06:00', '2024-05-01T07:00']);
+});
+
+test('fillTimeline walks calendar months', () => {
+  const timeline = fillTimeline({ '2024-01-01': 1, '2024-03-01': 1 }, { granularity: 'month', timeZone: 'UTC' });
+
+  assert.deepEqual(Object.keys(timeline), ['2024-01-01', '2024-02-01', '2024-03-01']);
+});
+
+test('fillTimeline refuses more than MAX_TIMELINE_BUCKETS buckets', () => {
+  assert.throws(
+    () => fillTimeline({}, {
+      granularity: 'hour',
+      timeZone: 'UTC',
+      from: new Date('2020-01-01T00:00:00Z'),
+      to: new Date('2024-01-01T00:00:00Z'),
+      now: new Date('2024-06-01T00:00:00Z')
+    }),
+    error => error.status === 400 && error.message.includes(String(MAX_TIMELINE_BUCKETS))
+  );
+});
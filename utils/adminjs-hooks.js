@@ -0,0 +1,21 @@
+/*
+ * Helpers for adding before/after hooks to AdminJS actions. An action's hook
+ * option may be unset, one function or a list of them; these keep whatever it
+ * already declares and add one more.
+ */
+
+// Run `hook` after the hooks the action already has
+export const appendHook = (existing, hook) => {
+  if (!existing) {
+    return hook;
+  }
+  return Array.isArray(existing) ? [...existing, hook] : [existing, hook];
+};
+
+// Run `hook` before the hooks the action already has
+export const prependHook = (existing, hook) => {
+  if (!existing) {
+    return hook;
+  }
+  return Array.isArray(existing) ? [hook, ...existing] : [hook, existing];
+};
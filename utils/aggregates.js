@@ -0,0 +1,7 @@
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Integer from a COUNT/SUM column, which pg returns as a string (or null)
+export const toCount = (value) => parseInt(value, 10) || 0;
+
+// part / whole to four decimals, 0 when whole is 0
+export const ratio = (part, whole) => (whole ? Number((part / whole).toFixed(4)) : 0);
@@ -0,0 +1,95 @@
+// Characters that make spreadsheet applications evaluate a cell as a formula
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+// Serialize a single value as a CSV field (RFC 4180 quoting)
+export const toCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Neutralize formula injection when the export is opened in a spreadsheet
+  if (typeof value === 'string' && FORMULA_PREFIX_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+// Serialize a row of values as a CSV line (including the trailing CRLF)
+export const toCsvRow = (values) => `${values.map(toCsvField).join(',')}\r\n`;
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF or LF line
+ * endings) into rows of string fields. Returns `{ rows, error }` where each
+ * row is `{ line, fields }` with the 1-based line number it started on;
+ * `error` is set for an unterminated quoted field.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  let index = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (; index < text.length; index++) {
+    const char = text[index];
+
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    return { rows, error: `Unterminated quoted field in the row starting on line ${rowLine}` };
+  }
+
+  if (field !== '' || fields.length) {
+    endRow();
+  }
+
+  return { rows, error: null };
+};
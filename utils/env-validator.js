@@ -30,8 +30,9 @@ const envSchema = Joi.object({
   
   // Security
   SESSION_SECRET: Joi.string().min(32).required(),
-  ADMIN_EMAIL: Joi.string().email().required(),
-  ADMIN_PASSWORD: Joi.string().min(8).required(),
+  // Only used to bootstrap the first account when admin_users is empty
+  ADMIN_EMAIL: Joi.string().email().optional(),
+  ADMIN_PASSWORD: Joi.string().min(8).optional(),
   
   // CORS
   ALLOWED_ORIGINS: Joi.string().default('http://localhost:3000'),
@@ -40,11 +41,32 @@ const envSchema = Joi.object({
   RATE_LIMIT_WINDOW_MS: Joi.number().default(900000),
   RATE_LIMIT_MAX_REQUESTS: Joi.number().default(100),
   
+  // REST API (/api/v1): enable POST/PATCH/DELETE on registered models
+  API_V1_WRITE_ENABLED: Joi.boolean().truthy('true').falsy('false').default(false),
+
+  // /api/stats cache: in-process LRU by default, Redis to share it between instances
+  STATS_CACHE_DRIVER: Joi.string().valid('memory', 'redis', 'none').default('memory'),
+  STATS_CACHE_TTL_SECONDS: Joi.number().integer().min(0).default(30),
+  STATS_CACHE_MAX_ENTRIES: Joi.number().integer().min(1).default(500),
+  REDIS_URL: Joi.when('STATS_CACHE_DRIVER', {
+    is: 'redis',
+    then: Joi.string().uri({ scheme: ['redis', 'rediss'] }).required(),
+    otherwise: Joi.string().uri({ scheme: ['redis', 'rediss'] }).optional()
+  }),
+
+  // search_queries_daily rollup: minutes between updates (0 disables the job) and
+  // rolled-up days recomputed on each run to pick up late writes
+  SEARCH_ROLLUP_INTERVAL_MINUTES: Joi.number().min(0).default(15),
+  SEARCH_ROLLUP_LOOKBACK_DAYS: Joi.number().integer().min(0).default(2),
+
+  // Screenshot gallery: directory the screenshots table's output_path and slices are read from
+  SCREENSHOTS_ROOT: Joi.string().default('screenshots'),
+
   // Logging
   LOG_LEVEL: Joi.string()
     .valid('error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly')
     .default('info')
-}).unknown(true);
+}).and('ADMIN_EMAIL', 'ADMIN_PASSWORD').unknown(true);
 
 export function validateEnv() {
   const { error, value } = envSchema.validate(process.env, {
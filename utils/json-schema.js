@@ -0,0 +1,167 @@
+/*
+ * Validation of JSON values against a small subset of JSON Schema, shared by
+ * the JSONB property editor (components/json-property.jsx) and the save
+ * hooks that check its values (services/json-properties.js). Supported
+ * keywords: type (one name or a list), enum, properties, required,
+ * additionalProperties, items, minItems, maxItems, minLength, maxLength,
+ * minimum and maximum. Also finds the object keys AdminJS cannot save.
+ */
+
+export const JSON_TYPES = ['object', 'array', 'string', 'number', 'boolean', 'null'];
+
+// JSON type name of a parsed value; integers are numbers
+export const jsonType = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+};
+
+const matchesType = (value, type) => (type === 'integer'
+  ? Number.isInteger(value)
+  : jsonType(value) === type);
+
+// Types a schema allows, in its order; every type when it names none
+export const schemaTypes = (schema) => {
+  if (!schema?.type) {
+    return JSON_TYPES;
+  }
+  return [].concat(schema.type).map(type => (type === 'integer' ? 'number' : type));
+};
+
+// Value a new node of `schema` starts with: the first enum value or an empty value of its first type
+export const emptyJsonValue = (schema) => {
+  if (schema?.enum?.length) {
+    return schema.enum[0];
+  }
+  return ({ object: {}, array: [], string: '', number: 0, boolean: false, null: null })[schemaTypes(schema)[0]];
+};
+
+// Child schema of `key` (a property name or array index) under `schema`
+export const childSchema = (schema, key) => {
+  if (!schema) {
+    return null;
+  }
+  if (typeof key === 'number') {
+    return schema.items || null;
+  }
+  if (schema.properties?.[key]) {
+    return schema.properties[key];
+  }
+  return typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null;
+};
+
+// Path of a child for messages: results[0].title
+export const childPath = (path, key) => (typeof key === 'number'
+  ? `${path}[${key}]`
+  : `${path}.${key}`);
+
+const describe = (value) => JSON.stringify(value);
+
+/**
+ * Check `value` against `schema`. Returns a list of `{ path, message }`,
+ * empty when the value is valid; `path` starts at `root`.
+ */
+export const validateJson = (value, schema, root = 'value') => {
+  const errors = [];
+
+  const check = (node, nodeSchema, path) => {
+    if (!nodeSchema) {
+      return;
+    }
+
+    if (nodeSchema.type) {
+      const types = [].concat(nodeSchema.type);
+      if (!types.some(type => matchesType(node, type))) {
+        errors.push({ path, message: `${path} must be ${types.join(' or ')}, not ${jsonType(node)}` });
+        return;
+      }
+    }
+    if (nodeSchema.enum && !nodeSchema.enum.some(option => describe(option) === describe(node))) {
+      errors.push({ path, message: `${path} must be one of ${nodeSchema.enum.map(describe).join(', ')}` });
+    }
+
+    const type = jsonType(node);
+    if (type === 'object') {
+      (nodeSchema.required || []).forEach(key => {
+        if (!(key in node)) {
+          errors.push({ path: childPath(path, key), message: `${childPath(path, key)} is required` });
+        }
+      });
+      Object.entries(node).forEach(([key, child]) => {
+        if (!nodeSchema.properties?.[key] && nodeSchema.additionalProperties === false) {
+          errors.push({ path: childPath(path, key), message: `${childPath(path, key)} is not allowed` });
+          return;
+        }
+        check(child, childSchema(nodeSchema, key), childPath(path, key));
+      });
+    } else if (type === 'array') {
+      if (nodeSchema.minItems !== undefined && node.length < nodeSchema.minItems) {
+        errors.push({ path, message: `${path} needs at least ${nodeSchema.minItems} item(s)` });
+      }
+      if (nodeSchema.maxItems !== undefined && node.length > nodeSchema.maxItems) {
+        errors.push({ path, message: `${path} takes at most ${nodeSchema.maxItems} item(s)` });
+      }
+      node.forEach((child, index) => check(child, nodeSchema.items, childPath(path, index)));
+    } else if (type === 'string') {
+      if (nodeSchema.minLength !== undefined && node.length < nodeSchema.minLength) {
+        errors.push({ path, message: `${path} needs at least ${nodeSchema.minLength} character(s)` });
+      }
+      if (nodeSchema.maxLength !== undefined && node.length > nodeSchema.maxLength) {
+        errors.push({ path, message: `${path} takes at most ${nodeSchema.maxLength} character(s)` });
+      }
+    } else if (type === 'number') {
+      if (nodeSchema.minimum !== undefined && node < nodeSchema.minimum) {
+        errors.push({ path, message: `${path} must be at least ${nodeSchema.minimum}` });
+      }
+      if (nodeSchema.maximum !== undefined && node > nodeSchema.maximum) {
+        errors.push({ path, message: `${path} must be at most ${nodeSchema.maximum}` });
+      }
+    }
+  };
+
+  check(value, schema, root);
+  return errors;
+};
+
+/*
+ * AdminJS unflattens the saved params, which splits keys containing "." into
+ * nested objects and turns objects with a numeric or blank key into arrays.
+ * Returns the first such key in `value` as `{ path, key, message }`, `path`
+ * being that of its object, or null when there is none.
+ */
+export const isUnsafeKey = (key) => key.includes('.') || !key.trim() || Number.isFinite(Number(key));
+
+export const findUnsafeKey = (value, path) => {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+  for (const [key, child] of Object.entries(value)) {
+    if (!Array.isArray(value) && isUnsafeKey(key)) {
+      return { path, key, message: `${path}: key "${key}" cannot be a number, blank or contain "."` };
+    }
+    const found = findUnsafeKey(child, childPath(path, Array.isArray(value) ? Number(key) : key));
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse the JSON text of a property. Returns `{ value }`, or `{ error }`
+ * with the parser's message when the text is not JSON. Blank text is null.
+ */
+export const parseJsonText = (text) => {
+  if (!String(text ?? '').trim()) {
+    return { value: null };
+  }
+  try {
+    return { value: JSON.parse(text) };
+  } catch (error) {
+    return { error: `Not valid JSON: ${error.message}` };
+  }
+};
@@ -0,0 +1,135 @@
+import Joi from 'joi';
+import { Op } from 'sequelize';
+import { sequelize } from '../database.js';
+import { joiValidationError } from '../middleware/error-handler.js';
+import {
+  TIMELINE_GRANULARITIES,
+  DEFAULT_GRANULARITY,
+  DEFAULT_TIME_ZONE,
+  resolveTimeZone
+} from './time-zones.js';
+import { DAY_MS } from './aggregates.js';
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Query parameters shared by every endpoint that reads search_queries
+export const searchFiltersSchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso().when('from', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('from'))
+  }),
+  platform_name: Joi.string().trim().max(255),
+  search_type: Joi.string().trim().max(255)
+});
+
+// Timeline parameters for endpoints that bucket by time: `granularity` and the `tz` buckets are computed in
+export const timelineQueryKeys = {
+  granularity: Joi.string().valid(...TIMELINE_GRANULARITIES).default(DEFAULT_GRANULARITY),
+  tz: Joi.string().trim().max(100)
+    .custom((value, helpers) => resolveTimeZone(value) || helpers.error('any.invalid'))
+    .messages({ 'any.invalid': '{{#label}} must be an IANA time zone name such as Europe/Berlin' })
+    .default(DEFAULT_TIME_ZONE)
+};
+
+/**
+ * Validate search filters from a request query string.
+ * Returns `{ from, to, platform_name, search_type }` where `from` is an
+ * inclusive and `to` an exclusive Date bound. A date-only `to`
+ * (e.g. 2024-05-31) covers that whole day.
+ * Throws a 400 error (handled by errorHandler) with `message` on invalid input.
+ */
+export const parseSearchFilters = (query = {}, schema = searchFiltersSchema, message = 'Invalid search filters') => {
+  const { error, value } = schema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    throw joiValidationError(error, message);
+  }
+
+  if (value.to) {
+    const rawTo = typeof query.to === 'string' ? query.to.trim() : '';
+    value.to = DATE_ONLY_PATTERN.test(rawTo)
+      ? new Date(value.to.getTime() + DAY_MS)
+      : new Date(value.to.getTime() + 1);
+  }
+
+  return value;
+};
+
+// Trimmed platform_name expression, matching how the stats breakdown groups platforms
+export const trimmedPlatform = () => sequelize.fn('TRIM', sequelize.col('platform_name'));
+
+// Keyword as analytics groups it: whitespace runs collapsed to one space, trimmed and lower-cased
+export const normalizedKeyword = () => sequelize.fn('LOWER', sequelize.fn('BTRIM',
+  sequelize.fn('REGEXP_REPLACE', sequelize.col('keyword'), '[[:space:]]+', ' ', 'g')
+));
+
+// JavaScript counterpart of normalizedKeyword for values supplied by clients
+export const normalizeKeyword = (keyword) => String(keyword ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+// Build a Sequelize where clause for the SearchQuery model from parsed filters
+export const buildSearchQueryWhere = (filters = {}) => {
+  const conditions = [];
+
+  if (filters.from) {
+    conditions.push({ created_at: { [Op.gte]: filters.from } });
+  }
+
+  if (filters.to) {
+    conditions.push({ created_at: { [Op.lt]: filters.to } });
+  }
+
+  if (filters.platform_name) {
+    conditions.push(sequelize.where(trimmedPlatform(), filters.platform_name));
+  }
+
+  if (filters.search_type) {
+    conditions.push({ search_type: filters.search_type });
+  }
+
+  return conditions.length ? { [Op.and]: conditions } : {};
+};
+
+// True when a search_queries row (as plain values) satisfies the parsed filters,
+// mirroring buildSearchQueryWhere for rows that never went through a query
+export const matchesSearchFilters = (row, filters = {}) => {
+  const createdAt = row.created_at ? new Date(row.created_at) : null;
+
+  if (filters.from && !(createdAt && createdAt >= filters.from)) {
+    return false;
+  }
+  if (filters.to && !(createdAt && createdAt < filters.to)) {
+    return false;
+  }
+  if (filters.platform_name && (row.platform_name || '').trim() !== filters.platform_name) {
+    return false;
+  }
+  if (filters.search_type && row.search_type !== filters.search_type) {
+    return false;
+  }
+  return true;
+};
+
+// Combine the filter where clause with endpoint-specific conditions
+export const andWhere = (...clauses) => {
+  const conditions = clauses.filter(clause => clause && Reflect.ownKeys(clause).length);
+
+  if (!conditions.length) {
+    return {};
+  }
+
+  return conditions.length === 1 ? conditions[0] : { [Op.and]: conditions };
+};
+
+// Echo filters back to clients in the format they were supplied
+export const describeSearchFilters = (query = {}) => {
+  return ['from', 'to', 'platform_name', 'search_type'].reduce((described, key) => {
+    if (typeof query[key] === 'string' && query[key].trim()) {
+      described[key] = query[key].trim();
+    }
+    return described;
+  }, {});
+};
@@ -0,0 +1,12 @@
+export const TIMELINE_GRANULARITIES = ['hour', 'day', 'week', 'month'];
+export const DEFAULT_GRANULARITY = 'day';
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+// Canonical IANA name of a time zone, or null when it is unknown
+export const resolveTimeZone = (timeZone) => {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+};